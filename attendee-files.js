@@ -0,0 +1,175 @@
+// ─────────────────────────────────────────────
+//  ATTENDEE FILES
+//  The spreadsheets behind the attendee export and the guest-list import:
+//  export columns and CSV / XLSX writing, and reading an uploaded CSV or XLSX
+//  into rows checked one by one. Nothing here touches the database — the
+//  routes in server.js page through registrations and issue the tickets.
+// ─────────────────────────────────────────────
+const ExcelJS = require('exceljs');
+const { once } = require('events');
+const { EMAIL_RE } = require('./event-schema');
+
+const IMPORT_MAX_ROWS = 1000;
+const IMPORT_MAX_QTY = 20;
+
+const EXPORT_COLUMNS = [
+  { header: 'ID boleto',         key: 'id',               width: 38 },
+  { header: 'Asistente',         key: 'attendee',         width: 28 },
+  { header: 'Correo asistente',  key: 'attendee_email',   width: 30 },
+  { header: 'Comprador',         key: 'name',             width: 28 },
+  { header: 'Correo comprador',  key: 'email',            width: 30 },
+  { header: 'Teléfono',          key: 'phone',            width: 16 },
+  { header: 'Tier',              key: 'tier',             width: 18 },
+  { header: 'Precio pagado',     key: 'unit_price',       width: 14 },
+  { header: 'Código promo',      key: 'promo_code',       width: 16 },
+  { header: 'Orden',             key: 'order_id',         width: 38 },
+  { header: 'Origen',            key: 'source',           width: 12 },
+  { header: 'Fecha de compra',   key: 'created_at',       width: 22 },
+  { header: 'Ingresó',           key: 'checked_in',       width: 10 },
+  { header: 'Hora de ingreso',   key: 'checked_in_at',    width: 22 },
+  { header: 'Estación',          key: 'checked_in_station', width: 18 }
+];
+
+// Quotes when needed, and defuses cells Excel would run as formulas
+function csvCell(value) {
+  let str = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Streams export rows (keyed like EXPORT_COLUMNS) to res; call end() after the last one
+function exportWriter(res, format) {
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Asistentes');
+    sheet.columns = EXPORT_COLUMNS;
+    return {
+      write: async row => sheet.addRow(row).commit(),
+      end: () => workbook.commit()
+    };
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  // BOM so Excel opens accents correctly
+  res.write('\ufeff' + EXPORT_COLUMNS.map(c => csvCell(c.header)).join(',') + '\r\n');
+  return {
+    write: async row => {
+      const line = EXPORT_COLUMNS.map(c => csvCell(row[c.key])).join(',') + '\r\n';
+      if (!res.write(line)) await once(res, 'drain');
+    },
+    end: async () => res.end()
+  };
+}
+
+// Minimal RFC 4180 reader; Excel in es-MX saves with ';', so sniff the delimiter
+function parseCsv(text) {
+  text = text.replace(/^\ufeff/, '');
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delim = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delim) { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+async function readSpreadsheet(file) {
+  const isXlsx = /\.xlsx$/i.test(file.originalname) ||
+    file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  if (!isXlsx) return parseCsv(file.buffer.toString('utf8'));
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(file.buffer);
+  const sheet = workbook.worksheets[0];
+  const rows = [];
+  sheet?.eachRow({ includeEmpty: true }, (row, n) => {
+    rows[n - 1] = Array.from({ length: row.cellCount }, (_, i) => row.getCell(i + 1).text);
+  });
+  return Array.from(rows, r => r || []);
+}
+
+// Accepted header names (accents and case ignored)
+const IMPORT_HEADERS = {
+  name:     ['name', 'nombre', 'nombre completo', 'asistente'],
+  email:    ['email', 'correo', 'correo electronico', 'e-mail', 'mail'],
+  tier:     ['tier', 'tipo', 'acceso', 'tipo de acceso'],
+  quantity: ['quantity', 'cantidad', 'boletos', 'qty'],
+  phone:    ['phone', 'telefono', 'whatsapp', 'celular']
+};
+
+const normalizeHeader = h => String(h || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// A tier named by id or by label (accents and case ignored)
+function findImportTier(tiers, value) {
+  const v = normalizeHeader(value);
+  return tiers.find(t => t.id === value || normalizeHeader(t.label) === v);
+}
+
+// Checks every row of a read spreadsheet against the event's tiers.
+// Returns { error } when the file as a whole is unusable, otherwise
+// { total, valid, errors, requested }: rows ready to issue, rows reported
+// back (numbered as in the spreadsheet) and tickets asked for per tier id.
+function checkImportRows(table, tiers, defaultTier) {
+  const header = (table[0] || []).map(normalizeHeader);
+  const col = {};
+  for (const [field, aliases] of Object.entries(IMPORT_HEADERS)) {
+    const idx = header.findIndex(h => aliases.includes(h));
+    if (idx !== -1) col[field] = idx;
+  }
+  if (col.name === undefined || col.email === undefined) {
+    return { error: 'El archivo necesita columnas "nombre" y "correo" en la primera fila.' };
+  }
+
+  // Row numbers match the spreadsheet (header is row 1)
+  const dataRows = table.slice(1)
+    .map((cells, i) => ({ row: i + 2, cells }))
+    .filter(({ cells }) => cells.some(c => String(c || '').trim()));
+  if (!dataRows.length) return { error: 'El archivo no tiene filas.' };
+  if (dataRows.length > IMPORT_MAX_ROWS) return { error: `Máximo ${IMPORT_MAX_ROWS} filas por importación.` };
+
+  const errors = [];
+  const valid = [];
+  const requested = {};
+  for (const { row, cells } of dataRows) {
+    const get = field => (col[field] === undefined ? '' : String(cells[col[field]] || '').trim());
+    const name = get('name');
+    const email = get('email').toLowerCase();
+    const tierValue = get('tier');
+    const tier = tierValue ? findImportTier(tiers, tierValue) : defaultTier;
+    const qty = get('quantity') ? Number(get('quantity')) : 1;
+
+    const problems = [];
+    if (!name) problems.push('Falta el nombre');
+    if (!EMAIL_RE.test(email)) problems.push('Correo no válido');
+    if (!tier) problems.push(tierValue ? `Tier "${tierValue}" no existe` : 'Falta el tier');
+    if (!Number.isInteger(qty) || qty < 1 || qty > IMPORT_MAX_QTY) problems.push(`Cantidad debe ser 1–${IMPORT_MAX_QTY}`);
+    if (problems.length) {
+      errors.push({ row, email: email || null, error: problems.join('. ') });
+      continue;
+    }
+    valid.push({ row, name: name.slice(0, 120), email, phone: get('phone').slice(0, 40), tier, qty });
+    requested[tier.id] = (requested[tier.id] || 0) + qty;
+  }
+  return { total: dataRows.length, valid, errors, requested };
+}
+
+module.exports = {
+  csvCell,
+  exportWriter,
+  parseCsv,
+  readSpreadsheet,
+  findImportTier,
+  checkImportRows
+};
@@ -0,0 +1,219 @@
+// ─────────────────────────────────────────────
+//  EMAIL OUTBOX
+//  Nothing calls Resend directly: every email is written to email_outbox and
+//  an in-process worker delivers it, retrying with exponential backoff until
+//  it goes out or runs out of attempts ('dead'). A Resend outage therefore
+//  never fails the request — or the Stripe webhook — that caused the email.
+//  Ticket emails are stored as buildEmailHTML options plus registration_ids
+//  and rendered (PDFs, wallet passes) only when they're sent.
+//
+//  createEmailOutbox() takes the clients and renderers from server.js;
+//  settleMessage(id) is told whenever a holder message's rows were sent.
+// ─────────────────────────────────────────────
+const OUTBOX_SWEEP_MS = 15 * 1000;
+const OUTBOX_BATCH = 25;
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BASE_DELAY_MS = 60 * 1000;            // 1m, 2m, 4m … ≈ 2h from first to last attempt
+const OUTBOX_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const OUTBOX_THROTTLE_MS = 30 * 1000;              // Resend rate limit: wait, without spending an attempt
+const OUTBOX_STALE_LOCK_MS = 10 * 60 * 1000;       // 'sending' this long = the worker died mid-send
+const EMAILS_PER_SECOND = Number(process.env.RESEND_EMAILS_PER_SECOND) || 2;   // Resend's default API rate
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function outboxRetryDelay(attempts) {
+  const delay = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1), OUTBOX_MAX_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));   // jitter so a burst doesn't retry in lockstep
+}
+
+// The registrations' email_status follows their tickets email (not reminders)
+const tracksTickets = row => !row.message_id && row.registration_ids?.length > 0;
+
+function createEmailOutbox({ supabase, resend, buildOrderPasses, buildEmailHTML, settleMessage }) {
+  // emails: [{ kind, to, subject, html } or { kind, to, subject, data, registration_ids, event_slug }]
+  // plus optional headers, event_slug, message_id, message_recipient_id, dedupe_key.
+  // A dedupe_key that is already in the outbox is ignored, whatever its status.
+  async function enqueueEmails(emails) {
+    if (!emails.length) return;
+    const rows = emails.map(e => ({
+      kind: e.kind,
+      to_email: e.to,
+      subject: e.subject,
+      html: e.html || null,
+      data: e.data || null,
+      headers: e.headers || null,
+      event_slug: e.event_slug || null,
+      registration_ids: e.registration_ids || null,
+      message_id: e.message_id || null,
+      message_recipient_id: e.message_recipient_id || null,
+      dedupe_key: e.dedupe_key || null
+    }));
+    const { data: inserted, error } = await supabase
+      .from('email_outbox')
+      .upsert(rows, { onConflict: 'dedupe_key', ignoreDuplicates: true })
+      .select('id, message_id, registration_ids');
+    if (error) throw new Error(`Supabase outbox: ${error.message}`);
+
+    const ticketIds = (inserted || []).filter(tracksTickets).flatMap(r => r.registration_ids);
+    if (ticketIds.length) {
+      await supabase.from('registrations').update({ email_status: 'queued', email_error: null }).in('id', ticketIds);
+    }
+    kickOutbox();
+  }
+
+  const enqueueEmail = email => enqueueEmails([email]);
+
+  // Ticket emails drop tickets refunded or transferred away since they were queued
+  async function renderTicketsEmail(row) {
+    const { data: tickets, error } = await supabase
+      .from('registrations')
+      .select('id, name, attendee_name, student_name')
+      .in('id', row.registration_ids || [])
+      .eq('payment_status', 'paid')
+      .order('created_at', { ascending: true });
+    if (error) throw new Error(`Supabase outbox tickets: ${error.message}`);
+    if (!tickets.length) return null;
+    const { qrCodes, attachments, appleWallet } = await buildOrderPasses(row.event_slug, tickets);
+    return {
+      html: buildEmailHTML({ student_name: tickets[0].student_name, ...row.data, qrCodes, appleWallet }),
+      attachments
+    };
+  }
+
+  // Final state of a row, mirrored onto the registrations or message recipient it was for
+  async function finishOutboxRow(row, patch) {
+    await supabase.from('email_outbox').update({ ...patch, locked_at: null }).eq('id', row.id);
+    const sent = patch.status === 'sent';
+    if (row.message_recipient_id) {
+      await supabase.from('event_message_recipients')
+        .update({
+          status: patch.status === 'dead' ? 'failed' : patch.status,
+          error: sent ? null : patch.last_error,
+          attempts: row.attempts + 1,
+          sent_at: patch.sent_at || null
+        })
+        .eq('id', row.message_recipient_id);
+    } else if (tracksTickets(row) && patch.status !== 'skipped') {
+      await supabase.from('registrations')
+        .update(sent
+          ? { email_status: 'sent', email_error: null, email_sent_at: patch.sent_at }
+          : { email_status: 'failed', email_error: patch.last_error })
+        .in('id', row.registration_ids);
+    }
+  }
+
+  // One attempt at a claimed row. Resolves false when Resend is throttling us.
+  async function deliverOutboxRow(row) {
+    const attempts = row.attempts + 1;
+    try {
+      const body = row.html ? { html: row.html } : await renderTicketsEmail(row);
+      if (!body) {
+        await finishOutboxRow(row, { status: 'skipped', last_error: 'no_valid_tickets' });
+        return true;
+      }
+      const { data, error } = await resend.emails.send({
+        from: process.env.RESEND_FROM_EMAIL,
+        to: row.to_email,
+        subject: row.subject,
+        headers: row.headers || undefined,
+        ...body
+      });
+      if (error) throw Object.assign(new Error(error.message), { rateLimited: error.name === 'rate_limit_exceeded' });
+      await finishOutboxRow(row, { status: 'sent', provider_id: data?.id || null, sent_at: new Date().toISOString(), last_error: null });
+    } catch (err) {
+      if (err.rateLimited) {
+        await supabase.from('email_outbox')
+          .update({ status: 'pending', attempts: row.attempts, locked_at: null, next_attempt_at: new Date(Date.now() + OUTBOX_THROTTLE_MS).toISOString() })
+          .eq('id', row.id);
+        return false;
+      }
+      const lastError = String(err.message).slice(0, 300);
+      console.error(`Outbox ${row.kind} email to ${row.to_email} failed (attempt ${attempts}):`, err.message);
+      if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+        await finishOutboxRow(row, { status: 'dead', last_error: lastError });
+      } else {
+        await supabase.from('email_outbox')
+          .update({ status: 'pending', locked_at: null, last_error: lastError, next_attempt_at: new Date(Date.now() + outboxRetryDelay(attempts)).toISOString() })
+          .eq('id', row.id);
+      }
+    }
+    return true;
+  }
+
+  let outboxRunning = false;
+  async function runOutbox() {
+    if (outboxRunning) return;
+    outboxRunning = true;
+    try {
+      await supabase.from('email_outbox')
+        .update({ status: 'pending', locked_at: null })
+        .eq('status', 'sending')
+        .lt('locked_at', new Date(Date.now() - OUTBOX_STALE_LOCK_MS).toISOString());
+
+      for (;;) {
+        const { data: due, error } = await supabase
+          .from('email_outbox')
+          .select('*')
+          .eq('status', 'pending')
+          .lte('next_attempt_at', new Date().toISOString())
+          .order('next_attempt_at')
+          .limit(OUTBOX_BATCH);
+        if (error) throw new Error(`Supabase outbox batch: ${error.message}`);
+        if (!due.length) return;
+
+        const messageIds = new Set();
+        let throttled = false;
+        for (const row of due) {
+          // Another instance may have claimed it first
+          const { data: claimed } = await supabase
+            .from('email_outbox')
+            .update({ status: 'sending', attempts: row.attempts + 1, locked_at: new Date().toISOString() })
+            .eq('id', row.id)
+            .eq('status', 'pending')
+            .select('id');
+          if (!claimed?.length) continue;
+
+          if (row.message_id) messageIds.add(row.message_id);
+          if (!(await deliverOutboxRow(row))) {
+            throttled = true;
+            break;
+          }
+          await sleep(1000 / EMAILS_PER_SECOND);
+        }
+        for (const id of messageIds) await settleMessage(id);
+        if (throttled) return;
+      }
+    } finally {
+      outboxRunning = false;
+    }
+  }
+
+  const kickOutbox = () => runOutbox().catch(err => console.error('Outbox error:', err.message));
+
+  // Sends a dead row of the event again from scratch; resolves false if there was none
+  async function retryDeadEmail(eventSlug, id) {
+    const { data: revived } = await supabase
+      .from('email_outbox')
+      .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('event_slug', eventSlug)
+      .eq('status', 'dead')
+      .select('id, message_id, registration_ids');
+    if (!revived?.length) return false;
+
+    if (tracksTickets(revived[0])) {
+      await supabase.from('registrations').update({ email_status: 'queued', email_error: null }).in('id', revived[0].registration_ids);
+    }
+    kickOutbox();
+    return true;
+  }
+
+  return {
+    enqueueEmails,
+    enqueueEmail,
+    retryDeadEmail,
+    start: () => setInterval(kickOutbox, OUTBOX_SWEEP_MS).unref()
+  };
+}
+
+module.exports = { createEmailOutbox };
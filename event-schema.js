@@ -0,0 +1,377 @@
+// ─────────────────────────────────────────────
+//  EVENT SCHEMA
+//  Everything an admin may write on an event, field by field. The row saved
+//  is built from this list, so anything else in the body (user_id, fee_policy,
+//  reminder_queued_at…) never reaches the table. Problems come back per field,
+//  keyed by path ('name', 'tiers.1.price') for create-event.html to mark.
+//  Cross-field rules (dates, tier rules, payment methods) run on the clean
+//  row afterwards through checkEventRules; their problems come back keyed by
+//  path the same way. A field with `permission` is only writable by roles
+//  that have it.
+//
+//  Nothing here touches the database: checkTierChanges is handed the ticket
+//  counts it needs by the update route in server.js.
+// ─────────────────────────────────────────────
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_TIMEZONE = 'America/Mexico_City';
+const TIER_MAX_PER_ORDER = 50;
+const ACCESS_CODE_RE = /^[A-Z0-9_-]{3,40}$/;
+const PAYMENT_METHODS = ['card', 'oxxo', 'spei'];   // card is always on; see ASYNC PAYMENTS in server.js
+
+function normalizeAccessCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// ─────────────────────────────────────────────
+//  DATES
+//  starts_at / ends_at are real instants and timezone the IANA zone the
+//  event happens in; wall-clock input is read in that zone.
+// ─────────────────────────────────────────────
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// How far ahead of UTC the zone's wall clock is at a given instant
+function timeZoneOffsetMs(date, tz) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "2026-12-31T22:00" is wall-clock time in the event's zone; values with Z or an
+// explicit offset are taken as-is. Returns null for blank, undefined if unparseable.
+function parseEventTime(value, tz) {
+  if (value === null || value === undefined || value === '') return null;
+  const str = String(value).trim();
+  if (/(z|[+-]\d{2}:?\d{2})$/i.test(str)) {
+    const date = new Date(str);
+    return isNaN(date) ? undefined : date;
+  }
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!m) return undefined;
+  const wall = Date.UTC(m[1], m[2] - 1, m[3], m[4], m[5], m[6] || 0);
+  // Second pass settles instants that land near a DST change
+  const first = wall - timeZoneOffsetMs(new Date(wall), tz);
+  return new Date(wall - timeZoneOffsetMs(new Date(first), tz));
+}
+
+// Validates and normalises starts_at / ends_at / timezone in an event body, in place.
+// currentTimezone: the stored zone, used when an update sends times without one.
+// Returns { field, error } for the first problem, or null.
+function normalizeEventDates(eventData, currentTimezone = null) {
+  if (!['starts_at', 'ends_at', 'timezone'].some(k => k in eventData)) return null;
+
+  const tz = eventData.timezone || currentTimezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(tz)) return { field: 'timezone', error: 'Zona horaria no válida.' };
+  if ('timezone' in eventData) eventData.timezone = tz;
+
+  for (const key of ['starts_at', 'ends_at']) {
+    if (!(key in eventData)) continue;
+    const date = parseEventTime(eventData[key], tz);
+    if (date === undefined) return { field: key, error: key === 'starts_at' ? 'Fecha de inicio no válida.' : 'Fecha de fin no válida.' };
+    eventData[key] = date ? date.toISOString() : null;
+  }
+  if (eventData.ends_at && !eventData.starts_at && 'starts_at' in eventData) {
+    return { field: 'starts_at', error: 'Indica la fecha de inicio antes que la de fin.' };
+  }
+  if (eventData.starts_at && eventData.ends_at && new Date(eventData.ends_at) <= new Date(eventData.starts_at)) {
+    return { field: 'ends_at', error: 'La fecha de fin debe ser posterior al inicio.' };
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────
+//  TIER RULES AND PAYMENT METHODS
+//  What each tier field means is under TIER RULES in server.js.
+// ─────────────────────────────────────────────
+// Validates and normalises the rule fields of eventData.tiers, in place.
+// tz: the event's zone, for sale dates sent as wall-clock times.
+// Returns { field, error } for the first problem (field like 'tiers.0.sale_ends_at'), or null.
+function normalizeTierRules(eventData, tz) {
+  if (!Array.isArray(eventData.tiers)) return null;
+  const ids = new Set(eventData.tiers.map(t => t.id));
+
+  for (const [i, tier] of eventData.tiers.entries()) {
+    const name = tier.label || tier.id;
+    const problem = (key, error) => ({ field: `tiers.${i}.${key}`, error });
+    for (const key of ['sale_starts_at', 'sale_ends_at']) {
+      const date = parseEventTime(tier[key], tz);
+      if (date === undefined) return problem(key, `Fecha de venta no válida en ${name}.`);
+      if (date) tier[key] = date.toISOString();
+      else delete tier[key];
+    }
+    if (tier.sale_starts_at && tier.sale_ends_at && new Date(tier.sale_ends_at) <= new Date(tier.sale_starts_at)) {
+      return problem('sale_ends_at', `La venta de ${name} debe terminar después de abrir.`);
+    }
+
+    if (tier.hidden) tier.hidden = true;
+    else delete tier.hidden;
+    const code = normalizeAccessCode(tier.access_code);
+    if (code && !ACCESS_CODE_RE.test(code)) return problem('access_code', `Código de acceso no válido en ${name} (3 a 40 letras, números, - o _).`);
+    if (code) tier.access_code = code;
+    else delete tier.access_code;
+
+    for (const key of ['min_per_order', 'max_per_order']) {
+      if (tier[key] === undefined || tier[key] === null || tier[key] === '') {
+        delete tier[key];
+        continue;
+      }
+      const n = Number(tier[key]);
+      if (!Number.isInteger(n) || n < 1 || n > TIER_MAX_PER_ORDER) return problem(key, `Boletos por orden no válidos en ${name} (1 a ${TIER_MAX_PER_ORDER}).`);
+      tier[key] = n;
+    }
+    if (tier.min_per_order && tier.max_per_order && tier.min_per_order > tier.max_per_order) {
+      return problem('min_per_order', `El mínimo por orden de ${name} no puede pasar del máximo.`);
+    }
+
+    if (!tier.opens_after) delete tier.opens_after;
+    else if (tier.opens_after === tier.id || !ids.has(tier.opens_after)) return problem('opens_after', `${name} debe abrir después de otro tier del evento.`);
+  }
+
+  // opens_after chains must end somewhere
+  const after = Object.fromEntries(eventData.tiers.map(t => [t.id, t.opens_after]));
+  for (const [i, tier] of eventData.tiers.entries()) {
+    const seen = new Set();
+    for (let id = tier.id; id; id = after[id]) {
+      if (seen.has(id)) return { field: `tiers.${i}.opens_after`, error: 'Los tiers no pueden abrir uno después del otro en círculo.' };
+      seen.add(id);
+    }
+  }
+  return null;
+}
+
+// Validates events.payment_methods in an admin create/update body; returns { field, error } or null
+function normalizePaymentMethods(eventData) {
+  if (!('payment_methods' in eventData)) return null;
+  if (eventData.payment_methods == null) {
+    eventData.payment_methods = null;
+    return null;
+  }
+  const methods = Array.isArray(eventData.payment_methods)
+    ? eventData.payment_methods
+    : String(eventData.payment_methods).split(',');
+  const clean = [...new Set(methods.map(m => String(m).trim().toLowerCase()).filter(Boolean))];
+  const unknown = clean.find(m => !PAYMENT_METHODS.includes(m));
+  if (unknown) return { field: 'payment_methods', error: `Método de pago no válido: ${unknown}.` };
+  eventData.payment_methods = PAYMENT_METHODS.filter(m => m === 'card' || clean.includes(m));
+  return null;
+}
+
+// ─────────────────────────────────────────────
+//  FIELDS
+// ─────────────────────────────────────────────
+const TIER_SCHEMA = {
+  id:             { type: 'text', label: 'Id', required: true, max: 40, pattern: /^[A-Za-z0-9_-]+$/ },
+  label:          { type: 'text', label: 'Nombre', required: true, max: 80 },
+  price:          { type: 'number', label: 'Precio', required: true, min: 0, max: 1000000 },
+  capacity:       { type: 'integer', label: 'Capacidad', required: true, min: 1, max: 100000 },
+  sale_starts_at: { type: 'datetime', label: 'Venta abre' },
+  sale_ends_at:   { type: 'datetime', label: 'Venta cierra' },
+  opens_after:    { type: 'text', label: 'Abre cuando se agote', max: 40 },
+  min_per_order:  { type: 'integer', label: 'Mín. por orden', min: 1, max: TIER_MAX_PER_ORDER },
+  max_per_order:  { type: 'integer', label: 'Máx. por orden', min: 1, max: TIER_MAX_PER_ORDER },
+  hidden:         { type: 'boolean', label: 'Oculto' },
+  access_code:    { type: 'text', label: 'Código de acceso', max: 40 }
+};
+
+const SPONSOR_SCHEMA = {
+  name: { type: 'text', label: 'Nombre', required: true, max: 100 },
+  logo: { type: 'url', label: 'Logo' }
+};
+
+const EVENT_SCHEMA = {
+  slug:              { type: 'text', label: 'Slug', required: true, max: 80, createOnly: true },
+  name:              { type: 'text', label: 'Nombre', required: true, max: 150 },
+  subtitle:          { type: 'text', label: 'Subtítulo', max: 200 },
+  promoter_name:     { type: 'text', label: 'Promotor', max: 120 },
+  date_label:        { type: 'text', label: 'Fecha (texto)', max: 80 },
+  time_label:        { type: 'text', label: 'Horario (texto)', max: 80 },
+  starts_at:         { type: 'datetime', label: 'Inicio' },
+  ends_at:           { type: 'datetime', label: 'Fin' },
+  timezone:          { type: 'text', label: 'Zona horaria', max: 64 },
+  reminder_hours:    { type: 'integer', label: 'Recordatorio', min: 0, max: 168 },
+  venue:             { type: 'text', label: 'Venue', max: 150 },
+  city:              { type: 'text', label: 'Ciudad', max: 100 },
+  address:           { type: 'text', label: 'Dirección', max: 300 },
+  map_url:           { type: 'url', label: 'Mapa' },
+  banner_url:        { type: 'url', label: 'Banner' },
+  layout_url:        { type: 'url', label: 'Layout' },
+  description:       { type: 'text', label: 'Descripción', max: 10000 },
+  dos:               { type: 'text', label: 'Qué sí', max: 3000 },
+  donts:             { type: 'text', label: 'Qué no', max: 3000 },
+  restrictions:      { type: 'text', label: 'Restricciones', max: 3000 },
+  contact_email:     { type: 'email', label: 'Correo de contacto' },
+  contact_phone:     { type: 'text', label: 'Teléfono de contacto', max: 40 },
+  contact_instagram: { type: 'text', label: 'Instagram', max: 80 },
+  sponsors:          { type: 'list', label: 'Sponsors', max: 30, items: SPONSOR_SCHEMA },
+  tiers:             { type: 'list', label: 'Tiers', min: 1, max: 20, items: TIER_SCHEMA },
+  is_free:           { type: 'boolean', label: 'Evento gratuito' },
+  max_per_email:     { type: 'integer', label: 'Boletos por correo', min: 1, max: 50 },
+  require_signed_qr: { type: 'boolean', label: 'QR firmado' },
+  allow_transfers:   { type: 'boolean', label: 'Transferencias' },
+  payment_methods:   { type: 'list', label: 'Métodos de pago', max: 10, of: 'text' },
+  published:         { type: 'boolean', label: 'Publicado', permission: 'manage' }   // unpublishing stays with the owner
+};
+
+// One value against its rule: { value } or { error }. Blank optional values become null (text stays '').
+function checkFieldValue(rule, raw) {
+  if (raw === null || (typeof raw === 'string' && !raw.trim() && rule.type !== 'text')) {
+    return rule.required ? { error: 'Es obligatorio.' } : { value: null };
+  }
+  switch (rule.type) {
+    case 'text': {
+      if (typeof raw !== 'string') return { error: 'Debe ser texto.' };
+      const value = raw.trim();
+      if (!value && rule.required) return { error: 'Es obligatorio.' };
+      if (value.length > rule.max) return { error: `Máximo ${rule.max} caracteres.` };
+      if (value && rule.pattern && !rule.pattern.test(value)) return { error: 'Solo letras, números, - y _.' };
+      return { value };
+    }
+    case 'url':
+      if (typeof raw !== 'string' || !/^https?:\/\/\S+$/i.test(raw.trim()) || raw.length > 2000) {
+        return { error: 'Debe ser una URL que empiece con http:// o https://.' };
+      }
+      return { value: raw.trim() };
+    case 'email':
+      if (typeof raw !== 'string' || !EMAIL_RE.test(raw.trim())) return { error: 'Correo electrónico no válido.' };
+      return { value: raw.trim().toLowerCase() };
+    case 'datetime':   // read in the event's zone later, by normalizeEventDates / normalizeTierRules
+      return typeof raw === 'string' ? { value: raw } : { error: 'Fecha no válida.' };
+    case 'boolean':
+      return typeof raw === 'boolean' ? { value: raw } : { error: 'Debe ser sí o no.' };
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'string' ? Number(raw) : raw;
+      const ok = typeof value === 'number' && Number.isFinite(value) && (rule.type === 'number' || Number.isInteger(value));
+      if (!ok) return { error: rule.type === 'integer' ? 'Debe ser un número entero.' : 'Debe ser un número.' };
+      if (value < rule.min) return { error: rule.min === 0 ? 'No puede ser negativo.' : `Mínimo ${rule.min}.` };
+      if (value > rule.max) return { error: `Máximo ${rule.max}.` };
+      return { value };
+    }
+  }
+  return { error: 'Campo no válido.' };
+}
+
+// Builds a clean object from `input` following `schema`. partial: only the keys sent (updates).
+// Problems land in fields[path]; labels[path] names each one for the summary message.
+function applySchema(schema, input, fields, labels, { prefix = '', partial = false, creating = true, can = () => true } = {}) {
+  const row = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    if (rule.createOnly && !creating) continue;
+    const path = prefix + key;
+    labels[path] = rule.label;
+    if (input[key] === undefined) {
+      if (rule.required && !partial) fields[path] = 'Es obligatorio.';
+      continue;
+    }
+    if (rule.permission && !can(rule.permission)) {
+      fields[path] = 'Solo el dueño del evento puede cambiarlo.';
+      continue;
+    }
+    if (rule.type !== 'list') {
+      const { value, error } = checkFieldValue(rule, input[key]);
+      if (error) fields[path] = error;
+      else row[key] = value;
+      continue;
+    }
+
+    const list = input[key];
+    if (!Array.isArray(list)) { fields[path] = 'Debe ser una lista.'; continue; }
+    if (list.length > rule.max) { fields[path] = `Máximo ${rule.max}.`; continue; }
+    if (list.length < (rule.min || 0)) { fields[path] = `Agrega al menos ${rule.min}.`; continue; }
+    row[key] = list.map((item, i) => {
+      if (rule.of) {
+        const { value, error } = checkFieldValue({ type: rule.of, max: 40, required: true }, item);
+        if (error) fields[`${path}.${i}`] = error;
+        return value;
+      }
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        fields[`${path}.${i}`] = 'No válido.';
+        return null;
+      }
+      return applySchema(rule.items, item, fields, labels, { prefix: `${path}.${i}.` });
+    });
+  }
+  return row;
+}
+
+// Validates a create/update body; returns { row } or { error, fields }. can(permission)
+// answers for the caller's role on the event (the creator owns it, so everything).
+// error summarises the first problem, e.g. "Tier 2 · Precio: no puede ser negativo."
+function validateEventInput(body, { partial = false, can } = {}) {
+  const fields = {};
+  const labels = {};
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Datos del evento no válidos.', fields };
+  }
+  const row = applySchema(EVENT_SCHEMA, body, fields, labels, { partial, creating: !partial, can });
+
+  // Sold tickets point at tier ids, so two tiers can never share one
+  const seen = new Set();
+  (row.tiers || []).forEach((tier, i) => {
+    if (!tier?.id) return;
+    if (seen.has(tier.id)) fields[`tiers.${i}.id`] = 'Hay otro tier con el mismo id.';
+    seen.add(tier.id);
+  });
+
+  const [path, message] = Object.entries(fields)[0] || [];
+  if (!path) return { row };
+  const tierMatch = /^tiers\.(\d+)\./.exec(path);
+  const where = [tierMatch && `Tier ${Number(tierMatch[1]) + 1}`, labels[path]].filter(Boolean).join(' · ');
+  return {
+    error: `${where ? `${where}: ` : ''}${message.charAt(0).toLowerCase()}${message.slice(1)}`,
+    fields
+  };
+}
+
+// Runs the cross-field rules on a validated row, in place; returns { error, fields } like
+// validateEventInput, or null. currentTimezone: the stored zone, on updates.
+function checkEventRules(eventData, currentTimezone = null) {
+  const problem = normalizeEventDates(eventData, currentTimezone)
+    || normalizeTierRules(eventData, eventData.timezone || currentTimezone || DEFAULT_TIMEZONE)
+    || normalizePaymentMethods(eventData);
+  return problem && { error: problem.error, fields: { [problem.field]: problem.error } };
+}
+
+// Tier edits can't strand sold tickets: a tier with tickets can't be removed,
+// nor its capacity set below what it has sold. counts.issued(tierId) and
+// counts.sold(tierId) come from the database (paid + pending / seats taken).
+// Returns { error, fields } or null.
+async function checkTierChanges(currentTiers, nextTiers, counts) {
+  const fields = {};
+  let error = null;
+  const nextById = Object.fromEntries(nextTiers.map((t, i) => [t.id, { tier: t, index: i }]));
+
+  for (const tier of currentTiers || []) {
+    const next = nextById[tier.id];
+    if (!next) {
+      const count = await counts.issued(tier.id);
+      if (count) error = error || `${tier.label} ya tiene ${count} boleto${count === 1 ? '' : 's'}; no se puede eliminar.`;
+      continue;
+    }
+    if (next.tier.capacity >= tier.capacity) continue;
+    const sold = await counts.sold(tier.id);
+    if (next.tier.capacity < sold) {
+      fields[`tiers.${next.index}.capacity`] = `Ya se vendieron ${sold}; la capacidad no puede ser menor.`;
+      error = error || `${tier.label}: ya se vendieron ${sold} boletos, la capacidad no puede ser menor.`;
+    }
+  }
+  return error ? { error, fields } : null;
+}
+
+module.exports = {
+  EMAIL_RE,
+  DEFAULT_TIMEZONE,
+  normalizeAccessCode,
+  validateEventInput,
+  checkEventRules,
+  checkTierChanges
+};
@@ -0,0 +1,259 @@
+// ─────────────────────────────────────────────
+//  HOLDER MESSAGES — reminders & announcements
+//  A message is expanded into one event_message_recipients row per holder (the
+//  attendee's email when a ticket has one, otherwise the buyer's), and each row is
+//  handed to the email outbox, which delivers and retries it.
+//  The reminder is queued automatically reminder_hours before starts_at and
+//  carries the holder's tickets; announcements are written by the promoter.
+//  Unsubscribing (per event) silences everything except essential announcements.
+//
+//  The admin routes and /unsubscribe stay in server.js; this is the sender.
+// ─────────────────────────────────────────────
+const { signLinkToken } = require('./ticket-signing');
+
+const MESSAGE_SWEEP_MS = 60 * 1000;
+const REMINDER_MAX_LEAD_MS = 7 * 24 * 60 * 60 * 1000;
+const ANNOUNCEMENT_MAX_BODY = 5000;
+
+function unsubscribeToken(email, slug) {
+  return signLinkToken('unsubscribe', { e: email.toLowerCase(), s: slug });
+}
+
+function createHolderMessages({ supabase, enqueueEmails, getPassEvent, buildNoticeEmailHTML, escapeHtml, baseUrl }) {
+  // Every paid holder of the event (optionally only some tiers), one entry per address
+  async function collectHolders(slug, tierIds) {
+    const holders = new Map();
+    for (let from = 0; ; from += 1000) {
+      let query = supabase
+        .from('registrations')
+        .select('id, name, email, attendee_name, attendee_email')
+        .eq('event_slug', slug)
+        .eq('payment_status', 'paid')
+        .order('id')
+        .range(from, from + 999);
+      if (tierIds?.length) query = query.in('tier_id', tierIds);
+      const { data, error } = await query;
+      if (error) throw new Error(`Supabase holders: ${error.message}`);
+      for (const r of data) {
+        const email = (r.attendee_email || r.email).toLowerCase();
+        if (!holders.has(email)) {
+          holders.set(email, { email, name: r.attendee_email ? r.attendee_name || r.name : r.name, ticket_ids: [] });
+        }
+        holders.get(email).ticket_ids.push(r.id);
+      }
+      if (data.length < 1000) break;
+    }
+    return [...holders.values()];
+  }
+
+  async function refreshMessageCounts(messageId, extra = {}) {
+    const count = status => supabase
+      .from('event_message_recipients')
+      .select('id', { count: 'exact', head: true })
+      .eq('message_id', messageId)
+      .eq('status', status);
+    const [sent, failed, skipped] = await Promise.all([count('sent'), count('failed'), count('skipped')]);
+    await supabase.from('event_messages')
+      .update({ sent: sent.count || 0, failed: failed.count || 0, skipped: skipped.count || 0, ...extra })
+      .eq('id', messageId);
+  }
+
+  // queued → sending: snapshot who gets the message right now
+  async function expandMessage(message) {
+    const holders = await collectHolders(message.event_slug, message.tier_ids);
+    let unsubscribed = new Set();
+    if (!message.essential) {
+      const { data } = await supabase.from('email_unsubscribes').select('email').eq('event_slug', message.event_slug);
+      unsubscribed = new Set((data || []).map(u => u.email));
+    }
+
+    const rows = holders.map(h => ({
+      message_id: message.id,
+      email: h.email,
+      name: h.name,
+      ticket_ids: message.kind === 'reminder' ? h.ticket_ids : null,
+      status: unsubscribed.has(h.email) ? 'skipped' : 'pending',
+      error: unsubscribed.has(h.email) ? 'unsubscribed' : null
+    }));
+    for (let i = 0; i < rows.length; i += 500) {
+      const { error } = await supabase
+        .from('event_message_recipients')
+        .upsert(rows.slice(i, i + 500), { onConflict: 'message_id,email', ignoreDuplicates: true });
+      if (error) throw new Error(`Supabase message recipients: ${error.message}`);
+    }
+    await supabase.from('event_messages')
+      .update({ status: 'sending', recipients: rows.length, skipped: rows.filter(r => r.status === 'skipped').length })
+      .eq('id', message.id)
+      .eq('status', 'queued');
+  }
+
+  // The outbox row for one recipient. Reminders carry the holder's tickets and are
+  // rendered when sent; announcements are rendered now.
+  function messageEmail(message, event, recipient) {
+    const token = message.essential ? null : unsubscribeToken(recipient.email, message.event_slug);
+    const unsubscribeUrl = token && `${baseUrl}/unsubscribe.html?token=${token}`;
+    const email = {
+      kind: 'message',
+      to: recipient.email,
+      subject: message.subject,
+      event_slug: message.event_slug,
+      message_id: message.id,
+      message_recipient_id: recipient.id,
+      dedupe_key: `message:${recipient.id}`,
+      headers: token ? {
+        'List-Unsubscribe': `<${baseUrl}/unsubscribe?token=${token}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      } : null
+    };
+
+    if (message.kind === 'reminder') {
+      return {
+        ...email,
+        registration_ids: recipient.ticket_ids || [],
+        data: {
+          name: recipient.name,
+          unsubscribeUrl,
+          reminder: [event.date_label, event.time_label].filter(Boolean).join(' · ') || 'día del evento'
+        }
+      };
+    }
+    return {
+      ...email,
+      html: buildNoticeEmailHTML({
+        tag: `// ${escapeHtml(event.name)}`,
+        title: escapeHtml(message.subject),
+        body: `Hola${recipient.name ? `, ${escapeHtml(recipient.name)}` : ''}.<br/><br/>${escapeHtml(message.body).replace(/\r?\n/g, '<br/>')}`,
+        footnote: `Recibes este aviso porque tienes boletos para ${escapeHtml(event.name)}.`
+          + (unsubscribeUrl ? ` <a href="${unsubscribeUrl}" style="color:#666666;">Dejar de recibir avisos de este evento</a>` : '')
+      })
+    };
+  }
+
+  // Refreshes the counts and completes the message once nothing is left in flight
+  async function settleMessage(messageId) {
+    await refreshMessageCounts(messageId);
+    const { count, error } = await supabase
+      .from('event_message_recipients')
+      .select('id', { count: 'exact', head: true })
+      .eq('message_id', messageId)
+      .in('status', ['pending', 'sending']);
+    if (error || count > 0) return;
+    await supabase.from('event_messages')
+      .update({ status: 'completed', completed_at: new Date().toISOString() })
+      .eq('id', messageId)
+      .eq('status', 'sending');
+  }
+
+  // Hands a message's pending recipients to the outbox (pending → sending)
+  async function enqueueMessage(message) {
+    const event = await getPassEvent(message.event_slug, '');
+    for (;;) {
+      const { data: current } = await supabase.from('event_messages').select('status').eq('id', message.id).single();
+      if (current?.status !== 'sending') return;   // cancelled meanwhile
+
+      const { data: batch, error } = await supabase
+        .from('event_message_recipients')
+        .select('*')
+        .eq('message_id', message.id)
+        .eq('status', 'pending')
+        .limit(200);
+      if (error) throw new Error(`Supabase message batch: ${error.message}`);
+      if (!batch.length) break;
+
+      await enqueueEmails(batch.map(r => messageEmail(message, event, r)));
+      await supabase.from('event_message_recipients')
+        .update({ status: 'sending' })
+        .in('id', batch.map(r => r.id))
+        .eq('status', 'pending');
+    }
+    await settleMessage(message.id);
+  }
+
+  // Queues the reminder for every published event now inside its reminder window
+  async function queueDueReminders() {
+    const now = Date.now();
+    const { data: events, error } = await supabase
+      .from('events')
+      .select('slug, name, starts_at, reminder_hours')
+      .eq('published', true)
+      .is('reminder_queued_at', null)
+      .gt('starts_at', new Date(now).toISOString())
+      .lt('starts_at', new Date(now + REMINDER_MAX_LEAD_MS).toISOString());
+    if (error) throw new Error(`Supabase reminders: ${error.message}`);
+
+    for (const ev of events || []) {
+      if (!(ev.reminder_hours > 0) || new Date(ev.starts_at).getTime() - ev.reminder_hours * 60 * 60 * 1000 > now) continue;
+      // Claim the event first so a restart can't queue the same reminder twice
+      const { data: claimed } = await supabase
+        .from('events')
+        .update({ reminder_queued_at: new Date().toISOString() })
+        .eq('slug', ev.slug)
+        .is('reminder_queued_at', null)
+        .select('slug');
+      if (!claimed?.length) continue;
+      const { error: insertErr } = await supabase.from('event_messages').insert([{
+        event_slug: ev.slug, kind: 'reminder', subject: `⏰ Ya casi — ${ev.name}`, essential: false
+      }]);
+      if (insertErr) console.error('Reminder queue error:', insertErr.message);
+    }
+  }
+
+  let messageSenderRunning = false;
+  async function runMessageSender() {
+    if (messageSenderRunning) return;
+    messageSenderRunning = true;
+    try {
+      await queueDueReminders();
+      const { data: queued } = await supabase.from('event_messages').select('*').eq('status', 'queued').order('created_at');
+      for (const message of queued || []) await expandMessage(message);
+
+      const { data: sending } = await supabase.from('event_messages').select('*').eq('status', 'sending').order('created_at');
+      for (const message of sending || []) await enqueueMessage(message);
+    } finally {
+      messageSenderRunning = false;
+    }
+  }
+
+  const kickMessageSender = () => runMessageSender().catch(err => console.error('Message sender error:', err.message));
+
+  // Stops a queued or sending message; resolves false if it had already finished
+  async function cancelMessage(eventSlug, messageId) {
+    const { data: cancelled } = await supabase
+      .from('event_messages')
+      .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+      .eq('id', messageId)
+      .eq('event_slug', eventSlug)
+      .in('status', ['queued', 'sending'])
+      .select('id');
+    if (!cancelled?.length) return false;
+
+    // Whatever the outbox hasn't handed to Resend yet stays unsent
+    const { data: dropped } = await supabase
+      .from('email_outbox')
+      .update({ status: 'cancelled' })
+      .eq('message_id', messageId)
+      .eq('status', 'pending')
+      .select('message_recipient_id');
+    const droppedIds = (dropped || []).map(r => r.message_recipient_id);
+    for (let i = 0; i < droppedIds.length; i += 200) {
+      await supabase.from('event_message_recipients')
+        .update({ status: 'skipped', error: 'cancelled' })
+        .in('id', droppedIds.slice(i, i + 200));
+    }
+    await supabase.from('event_message_recipients')
+      .update({ status: 'skipped', error: 'cancelled' })
+      .eq('message_id', messageId)
+      .eq('status', 'pending');
+    await refreshMessageCounts(messageId);
+    return true;
+  }
+
+  return {
+    settleMessage,
+    cancelMessage,
+    kickMessageSender,
+    start: () => setInterval(kickMessageSender, MESSAGE_SWEEP_MS).unref()
+  };
+}
+
+module.exports = { ANNOUNCEMENT_MAX_BODY, createHolderMessages };
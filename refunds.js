@@ -0,0 +1,29 @@
+// ─────────────────────────────────────────────
+//  REFUND AMOUNTS
+//  How much of an order's charge goes back when some of its tickets are
+//  cancelled. Plain arithmetic on registration rows — the refund route in
+//  server.js claims the rows and talks to Stripe.
+// ─────────────────────────────────────────────
+
+// Statuses a ticket can reach after being paid for on its charge
+const CHARGED_STATUSES = ['paid', 'refunding', 'refunded', 'void'];
+
+// Cents to refund for `toCancel`, or null to refund whatever is left on the charge.
+// `order` is every ticket of the order (minus rows retired by a transfer).
+// `intentAmount()` resolves to the charge total in cents; it's only called for
+// tickets sold before each one stored what it paid.
+async function refundAmountCents({ toCancel, order, paymentIntent, intentAmount }) {
+  const stillPaid = order.filter(t => t.payment_status === 'paid').length;
+  // Cancelling the rest of the order: refund whatever remains so rounding never strands centavos
+  if (toCancel.length >= stillPaid) return null;
+
+  if (toCancel.every(t => t.amount_paid != null)) {
+    return toCancel.reduce((s, t) => s + Math.round(Number(t.amount_paid) * 100), 0);
+  }
+  // Share the charge among the tickets it originally paid for, refunded or not
+  const paidOnIntent = order.filter(t => t.stripe_payment_intent === paymentIntent
+    && CHARGED_STATUSES.includes(t.payment_status)).length;
+  return Math.floor(await intentAmount() / Math.max(paidOnIntent, stillPaid)) * toCancel.length;
+}
+
+module.exports = { refundAmountCents };
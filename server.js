@@ -5,11 +5,22 @@ const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const { Resend } = require('resend');
-const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const Stripe = require('stripe');
 const multer = require('multer');
+const passes = require('./ticket-passes');
+const {
+  QR_KEYS, QR_SECRET, safeEqual, signTicket, verifyTicket, qrPayloadHashes, hashScanToken,
+  signLinkToken, verifyLinkToken, linkTokenExpired
+} = require('./ticket-signing');
+const { refundAmountCents } = require('./refunds');
+const { createEmailOutbox } = require('./email-outbox');
+const { ANNOUNCEMENT_MAX_BODY, createHolderMessages } = require('./holder-messages');
+const { exportWriter, readSpreadsheet, findImportTier, checkImportRows } = require('./attendee-files');
+const {
+  EMAIL_RE, DEFAULT_TIMEZONE, normalizeAccessCode, validateEventInput, checkEventRules, checkTierChanges
+} = require('./event-schema');
 
 const app = express();
 
@@ -17,61 +28,34 @@ const app = express();
 app.use(cors({
   origin: ['https://colectivo.live', 'https://www.colectivo.live'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Scan-Token'],
+  exposedHeaders: ['Content-Disposition']   // export downloads keep their filename
 }));
 
-app.use(express.json());
+// JSON everywhere except the Stripe webhook, which needs the raw body to verify its signature
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/stripe-webhook' ? next() : jsonParser(req, res, next)));
 
 // ── RATE LIMITERS ──
 const generalLimiter = rateLimit({ windowMs: 60_000, max: 120, standardHeaders: true, legacyHeaders: false });
 const authLimiter    = rateLimit({ windowMs: 60_000, max: 10,  message: { error: 'Demasiados intentos. Espera un momento.' } });
 const scanLimiter    = rateLimit({ windowMs: 60_000, max: 60,  message: { error: 'Límite de escaneo alcanzado.' } });
 const payLimiter     = rateLimit({ windowMs: 60_000, max: 20,  message: { error: 'Demasiadas solicitudes de pago.' } });
+const rsvpLimiter    = rateLimit({ windowMs: 10 * 60_000, max: 5, message: { error: 'Demasiados registros. Intenta más tarde.' } });
+const manageLimiter  = rateLimit({ windowMs: 10 * 60_000, max: 30, message: { error: 'Demasiadas solicitudes. Intenta más tarde.' } });
 
 app.use(generalLimiter);
 app.use('/auth/login',    authLimiter);
 app.use('/auth/invite',   authLimiter);
+app.use('/auth/forgot-password', authLimiter);
+app.use('/auth/reset-password',  authLimiter);
 app.use('/v2/scan',       scanLimiter);
 app.use('/confirm-payment', payLimiter);
 app.use('/create-payment',  payLimiter);
-
-// ─────────────────────────────────────────────
-//  QR SIGNING HELPERS
-//  QR payload format:  ticketId|sig
-//  sig = HMAC-SHA256(ticketId + '|' + eventSlug, QR_SECRET).slice(0,24)
-//  Backward compat: plain UUIDs (no '|') are still accepted but flagged unsigned
-// ─────────────────────────────────────────────
-const QR_SECRET = process.env.QR_SECRET || 'change-me-in-production';
-
-function signTicket(ticketId, eventSlug) {
-  const sig = crypto.createHmac('sha256', QR_SECRET)
-    .update(`${ticketId}|${eventSlug}`)
-    .digest('hex')
-    .slice(0, 24);
-  return `${ticketId}|${sig}`;
-}
-
-function verifyTicket(payload, eventSlug) {
-  if (!payload.includes('|')) {
-    // Legacy unsigned QR — still valid, just unverified
-    return { ticketId: payload, signed: false };
-  }
-  const [ticketId, sig] = payload.split('|');
-  const expected = crypto.createHmac('sha256', QR_SECRET)
-    .update(`${ticketId}|${eventSlug}`)
-    .digest('hex')
-    .slice(0, 24);
-  const valid = crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
-  return { ticketId, signed: true, valid };
-}
-
-// Scan token — deterministic per slug, no DB needed
-function makeScanToken(slug) {
-  return crypto.createHmac('sha256', QR_SECRET)
-    .update(`scan:${slug}`)
-    .digest('hex')
-    .slice(0, 32);
-}
+app.use('/register',        rsvpLimiter);
+app.use('/waitlist',        rsvpLimiter);
+app.use('/tickets/manage',  manageLimiter);
+app.use('/unsubscribe',     manageLimiter);
 
 // ── Root → redirect to Colectivo login ──
 app.get('/', (req, res) => {
@@ -94,10 +78,22 @@ const supabaseAnon = createClient(
 );
 
 const resend = new Resend(process.env.RESEND_API_KEY);
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+// STRIPE_API_BASE points the SDK somewhere else — e.g. http://localhost:12111 for stripe-mock
+function stripeClientOptions(base) {
+  if (!base) return {};
+  const url = new URL(base);
+  const protocol = url.protocol.replace(':', '');
+  return { host: url.hostname, port: Number(url.port) || (protocol === 'http' ? 80 : 443), protocol };
+}
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY, stripeClientOptions(process.env.STRIPE_API_BASE));
 
 const BASE_URL = process.env.BASE_URL || 'https://api.colectivo.live';
 
+// Anything a buyer or promoter typed must go through this before it lands in email HTML
+function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 // ─────────────────────────────────────────────
 //  AUTH MIDDLEWARE
 // ─────────────────────────────────────────────
@@ -113,11 +109,38 @@ async function requireAuth(req, res, next) {
   req.user = user;
   // Attach role so all endpoints can scope by it without extra queries
   const { data: profile } = await supabase
-    .from('profiles').select('role').eq('id', user.id).single();
+    .from('profiles').select('role, deactivated_at').eq('id', user.id).single();
+  // Deactivation is banned at Supabase too, but tokens already issued live until they expire
+  if (profile?.deactivated_at) return res.status(401).json({ error: 'Cuenta desactivada.' });
   req.user.role = profile?.role || 'promoter';
   next();
 }
 
+// Door scanner: token from the scan link (body.token or X-Scan-Token header),
+// valid for :slug, not expired, not revoked. Attaches req.scanner.
+async function requireScanner(req, res, next) {
+  const token = req.body?.token || req.headers['x-scan-token'];
+  if (!token) return res.status(401).json({ status: 'not_found', message: 'Token de escaneo inválido.' });
+
+  const { data: cred } = await supabase
+    .from('scanner_credentials')
+    .select('id, event_slug, label, expires_at, revoked_at')
+    .eq('token_hash', hashScanToken(token))
+    .single();
+  if (!cred || cred.event_slug !== req.params.slug) {
+    return res.status(401).json({ status: 'not_found', message: 'Token de escaneo inválido.' });
+  }
+  if (cred.revoked_at || new Date(cred.expires_at) < new Date()) {
+    return res.status(401).json({ status: 'not_found', message: 'Credencial de escaneo expirada o revocada.' });
+  }
+
+  req.scanner = cred;
+  req.scanToken = token;
+  supabase.from('scanner_credentials').update({ last_used_at: new Date().toISOString() }).eq('id', cred.id)
+    .then(({ error }) => { if (error) console.error('Scanner last_used error:', error.message); });
+  next();
+}
+
 async function requireSuperAdmin(req, res, next) {
   if (req.user.role !== 'superadmin') {
     return res.status(403).json({ error: 'Acceso denegado. Se requiere superadmin.' });
@@ -125,6 +148,118 @@ async function requireSuperAdmin(req, res, next) {
   next();
 }
 
+// ─────────────────────────────────────────────
+//  EVENT TEAM ROLES
+//  Besides its owner (events.user_id) an event can have collaborators in
+//  event_members, keyed by email so an invite works before the account
+//  exists. Every /v2/admin/events/:slug* route names the permission it needs;
+//  superadmin counts as owner everywhere.
+//    co_promoter  edits the event, sees stats and revenue, runs the door
+//    door_lead    scanner links, undo check-ins, resend QRs — no revenue
+//    viewer       read-only stats, revenue included
+//  Refunds, unpublishing and the team itself stay with the owner.
+// ─────────────────────────────────────────────
+const EVENT_PERMISSIONS = {
+  owner:       ['view', 'revenue', 'edit', 'door', 'refund', 'manage'],
+  co_promoter: ['view', 'revenue', 'edit', 'door'],
+  door_lead:   ['view', 'door'],
+  viewer:      ['view', 'revenue']
+};
+const TEAM_ROLES = ['co_promoter', 'door_lead', 'viewer'];
+const TEAM_ROLE_LABELS = { co_promoter: 'co-promotor', door_lead: 'jefe de puerta', viewer: 'observador' };
+
+function eventCan(role, permission) {
+  return !!EVENT_PERMISSIONS[role]?.includes(permission);
+}
+
+// The caller's role on an event: 'owner', a team role, or null (no access / no event)
+async function eventRoleFor(user, slug) {
+  const { data: ev } = await supabase.from('events').select('user_id').eq('slug', slug).maybeSingle();
+  if (!ev) return null;
+  if (user.role === 'superadmin' || ev.user_id === user.id) return 'owner';
+
+  const { data: member } = await supabase
+    .from('event_members')
+    .select('id, role, user_id, accepted_at')
+    .eq('event_slug', slug)
+    .eq('email', (user.email || '').toLowerCase())
+    .maybeSingle();
+  if (!member) return null;
+  // Bound to another account (the invited one was deleted and the email reused)
+  if (member.user_id && member.user_id !== user.id) return null;
+  // First visit since the invite — remember which account took it
+  if (!member.accepted_at) {
+    supabase.from('event_members').update({ user_id: user.id, accepted_at: new Date().toISOString() }).eq('id', member.id)
+      .then(({ error }) => { if (error) console.error('Team accept error:', error.message); });
+  }
+  return member.role;
+}
+
+// Route guard for /v2/admin/events/:slug*; attaches req.eventRole
+function requireEventPermission(permission) {
+  return async (req, res, next) => {
+    const role = await eventRoleFor(req.user, req.params.slug);
+    if (!role) return res.status(404).json({ error: 'Evento no encontrado.' });
+    if (!eventCan(role, permission)) {
+      return res.status(403).json({ error: 'Tu rol en este evento no permite esta acción.' });
+    }
+    req.eventRole = role;
+    next();
+  };
+}
+
+// ─────────────────────────────────────────────
+//  AUDIT LOG
+//  Append-only trail of administrative actions in audit_log (the table
+//  refuses UPDATE and DELETE). Routes call recordAudit once the change has
+//  happened; a failed write is logged and never fails the request.
+//    action   '<target type>.<verb>' — event.update, ticket.refund, team.add…
+//    changes  { field: { before, after } } for edits (see auditDiff)
+//    details  anything else worth keeping: ticket ids, amounts, emails
+// ─────────────────────────────────────────────
+function clientIp(req) {
+  return String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || null;
+}
+
+// Who did it: the signed-in user (superadmin, or their role on the event) or a door scanner
+function auditActor(req) {
+  if (req.scanner) return { actor_id: null, actor: req.scanner.label, actor_role: 'scanner' };
+  return {
+    actor_id: req.user?.id || null,
+    actor: req.user?.email || null,
+    actor_role: req.user?.role === 'superadmin' ? 'superadmin' : req.eventRole || req.user?.role || null
+  };
+}
+
+// The `keys` whose value differs between two versions of a row; JSON columns compare by value
+function auditDiff(before, after, keys = Object.keys(after || {})) {
+  const diff = {};
+  for (const key of keys) {
+    const was = before?.[key] ?? null;
+    const now = after?.[key] ?? null;
+    if (JSON.stringify(was) !== JSON.stringify(now)) diff[key] = { before: was, after: now };
+  }
+  return diff;
+}
+
+// entries: one { action, target_id?, event_slug? (default :slug), changes?, details? } or an array
+function recordAudit(req, entries) {
+  const list = [].concat(entries).filter(Boolean);
+  if (!list.length) return Promise.resolve();
+  const base = { ...auditActor(req), ip: clientIp(req) };
+  const rows = list.map(e => ({
+    ...base,
+    action: e.action,
+    target_type: e.action.split('.')[0],
+    target_id: e.target_id != null ? String(e.target_id) : null,
+    event_slug: e.event_slug !== undefined ? e.event_slug : req.params?.slug || null,
+    changes: e.changes && Object.keys(e.changes).length ? e.changes : null,
+    details: e.details || null
+  }));
+  return supabase.from('audit_log').insert(rows)
+    .then(({ error }) => { if (error) console.error('Audit log error:', error.message); });
+}
+
 // ─────────────────────────────────────────────
 //  AUTH ROUTES
 // ─────────────────────────────────────────────
@@ -137,14 +272,16 @@ app.post('/auth/login', async (req, res) => {
   }
 
   const { data, error } = await supabaseAnon.auth.signInWithPassword({ email, password });
+  if (error && /banned/i.test(error.message || '')) return res.status(403).json({ error: 'Tu cuenta está desactivada.' });
   if (error) return res.status(401).json({ error: 'Credenciales incorrectas.' });
 
   // Fetch role from profiles
   const { data: profile } = await supabase
     .from('profiles')
-    .select('role')
+    .select('role, deactivated_at')
     .eq('id', data.user.id)
     .single();
+  if (profile?.deactivated_at) return res.status(403).json({ error: 'Tu cuenta está desactivada.' });
 
   return res.status(200).json({
     token: data.session.access_token,
@@ -158,6 +295,31 @@ app.post('/auth/login', async (req, res) => {
   });
 });
 
+// POST /auth/refresh — trade the refresh_token from login for a new session
+// Body: { refresh_token }. Same response as /auth/login; the old refresh token stops working.
+app.post('/auth/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) return res.status(400).json({ error: 'Token de sesión requerido.' });
+
+  // Own client per request: refreshSession stores the session on the client it runs on
+  const sessionClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+  const { data, error } = await sessionClient.auth.refreshSession({ refresh_token });
+  if (error || !data.session) return res.status(401).json({ error: 'Sesión expirada. Inicia sesión de nuevo.' });
+
+  const { data: profile } = await supabase
+    .from('profiles').select('role, deactivated_at').eq('id', data.user.id).single();
+  if (profile?.deactivated_at) return res.status(403).json({ error: 'Tu cuenta está desactivada.' });
+
+  return res.status(200).json({
+    token: data.session.access_token,
+    refresh_token: data.session.refresh_token,
+    expires_at: data.session.expires_at,
+    user: { id: data.user.id, email: data.user.email, role: profile?.role || 'promoter' }
+  });
+});
+
 // GET /auth/me — verify token + return user info
 app.get('/auth/me', requireAuth, async (req, res) => {
   const { data: profile } = await supabase
@@ -238,47 +400,71 @@ app.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
   return res.json({ url: publicUrl });
 });
 
-// POST /auth/invite — superadmin invites a new promoter
-// Uses our own HMAC-signed invite token so the user never needs to reach Supabase directly
-app.post('/auth/invite', requireAuth, requireSuperAdmin, async (req, res) => {
-  const { email } = req.body;
-  if (!email) return res.status(400).json({ error: 'Email requerido.' });
+// ─────────────────────────────────────────────
+//  INVITES
+//  Invited accounts are created confirmed and without a password; the email
+//  carries our own HMAC-signed link to set one, so the user never needs to
+//  reach Supabase directly. Used for promoters (/auth/invite) and event teams.
+// ─────────────────────────────────────────────
+const INVITE_TTL_MS = 24 * 60 * 60 * 1000;
 
-  try {
-    // Create the user directly (email confirmed, no password yet)
-    const { data: userData, error: createErr } = await supabase.auth.admin.createUser({
-      email,
-      email_confirm: true
-    });
+function inviteSig(secret, uid, email, exp) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${uid}|${email}|${exp}`)
+    .digest('hex')
+    .slice(0, 32);
+}
 
-    if (createErr) {
-      const msg =
-        createErr.message?.toLowerCase().includes('already been registered') ||
-        createErr.message?.toLowerCase().includes('already registered')
-          ? 'Este correo ya tiene una cuenta en Colectivo.'
-          : `Error: ${createErr.message || 'desconocido'}`;
-      return res.status(500).json({ error: msg });
-    }
+function inviteUrlFor(uid, email) {
+  const exp = Date.now() + INVITE_TTL_MS;
+  return `https://colectivo.live/set-password?uid=${uid}&exp=${exp}&sig=${inviteSig(QR_SECRET, uid, email, exp)}`;
+}
 
-    const uid = userData.user.id;
+// Any current QR key is accepted, so rotating keys doesn't break invites already sent
+function validInviteSig(sig, uid, email, exp) {
+  return QR_KEYS.some(({ secret }) => safeEqual(sig, inviteSig(secret, uid, email, exp)));
+}
 
-    // Ensure a profile row exists (role defaults to promoter)
-    await supabase.from('profiles').upsert({ id: uid, role: 'promoter' }, { onConflict: 'id', ignoreDuplicates: true });
+// supabase-js has no lookup by email, so page through the admin user list
+async function findAuthUserByEmail(email) {
+  const target = email.toLowerCase();
+  for (let page = 1; ; page++) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: 1000 });
+    if (error) throw new Error(error.message);
+    const found = data.users.find(u => u.email?.toLowerCase() === target);
+    if (found) return found;
+    if (data.users.length < 1000) return null;
+  }
+}
 
-    // Generate expiring HMAC invite token — no Supabase URL needed
-    const exp = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
-    const sig = crypto.createHmac('sha256', QR_SECRET)
-      .update(`${uid}|${email}|${exp}`)
-      .digest('hex')
-      .slice(0, 32);
+// An account that never signed in is still waiting on its invite
+function isPendingAccount(user) {
+  return !user.last_sign_in_at && !user.banned_until;
+}
 
-    const inviteUrl = `https://colectivo.live/set-password?uid=${uid}&exp=${exp}&sig=${sig}`;
+// Returns { uid } for a new account. If the email already has one:
+// { exists: true, uid, pending } — pending accounts can be sent a fresh invite.
+async function createInvitedUser(email) {
+  const { data: userData, error: createErr } = await supabase.auth.admin.createUser({
+    email,
+    email_confirm: true
+  });
+  if (createErr) {
+    const msg = createErr.message?.toLowerCase() || '';
+    if (msg.includes('already been registered') || msg.includes('already registered')) {
+      const existing = await findAuthUserByEmail(email);
+      return { exists: true, uid: existing?.id, pending: !!existing && isPendingAccount(existing) };
+    }
+    throw new Error(createErr.message || 'desconocido');
+  }
+  const uid = userData.user.id;
+  // Ensure a profile row exists (role defaults to promoter)
+  await supabase.from('profiles').upsert({ id: uid, role: 'promoter' }, { onConflict: 'id', ignoreDuplicates: true });
+  return { uid };
+}
 
-    await resend.emails.send({
-      from: process.env.RESEND_FROM_EMAIL,
-      to: email,
-      subject: 'Te invitaron a Colectivo — Activa tu cuenta',
-      html: `<!DOCTYPE html>
+function buildInviteEmailHTML({ inviteUrl, intro }) {
+  return `<!DOCTYPE html>
 <html lang="es">
 <head><meta charset="UTF-8"/><meta name="viewport" content="width=device-width,initial-scale=1.0"/></head>
 <body style="margin:0;padding:0;background:#080808;font-family:monospace,sans-serif;">
@@ -292,7 +478,7 @@ app.post('/auth/invite', requireAuth, requireSuperAdmin, async (req, res) => {
           <p style="margin:0 0 6px;font-family:monospace;font-size:10px;letter-spacing:4px;color:#FF3B1F;text-transform:uppercase;">// Invitación</p>
           <h1 style="margin:0 0 20px;font-family:monospace;font-size:28px;font-weight:700;letter-spacing:-1px;color:#f5f0e8;line-height:1.1;">BIENVENIDO<br/>A COLECTIVO</h1>
           <p style="margin:0 0 32px;font-family:monospace;font-size:13px;color:#888888;line-height:1.8;">
-            Fuiste invitado a unirte a la plataforma de Colectivo como promotor.<br/>
+            ${intro}<br/>
             Haz clic en el botón para crear tu contraseña y activar tu cuenta.
           </p>
           <table width="100%" cellpadding="0" cellspacing="0">
@@ -318,10 +504,42 @@ app.post('/auth/invite', requireAuth, requireSuperAdmin, async (req, res) => {
     </td></tr>
   </table>
 </body>
-</html>`
-    });
+</html>`;
+}
+
+function promoterInviteEmail(uid, email) {
+  return {
+    kind: 'invite',
+    to: email,
+    subject: 'Te invitaron a Colectivo — Activa tu cuenta',
+    html: buildInviteEmailHTML({
+      inviteUrl: inviteUrlFor(uid, email),
+      intro: 'Fuiste invitado a unirte a la plataforma de Colectivo como promotor.'
+    })
+  };
+}
+
+// POST /auth/invite — superadmin invites a new promoter
+// Inviting an account that never activated re-sends the invite with a fresh link.
+app.post('/auth/invite', requireAuth, requireSuperAdmin, async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'Email requerido.' });
+
+  try {
+    let account;
+    try {
+      account = await createInvitedUser(email);
+    } catch (err) {
+      return res.status(500).json({ error: `Error: ${err.message}` });
+    }
+    if (account.exists && !account.pending) {
+      return res.status(409).json({ error: 'Este correo ya tiene una cuenta activa en Colectivo.' });
+    }
+
+    await enqueueEmail(promoterInviteEmail(account.uid, email));
+    recordAudit(req, { action: account.exists ? 'user.reinvite' : 'user.invite', target_id: account.uid, details: { email } });
 
-    return res.status(200).json({ success: true, email });
+    return res.status(200).json({ success: true, email, resent: !!account.exists });
 
   } catch (err) {
     console.error('Invite error:', err);
@@ -338,11 +556,7 @@ app.get('/auth/invite-info', async (req, res) => {
   const { data: { user }, error } = await supabase.auth.admin.getUserById(uid);
   if (error || !user) return res.status(404).json({ error: 'No encontrado.' });
 
-  const expected = crypto.createHmac('sha256', QR_SECRET)
-    .update(`${uid}|${user.email}|${exp}`).digest('hex').slice(0, 32);
-  let valid = false;
-  try { valid = crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)); } catch { valid = false; }
-  if (!valid) return res.status(401).json({ error: 'Token inválido.' });
+  if (!validInviteSig(sig, uid, user.email, exp)) return res.status(401).json({ error: 'Token inválido.' });
 
   return res.json({ email: user.email });
 });
@@ -365,14 +579,7 @@ app.post('/auth/complete-invite', async (req, res) => {
   if (userErr || !user) return res.status(404).json({ error: 'Usuario no encontrado.' });
 
   // Validate HMAC signature
-  const expected = crypto.createHmac('sha256', QR_SECRET)
-    .update(`${uid}|${user.email}|${exp}`)
-    .digest('hex')
-    .slice(0, 32);
-
-  let valid = false;
-  try { valid = crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)); } catch { valid = false; }
-  if (!valid) return res.status(401).json({ error: 'Token de invitación inválido.' });
+  if (!validInviteSig(sig, uid, user.email, exp)) return res.status(401).json({ error: 'Token de invitación inválido.' });
 
   // Set the password via admin API
   const { error: updateErr } = await supabase.auth.admin.updateUserById(uid, { password });
@@ -398,656 +605,4038 @@ app.post('/auth/complete-invite', async (req, res) => {
 });
 
 // ─────────────────────────────────────────────
-//  HELPER: load tiers for a given event slug
-// ─────────────────────────────────────────────
-async function getEventTiers(eventSlug) {
-  if (!eventSlug) return null;
-  const { data, error } = await supabase
-    .from('events')
-    .select('tiers, name')
-    .eq('slug', eventSlug)
-    .eq('published', true)
-    .single();
-  if (error || !data) return null;
-  const map = {};
-  for (const t of data.tiers || []) {
-    map[t.id] = { label: t.label, price: t.price, capacity: t.capacity };
-  }
-  return { tiers: map, eventName: data.name };
-}
-
-// ─────────────────────────────────────────────
-//  GET /availability
+//  PASSWORD RESET
+//  Same shape as the invite: an HMAC-signed link to colectivo.live/login that
+//  sets the password through the admin API and signs the user in. The
+//  signature covers last_sign_in_at, so the link stops working once it has
+//  been used (or the user logs in some other way).
 // ─────────────────────────────────────────────
-app.get('/availability', async (req, res) => {
-  const { event } = req.query;
-  let tiers;
-
-  if (event) {
-    const eventData = await getEventTiers(event);
-    if (!eventData) return res.status(404).json({ error: 'Evento no encontrado.' });
-    tiers = eventData.tiers;
-  } else {
-    tiers = {
-      early:   { label: 'Early Bird',  price: 650,  capacity: 150 },
-      general: { label: 'General',     price: 950,  capacity: 500 },
-      vip:     { label: 'VIP',         price: 1800, capacity: 50  }
-    };
-  }
-
-  const result = {};
-  for (const [key, tier] of Object.entries(tiers)) {
-    const { count } = await supabase
-      .from('registrations')
-      .select('*', { count: 'exact', head: true })
-      .eq('payment_status', 'paid')
-      .like('student_name', `%${tier.label}%`)
-      .eq('event_slug', event || 'caballeros-aniversario');
-    const sold = count || 0;
-    result[key] = { label: tier.label, capacity: tier.capacity, sold, available: Math.max(0, tier.capacity - sold) };
-  }
-  res.set('Cache-Control', 'no-store');
-  return res.status(200).json(result);
-});
+const RESET_TTL_MS = 60 * 60 * 1000;
 
-// ─────────────────────────────────────────────
-//  POST /create-checkout
-// ─────────────────────────────────────────────
-app.post('/create-checkout', async (req, res) => {
-  const { name, email, phone, tier, quantity, event: eventSlug } = req.body;
+function resetSigFor(user, exp, secret = QR_SECRET) {
+  return crypto.createHmac('sha256', secret)
+    .update(`reset|${user.id}|${user.email}|${user.last_sign_in_at || ''}|${exp}`)
+    .digest('hex')
+    .slice(0, 32);
+}
 
-  if (!name || !email || !tier) {
-    return res.status(400).json({ error: 'Todos los campos son requeridos.' });
-  }
+function resetUrlFor(user) {
+  const exp = Date.now() + RESET_TTL_MS;
+  return `https://colectivo.live/login?reset=${user.id}&exp=${exp}&sig=${resetSigFor(user, exp)}`;
+}
 
-  let tiers, eventName;
+// Returns { user } or { status, error } for a reset link's uid/exp/sig
+async function verifyResetLink({ uid, exp, sig }) {
+  if (!uid || !exp || !sig) return { status: 400, error: 'Datos incompletos.' };
+  if (Date.now() > parseInt(exp)) return { status: 400, error: 'El enlace ha expirado. Pide uno nuevo.' };
 
-  if (eventSlug) {
-    const eventData = await getEventTiers(eventSlug);
-    if (!eventData) return res.status(404).json({ error: 'Evento no encontrado.' });
-    tiers = eventData.tiers;
-    eventName = eventData.eventName;
-  } else {
-    tiers = {
-      early:   { label: 'Early Bird',  price: 65000,  capacity: 150 },
-      general: { label: 'General',     price: 95000,  capacity: 500 },
-      vip:     { label: 'VIP',         price: 180000, capacity: 50  }
-    };
-    eventName = 'Aniversario Caballeros';
-    tiers = {
-      early:   { label: 'Early Bird',  price: 650,  capacity: 150 },
-      general: { label: 'General',     price: 950,  capacity: 500 },
-      vip:     { label: 'VIP',         price: 1800, capacity: 50  }
-    };
-  }
+  const { data: { user } = {}, error } = await supabase.auth.admin.getUserById(uid);
+  if (error || !user) return { status: 404, error: 'Usuario no encontrado.' };
 
-  const tierData = tiers[tier];
-  if (!tierData) {
-    return res.status(400).json({ error: 'Tipo de acceso no válido.' });
+  // Signed with the active key; any current key still verifies, as with invites
+  if (!QR_KEYS.some(({ secret }) => safeEqual(sig, resetSigFor(user, exp, secret)))) {
+    return { status: 401, error: 'El enlace ya no es válido. Pide uno nuevo.' };
   }
+  return { user };
+}
 
-  const qty = Math.min(Math.max(parseInt(quantity) || 1, 1), 4);
+// POST /auth/forgot-password — emails a reset link. Body: { email }
+// Always answers the same, so it can't be used to find out who has an account.
+app.post('/auth/forgot-password', async (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'Correo electrónico no válido.' });
 
   try {
-    const { count: sold } = await supabase
-      .from('registrations')
-      .select('*', { count: 'exact', head: true })
-      .eq('payment_status', 'paid')
-      .like('student_name', `%${tierData.label}%`)
-      .eq('event_slug', eventSlug || 'caballeros-aniversario');
-
-    const available = tierData.capacity - (sold || 0);
-    if (available < qty) {
-      return res.status(400).json({
-        error: available <= 0
-          ? 'Este tier está agotado.'
-          : `Solo quedan ${available} lugares disponibles para este tier.`
+    const user = await findAuthUserByEmail(email);
+    const { data: profile } = user
+      ? await supabase.from('profiles').select('deactivated_at').eq('id', user.id).maybeSingle()
+      : { data: null };
+    if (user && !profile?.deactivated_at) {
+      await enqueueEmail({
+        kind: 'password_reset',
+        to: user.email,
+        subject: 'Restablece tu contraseña de Colectivo',
+        html: buildNoticeEmailHTML({
+          tag: '// Contraseña',
+          title: 'NUEVA<br/>CONTRASEÑA',
+          body: 'Pediste restablecer la contraseña de tu cuenta de Colectivo. Haz clic en el botón para elegir una nueva.',
+          action: { url: resetUrlFor(user), label: 'CREAR CONTRASEÑA →' },
+          footnote: 'Si no lo pediste, puedes ignorar este correo; tu contraseña no cambia.<br/>El enlace expira en 1 hora y sirve una sola vez.'
+        })
       });
     }
-
-    const registrationIds = Array.from({ length: qty }, () => uuidv4()).join(',');
-    const tierLabel = `${eventName} — ${tierData.label}`;
-    const chargedAmount = Math.round(tierData.price * 1.08); // in pesos
-
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      mode: 'payment',
-      customer_email: email,
-      line_items: [{
-        price_data: {
-          currency: 'mxn',
-          unit_amount: chargedAmount * 100, // Stripe expects centavos
-          product_data: {
-            name: `${eventName} — ${tierData.label}`,
-            description: `Acceso ${tierData.label} · incluye cargo por servicio Colectivo`
-          }
-        },
-        quantity: qty
-      }],
-      metadata: {
-        registrationIds, name,
-        student_name: tierLabel,
-        email,
-        phone: phone || '',
-        tier,
-        quantity: String(qty),
-        event_slug: eventSlug || 'caballeros-aniversario'
-      },
-      success_url: `${BASE_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${BASE_URL}/`
-    });
-
-    return res.status(200).json({ url: session.url });
-
   } catch (err) {
-    console.error('Stripe error:', err);
-    return res.status(500).json({ error: 'Error al crear el pago.' });
+    console.error('Forgot password error:', err.message);
   }
+  return res.status(200).json({ success: true });
 });
 
-// ─────────────────────────────────────────────
-//  SHARED: fulfillOrder — create tickets + send email
-//  Called by both the webhook and /confirm-payment fallback
-// ─────────────────────────────────────────────
-async function fulfillOrder(metadata) {
-  const { registrationIds, name, student_name, email, phone, quantity, event_slug } = metadata;
-  const ids = registrationIds.split(',');
-  const qty = parseInt(quantity) || 1;
-  const finalSlug = event_slug || 'caballeros-aniversario';
+// GET /auth/reset-info — email for the reset form (validates the link first)
+app.get('/auth/reset-info', async (req, res) => {
+  const { user, status, error } = await verifyResetLink(req.query);
+  if (error) return res.status(status).json({ error });
+  return res.json({ email: user.email });
+});
 
-  // Idempotency: bail out if already fulfilled
-  const { data: existing } = await supabase
-    .from('registrations').select('payment_status').eq('id', ids[0]).single();
-  if (existing?.payment_status === 'paid') {
-    return { alreadyConfirmed: true, name, email, quantity: qty };
+// POST /auth/reset-password — sets the new password via the signed link and signs in
+// Body: { uid, exp, sig, password }
+app.post('/auth/reset-password', async (req, res) => {
+  const { password } = req.body;
+  if (!password) return res.status(400).json({ error: 'Datos incompletos.' });
+  if (password.length < 8) {
+    return res.status(400).json({ error: 'La contraseña debe tener al menos 8 caracteres.' });
   }
 
-  const qrCodes = [], attachments = [], insertRows = [];
+  const { user, status, error } = await verifyResetLink(req.body);
+  if (error) return res.status(status).json({ error });
 
-  for (let i = 0; i < ids.length; i++) {
-    const ticketId = ids[i];
-    const qrPayload = signTicket(ticketId, finalSlug);
-    const [qrDataURL, qrBuffer] = await Promise.all([
-      QRCode.toDataURL(qrPayload, { width: 300, margin: 2, color: { dark: '#080808', light: '#ffffff' } }),
-      QRCode.toBuffer(qrPayload, { width: 300, margin: 2, color: { dark: '#080808', light: '#ffffff' } })
-    ]);
-    qrCodes.push({ id: ticketId, qrDataURL });
-    attachments.push({
-      filename: qty > 1 ? `ticket-${i + 1}-de-${qty}.png` : 'ticket.png',
-      content: qrBuffer,
-      contentType: 'image/png'
-    });
-    insertRows.push({
-      id: ticketId, name, student_name,
-      email, phone: phone || null,
-      payment_status: 'paid',
-      event_slug: finalSlug
-    });
-  }
+  const { data: profile } = await supabase.from('profiles').select('role, deactivated_at').eq('id', user.id).single();
+  if (profile?.deactivated_at) return res.status(403).json({ error: 'Tu cuenta está desactivada.' });
 
-  const { error: insertError } = await supabase.from('registrations').insert(insertRows);
-  if (insertError) throw new Error(`Supabase insert: ${insertError.message}`);
+  const { error: updateErr } = await supabase.auth.admin.updateUserById(user.id, { password });
+  if (updateErr) {
+    console.error('Reset password error:', updateErr);
+    return res.status(500).json({ error: 'Error al establecer la contraseña.' });
+  }
 
-  const eventDisplay = student_name.split(' — ')[0] || 'Colectivo';
-  await resend.emails.send({
-    from: process.env.RESEND_FROM_EMAIL,
-    to: email,
-    subject: `🎟️ ${qty > 1 ? `Tus ${qty} accesos` : 'Tu acceso'} — ${eventDisplay}`,
-    html: buildEmailHTML({ name, student_name, qrCodes }),
-    attachments
+  const { data: session, error: signInErr } = await supabaseAnon.auth.signInWithPassword({
+    email: user.email, password
   });
+  if (signInErr) return res.status(500).json({ error: 'Contraseña guardada, pero error al iniciar sesión. Intenta hacer login.' });
 
-  return { name, email, quantity: qty };
-}
+  return res.status(200).json({
+    success: true,
+    token: session.session.access_token,
+    refresh_token: session.session.refresh_token,
+    expires_at: session.session.expires_at,
+    user: { id: user.id, email: user.email, role: profile?.role || 'promoter' }
+  });
+});
 
 // ─────────────────────────────────────────────
-//  POST /stripe-webhook  — verified Stripe events
+//  USER MANAGEMENT — superadmin
+//  Accounts live in Supabase Auth; role and deactivation in profiles.
+//  Deactivating bans the auth user (no login, no refresh) and requireAuth
+//  turns away access tokens that were issued before.
 // ─────────────────────────────────────────────
-app.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+const ACCOUNT_ROLES = ['promoter', 'superadmin'];
+const USERS_PAGE_SIZE = 200;
+const BAN_FOREVER = '876000h'; // ~100 years; Supabase has no permanent ban
+
+function accountView(user, profile) {
+  return {
+    id: user.id,
+    email: user.email,
+    role: profile?.role || 'promoter',
+    status: profile?.deactivated_at ? 'deactivated' : isPendingAccount(user) ? 'pending' : 'active',
+    created_at: user.created_at,
+    last_sign_in_at: user.last_sign_in_at || null,
+    deactivated_at: profile?.deactivated_at || null
+  };
+}
 
-  if (!webhookSecret) {
-    console.error('STRIPE_WEBHOOK_SECRET not set');
-    return res.status(500).send('Webhook secret not configured');
+// GET /v2/admin/users?page=1 — every account with its role and status (pending / active / deactivated)
+app.get('/v2/admin/users', requireAuth, requireSuperAdmin, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: USERS_PAGE_SIZE });
+  if (error) {
+    console.error('List users error:', error.message);
+    return res.status(500).json({ error: 'Error al obtener los usuarios.' });
   }
 
-  let event;
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook error: ${err.message}`);
+  const ids = data.users.map(u => u.id);
+  const { data: profiles } = ids.length
+    ? await supabase.from('profiles').select('id, role, deactivated_at').in('id', ids)
+    : { data: [] };
+  const profileById = Object.fromEntries((profiles || []).map(p => [p.id, p]));
+
+  return res.status(200).json({
+    users: data.users.map(u => accountView(u, profileById[u.id])),
+    page,
+    has_more: data.users.length === USERS_PAGE_SIZE
+  });
+});
+
+// PUT /v2/admin/users/:id — Body: { role?: promoter | superadmin, active?: boolean }
+app.put('/v2/admin/users/:id', requireAuth, requireSuperAdmin, async (req, res) => {
+  const { role, active } = req.body;
+  const updates = {};
+  if (role !== undefined) {
+    if (!ACCOUNT_ROLES.includes(role)) return res.status(400).json({ error: 'Rol no válido.' });
+    updates.role = role;
   }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') return res.status(400).json({ error: 'active debe ser true o false.' });
+    updates.deactivated_at = active ? null : new Date().toISOString();
+  }
+  if (!Object.keys(updates).length) return res.status(400).json({ error: 'Nada que actualizar.' });
+  if (req.params.id === req.user.id) return res.status(400).json({ error: 'No puedes cambiar tu propia cuenta.' });
 
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    if (session.payment_status === 'paid' && session.metadata?.registrationIds) {
-      try {
-        await fulfillOrder(session.metadata);
-        console.log(`✅ Webhook fulfilled order for session ${session.id}`);
-      } catch (err) {
-        console.error('Webhook fulfillOrder error:', err.message);
-        return res.status(500).send('Fulfillment failed');
-      }
+  const { data: { user } = {}, error: userErr } = await supabase.auth.admin.getUserById(req.params.id);
+  if (userErr || !user) return res.status(404).json({ error: 'Usuario no encontrado.' });
+
+  if (active !== undefined) {
+    const { error: banErr } = await supabase.auth.admin.updateUserById(user.id, { ban_duration: active ? 'none' : BAN_FOREVER });
+    if (banErr) {
+      console.error('User ban error:', banErr.message);
+      return res.status(500).json({ error: 'Error al actualizar el usuario.' });
     }
   }
 
-  res.json({ received: true });
+  const { data: current } = await supabase.from('profiles').select('role, deactivated_at').eq('id', user.id).maybeSingle();
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .upsert({ id: user.id, role: current?.role || 'promoter', ...updates }, { onConflict: 'id' })
+    .select('role, deactivated_at')
+    .single();
+  if (error) return res.status(500).json({ error: 'Error al actualizar el usuario.' });
+  recordAudit(req, { action: 'user.update', target_id: user.id, changes: auditDiff(current, profile, Object.keys(updates)), details: { email: user.email } });
+  return res.status(200).json(accountView(user, profile));
 });
 
-// ─────────────────────────────────────────────
-//  POST /confirm-payment  — client-side fallback
-//  Webhook is the primary path; this handles the race where
-//  the user lands on success.html before the webhook fires
-// ─────────────────────────────────────────────
-app.post('/confirm-payment', async (req, res) => {
-  const { session_id } = req.body;
-  if (!session_id) return res.status(400).json({ error: 'Session ID requerido.' });
-
-  try {
-    const session = await stripe.checkout.sessions.retrieve(session_id);
-    if (session.payment_status !== 'paid') {
-      return res.status(400).json({ error: 'Pago no completado.' });
-    }
+// POST /v2/admin/users/:id/reinvite — fresh invite link for an account that never activated
+app.post('/v2/admin/users/:id/reinvite', requireAuth, requireSuperAdmin, async (req, res) => {
+  const { data: { user } = {}, error: userErr } = await supabase.auth.admin.getUserById(req.params.id);
+  if (userErr || !user) return res.status(404).json({ error: 'Usuario no encontrado.' });
 
-    const result = await fulfillOrder(session.metadata);
-    return res.status(200).json({ success: true, ...result });
+  const { data: profile } = await supabase.from('profiles').select('role, deactivated_at').eq('id', user.id).maybeSingle();
+  if (accountView(user, profile).status !== 'pending') {
+    return res.status(409).json({ error: 'Esta cuenta ya está activa o desactivada.' });
+  }
 
+  try {
+    await enqueueEmail(promoterInviteEmail(user.id, user.email));
   } catch (err) {
-    console.error('Confirm error:', err);
-    return res.status(500).json({ error: 'Error al confirmar el pago.' });
+    console.error('Reinvite error:', err.message);
+    return res.status(500).json({ error: 'Error al enviar la invitación.' });
   }
+  recordAudit(req, { action: 'user.reinvite', target_id: user.id, details: { email: user.email } });
+  return res.status(200).json({ success: true, email: user.email });
 });
 
 // ─────────────────────────────────────────────
-//  RETIRED LEGACY ENDPOINTS (password-based — replaced by JWT v2 routes)
+//  EVENT DATES
+//  starts_at / ends_at are real instants (timestamptz) and timezone is the IANA
+//  zone the event happens in. date_label / time_label stay as free-text
+//  overrides; when they're blank the labels are derived from the timestamps.
+//  Admin input is parsed and checked in event-schema.js.
 // ─────────────────────────────────────────────
-const RETIRED = (req, res) =>
-  res.status(410).json({ error: 'Este endpoint fue retirado. Usa la versión v2 con JWT.' });
+const SCAN_OPENS_BEFORE_MS = 6 * 60 * 60 * 1000;   // doors can start scanning 6h before start
+const SCAN_CLOSES_AFTER_MS = 6 * 60 * 60 * 1000;   // …and keep going 6h after the end
+const DEFAULT_EVENT_LENGTH_MS = 12 * 60 * 60 * 1000; // assumed when an event has no ends_at
+
+// Fills blank date_label / time_label from the timestamps, in the event's own zone
+function withDateLabels(ev) {
+  if (!ev?.starts_at) return ev;
+  const timeZone = ev.timezone || DEFAULT_TIMEZONE;
+  const start = new Date(ev.starts_at);
+  const end = ev.ends_at ? new Date(ev.ends_at) : null;
+  const day = d => new Intl.DateTimeFormat('es-MX', { timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }).format(d);
+  const time = d => new Intl.DateTimeFormat('es-MX', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(d);
+  const dateLabel = day(start);
+  return {
+    ...ev,
+    date_label: ev.date_label || dateLabel.charAt(0).toUpperCase() + dateLabel.slice(1),
+    time_label: ev.time_label || (end ? `${time(start)} – ${time(end)} hrs` : `${time(start)} hrs`)
+  };
+}
 
-app.post('/admin/resend-email', RETIRED);
+// When the door may admit people; null means no structured dates, so no limit
+function eventScanWindow(ev) {
+  if (!ev?.starts_at) return null;
+  const start = new Date(ev.starts_at).getTime();
+  const end = ev.ends_at ? new Date(ev.ends_at).getTime() : start + DEFAULT_EVENT_LENGTH_MS;
+  return { opens: new Date(start - SCAN_OPENS_BEFORE_MS), closes: new Date(end + SCAN_CLOSES_AFTER_MS) };
+}
 
 // ─────────────────────────────────────────────
-//  EMAIL HTML TEMPLATE
+//  HELPER: load tiers for a given event slug
 // ─────────────────────────────────────────────
-function buildEmailHTML({ name, student_name, qrCodes }) {
-  const qty = qrCodes.length;
-  const eventDisplay = student_name.split(' — ')[0] || 'Colectivo';
-  const qrBlocks = qrCodes.map((qr, i) => `
-    <div class="qr-section">
-      <div class="qr-label">${qty > 1 ? `// Boleto ${i + 1} de ${qty}` : '// Tu código de acceso'}</div>
-      <img src="${qr.qrDataURL}" alt="Código QR" class="qr-img" />
-      <div class="qr-id">ID: ${qr.id}</div>
-    </div>
-  `).join('');
+async function getEventTiers(eventSlug) {
+  if (!eventSlug) return null;
+  const { data, error } = await supabase
+    .from('events')
+    .select('tiers, name, is_free, max_per_email, timezone, payment_methods')
+    .eq('slug', eventSlug)
+    .eq('published', true)
+    .single();
+  if (error || !data) return null;
+  const map = {};
+  for (const t of data.tiers || []) {
+    // A free event makes every tier free regardless of the price it was created with
+    map[t.id] = { ...t, price: data.is_free ? 0 : t.price };
+    delete map[t.id].id;
+  }
+  return {
+    tiers: map,
+    eventName: data.name,
+    maxPerEmail: data.max_per_email || DEFAULT_MAX_PER_EMAIL,
+    timezone: data.timezone || DEFAULT_TIMEZONE,
+    paymentMethods: data.payment_methods || ['card']
+  };
+}
 
-  return `
-<!DOCTYPE html>
-<html lang="es">
-<head>
-  <meta charset="UTF-8"/>
-  <style>
-    body { font-family: 'Segoe UI', Arial, sans-serif; background: #080808; margin: 0; padding: 0; }
-    .container { max-width: 520px; margin: 40px auto; background: #111111; overflow: hidden; }
-    .header { background: #080808; padding: 40px; text-align: center; border-bottom: 1px solid #222; }
-    .header-tag { font-family: monospace; font-size: 10px; letter-spacing: 4px; color: #FF3B1F; text-transform: uppercase; margin-bottom: 12px; }
-    .header h1 { color: #f5f0e8; font-size: 32px; margin: 0; font-weight: 800; letter-spacing: -1px; }
-    .header p { color: #555; font-size: 13px; margin-top: 6px; font-family: monospace; letter-spacing: 2px; text-transform: uppercase; }
-    .body { padding: 36px 40px; }
-    .greeting { font-size: 17px; font-weight: 700; color: #f5f0e8; margin-bottom: 8px; }
-    .info { font-size: 14px; color: #888; line-height: 1.7; margin-bottom: 28px; }
-    .detail-box { background: #1a1a1a; border: 1px solid #222; padding: 20px 24px; margin-bottom: 32px; }
-    .detail-box p { margin: 0 0 6px; font-size: 13px; color: #666; }
-    .detail-box p:last-child { margin-bottom: 0; }
-    .detail-box strong { color: #f5f0e8; }
-    .attachment-note { background: #0f0f0f; border: 1px solid #1a1a1a; border-left: 3px solid #FF3B1F; padding: 14px 20px; margin-bottom: 28px; font-size: 13px; color: #666; }
-    .attachment-note strong { color: #f5f0e8; }
-    .qr-section { text-align: center; margin-bottom: 16px; background: #1a1a1a; border: 1px solid #222; padding: 32px; }
-    .qr-label { font-family: monospace; font-size: 10px; letter-spacing: 3px; color: #555; text-transform: uppercase; margin-bottom: 20px; }
-    .qr-img { width: 200px; height: 200px; border: 3px solid #FF3B1F; display: block; margin: 0 auto; }
-    .qr-id { font-family: monospace; font-size: 10px; color: #333; margin-top: 12px; word-break: break-all; }
-    .footer { background: #080808; padding: 24px 40px; text-align: center; border-top: 1px solid #1a1a1a; }
-    .footer p { font-size: 11px; color: #333; margin: 0; font-family: monospace; letter-spacing: 2px; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <div class="header-tag">// Colectivo presenta</div>
-      <h1>${eventDisplay.toUpperCase()}</h1>
-      <p>${qty > 1 ? `${qty} accesos confirmados` : 'Tu acceso está confirmado'}</p>
-    </div>
-    <div class="body">
-      <p class="greeting">Hola, ${name} 👋</p>
-      <p class="info">Tu pago fue procesado. ${qty > 1 ? `Aquí están tus ${qty} códigos QR` : 'Aquí está tu código QR'} — preséntalo en la entrada el día del evento.</p>
-      <div class="detail-box">
-        <p>Nombre: <strong>${name}</strong></p>
-        <p>Tipo de acceso: <strong>${student_name}</strong></p>
-        ${qty > 1 ? `<p>Cantidad: <strong>${qty} boletos</strong></p>` : ''}
-      </div>
-      <div class="attachment-note">
-        📎 <strong>¿No ves el QR?</strong> También está adjunto como imagen PNG en este correo.
-      </div>
-      ${qrBlocks}
-    </div>
-    <div class="footer">
-      <p>COLECTIVO.LIVE</p>
-    </div>
-  </div>
-</body>
-</html>
-  `;
+const DEFAULT_MAX_PER_EMAIL = 4;
+
+// The original Aniversario Caballeros drop predates the events table
+const LEGACY_EVENT_SLUG = 'caballeros-aniversario';
+const LEGACY_TIERS = {
+  early:   { label: 'Early Bird',  price: 650,  capacity: 150 },
+  general: { label: 'General',     price: 950,  capacity: 500 },
+  vip:     { label: 'VIP',         price: 1800, capacity: 50  }
+};
+
+// Same as getEventTiers, but a missing slug means the legacy event
+async function getSaleTiers(eventSlug) {
+  if (!eventSlug || eventSlug === LEGACY_EVENT_SLUG) {
+    return { tiers: LEGACY_TIERS, eventName: 'Aniversario Caballeros', maxPerEmail: DEFAULT_MAX_PER_EMAIL };
+  }
+  return getEventTiers(eventSlug);
 }
 
-app.get('/admin/registrations', RETIRED);
-app.post('/verify', RETIRED);
+// ─────────────────────────────────────────────
+//  HELPER: paid tickets sold for one tier
+//  Keyed by registrations.tier_id — labels are display-only and may be renamed.
+//  Comps issued outside capacity don't take a seat; one mid-refund still does.
+// ─────────────────────────────────────────────
+async function countSoldTickets(eventSlug, tierId) {
+  const { count, error } = await supabase
+    .from('registrations')
+    .select('*', { count: 'exact', head: true })
+    .in('payment_status', ['paid', 'refunding'])
+    .eq('event_slug', eventSlug)
+    .eq('tier_id', tierId)
+    .eq('counts_capacity', true);
+  if (error) throw new Error(`Supabase count: ${error.message}`);
+  return count || 0;
+}
+
+// Every paid or pending ticket of a tier, comps included — a tier with any can't be deleted
+async function countIssuedTickets(eventSlug, tierId) {
+  const { count, error } = await supabase
+    .from('registrations')
+    .select('*', { count: 'exact', head: true })
+    .eq('event_slug', eventSlug)
+    .eq('tier_id', tierId)
+    .in('payment_status', ['paid', 'pending']);
+  if (error) throw new Error(`Supabase count: ${error.message}`);
+  return count || 0;
+}
 
 // ─────────────────────────────────────────────
-//  EVENT CRUD — PUBLIC
+//  INVENTORY HOLDS
+//  A hold reserves tickets for the lifetime of a Stripe Checkout session.
+//  Creation goes through the create_inventory_hold() Postgres function so the
+//  capacity check and insert happen under one lock (see supabase-schema.sql).
 // ─────────────────────────────────────────────
+const CHECKOUT_HOLD_MS = 31 * 60 * 1000; // Stripe rejects session expiries under 30 min
 
-app.get('/events/:slug', async (req, res) => {
-  const { slug } = req.params;
+async function countHeldTickets(eventSlug, tierId) {
   const { data, error } = await supabase
-    .from('events')
+    .from('inventory_holds')
+    .select('quantity')
+    .eq('event_slug', eventSlug)
+    .eq('tier_id', tierId)
+    .eq('status', 'active')
+    .gt('expires_at', new Date().toISOString());
+  if (error) throw new Error(`Supabase holds: ${error.message}`);
+  return (data || []).reduce((s, h) => s + h.quantity, 0);
+}
+
+// Returns the hold id, or null when the tier can't fit `quantity` more tickets
+async function createHold(eventSlug, tierId, quantity, capacity, expiresAt) {
+  const { data, error } = await supabase.rpc('create_inventory_hold', {
+    p_event_slug: eventSlug,
+    p_tier_id: tierId,
+    p_quantity: quantity,
+    p_capacity: capacity,
+    p_expires_at: expiresAt.toISOString()
+  });
+  if (error) throw new Error(`Supabase hold: ${error.message}`);
+  return data || null;
+}
+
+async function releaseHold(holdId) {
+  if (!holdId) return;
+  const { error } = await supabase
+    .from('inventory_holds')
+    .update({ status: 'released' })
+    .eq('id', holdId)
+    .eq('status', 'active');
+  if (error) console.error('Release hold error:', error.message);
+  // The promo code use reserved with it goes back too
+  const { error: promoErr } = await supabase.rpc('release_promo_code', { p_hold_id: holdId });
+  if (promoErr) console.error('Release promo use error:', promoErr.message);
+}
+
+// Holds mostly lapse without being released; sweep back the promo code uses they reserved
+const HOLD_SWEEP_MS = 60 * 1000;
+
+setInterval(async () => {
+  const { error } = await supabase.rpc('release_lapsed_promo_codes');
+  if (error) console.error('Promo use sweep error:', error.message);
+}, HOLD_SWEEP_MS).unref();
+
+// ─────────────────────────────────────────────
+//  TIER RULES
+//  Optional fields a tier can carry besides { id, label, price, capacity }:
+//    sale_starts_at / sale_ends_at  sale window (ISO instants)
+//    hidden + access_code           off public listings; the code unlocks it
+//    min_per_order / max_per_order  default 1 … DEFAULT_MAX_PER_ORDER
+//    opens_after                    tier id — goes on sale once that tier sells
+//                                   out or its sale ends ("Early Bird → General")
+//  Comps and imports issued from the event admin ignore all of them.
+//  Admin input is checked by normalizeTierRules in event-schema.js.
+// ─────────────────────────────────────────────
+const DEFAULT_MAX_PER_ORDER = 4;
+
+// A hidden tier without an access code is never public (comps only)
+function tierUnlocked(tier, accessCode) {
+  if (!tier.hidden) return true;
+  return !!tier.access_code && normalizeAccessCode(accessCode) === tier.access_code;
+}
+
+// The event's tiers as the public may see them: locked hidden tiers left out, codes stripped
+function publicTiers(tiers, accessCode) {
+  return (tiers || [])
+    .filter(t => tierUnlocked(t, accessCode))
+    .map(({ access_code, ...t }) => t);
+}
+
+// available: { [tierId]: seats left }, only needed to resolve opens_after.
+// status: on_sale | scheduled (opens_at) | waiting (after) | ended | sold_out
+function tierSaleStatus(tierId, tiers, available = {}, now = new Date(), seen = new Set()) {
+  const tier = tiers[tierId];
+  if (tier.sale_ends_at && new Date(tier.sale_ends_at) <= now) return { status: 'ended' };
+  if (tier.opens_after && tiers[tier.opens_after] && !seen.has(tierId)) {
+    seen.add(tierId);
+    const previous = tierSaleStatus(tier.opens_after, tiers, available, now, seen);
+    if (!['sold_out', 'ended'].includes(previous.status)) return { status: 'waiting', after: tier.opens_after };
+  }
+  if (tier.sale_starts_at && new Date(tier.sale_starts_at) > now) return { status: 'scheduled', opens_at: tier.sale_starts_at };
+  if (available[tierId] !== undefined && available[tierId] <= 0) return { status: 'sold_out' };
+  return { status: 'on_sale' };
+}
+
+async function countAvailableSeats(eventSlug, tiers) {
+  const entries = await Promise.all(Object.entries(tiers).map(async ([id, tier]) => {
+    const [sold, held] = await Promise.all([countSoldTickets(eventSlug, id), countHeldTickets(eventSlug, id)]);
+    return [id, { sold, available: Math.max(0, tier.capacity - sold - held) }];
+  }));
+  return Object.fromEntries(entries);
+}
+
+// Why this tier can't be bought right now, or null. Selling out isn't checked
+// here — the inventory hold is what decides that.
+async function tierSaleError(eventData, eventSlug, tierId, accessCode) {
+  const { tiers, timezone } = eventData;
+  const tier = tiers[tierId];
+  if (!tier || !tierUnlocked(tier, accessCode)) return 'Tipo de acceso no válido.';
+
+  let available = {};
+  if (tier.opens_after) {
+    const seats = await countAvailableSeats(eventSlug, tiers);
+    available = Object.fromEntries(Object.entries(seats).map(([id, s]) => [id, s.available]));
+  }
+  const sale = tierSaleStatus(tierId, tiers, available);
+  if (sale.status === 'ended') return 'La venta de este acceso ya terminó.';
+  if (sale.status === 'waiting') return `Este acceso sale a la venta cuando se agote ${tiers[sale.after].label}.`;
+  if (sale.status === 'scheduled') {
+    const opensAt = new Intl.DateTimeFormat('es-MX', {
+      timeZone: timezone || DEFAULT_TIMEZONE, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).format(new Date(sale.opens_at));
+    return `La venta de este acceso abre el ${opensAt}.`;
+  }
+  return null;
+}
+
+// Returns { qty } or { error }; a missing quantity means the tier's minimum.
+// cap: a tighter outside limit (tickets left for this email, a waitlist offer).
+function orderQuantity(tier, quantity, cap = Infinity) {
+  const min = tier.min_per_order || 1;
+  const max = Math.min(tier.max_per_order || Math.max(DEFAULT_MAX_PER_ORDER, min), cap);
+  const qty = quantity === undefined || quantity === null || quantity === '' ? min : Number(quantity);
+  if (Number.isInteger(qty) && qty >= min && qty <= max) return { qty };
+  if (max < min) return { error: `Este acceso se vende en paquetes de al menos ${min}.` };
+  return { error: min === max ? `Este acceso se vende en paquetes de ${min}.` : `Puedes llevar de ${min} a ${max} boletos de este acceso por orden.` };
+}
+
+// ─────────────────────────────────────────────
+//  PROMO CODES
+//  percent / fixed discounts come off the base tier price, before the service
+//  fee; comp codes make the ticket free and skip Stripe entirely.
+//  A use is reserved with the order's inventory hold and only becomes
+//  permanent when the order is paid (see supabase-schema.sql).
+// ─────────────────────────────────────────────
+const PROMO_KINDS = ['percent', 'fixed', 'comp'];
+
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Returns { promo, discount } (discount in MXN per ticket) or { error }
+async function resolvePromoCode(eventSlug, code, tierId, price) {
+  const { data: promo } = await supabase
+    .from('promo_codes')
     .select('*')
-    .eq('slug', slug)
-    .eq('published', true)
+    .eq('event_slug', eventSlug)
+    .eq('code', normalizePromoCode(code))
     .single();
 
-  if (error || !data) return res.status(404).json({ error: 'Evento no encontrado.' });
-  res.set('Cache-Control', 'no-store');
+  if (!promo || !promo.active) return { error: 'Código de descuento no válido.' };
+  if (promo.expires_at && new Date(promo.expires_at) < new Date()) return { error: 'Este código ya expiró.' };
+  if (promo.max_uses != null && promo.uses >= promo.max_uses) return { error: 'Este código ya alcanzó su límite de usos.' };
+  if (promo.tier_ids?.length && !promo.tier_ids.includes(tierId)) return { error: 'Este código no aplica para este tier.' };
+
+  let discount;
+  if (promo.kind === 'comp') discount = price;
+  else if (promo.kind === 'percent') discount = Math.round(price * Number(promo.value) / 100);
+  else discount = Math.min(Number(promo.value), price);
+
+  return { promo, discount };
+}
+
+// Takes one use of the code for as long as the hold lives; false when none are left
+async function reservePromoUse(promoId, holdId) {
+  const { data, error } = await supabase.rpc('reserve_promo_code', { p_id: promoId, p_hold_id: holdId });
+  if (error) throw new Error(`Supabase promo reserve: ${error.message}`);
+  return !!data;
+}
+
+// Paid order: its use stays taken. Safe to repeat — it counts once per order
+async function redeemOrderPromo({ promo_code_id, order_id, registrationIds, hold_id }) {
+  if (!promo_code_id) return;
+  const { error } = await supabase.rpc('redeem_promo_code', {
+    p_id: promo_code_id, p_order_id: order_id || registrationIds.split(',')[0], p_hold_id: hold_id || null
+  });
+  if (error) throw new Error(`Supabase promo redeem: ${error.message}`);
+}
+
+// ─────────────────────────────────────────────
+//  SERVICE FEES
+//  A fee policy is { percent, fixed, absorb, tax_percent }: percent of the
+//  ticket price plus a fixed MXN amount per ticket, and IVA charged on that
+//  fee. Passed on (absorb = false), the buyer pays price + fee + tax as separate
+//  Stripe line items; absorbed, the buyer pays the price and the fee comes out
+//  of the promoter's payout. Only the superadmin sets policies — per event, or
+//  per promoter (profiles.fee_policy) for all their events.
+// ─────────────────────────────────────────────
+const DEFAULT_FEE_POLICY = { percent: 8, fixed: 0, absorb: false, tax_percent: 0 };
+const FEE_POLICY_LIMITS = { percent: 50, fixed: 1000, tax_percent: 30 };
+const FEE_POLICY_LABELS = { percent: 'El porcentaje', fixed: 'El cargo fijo', tax_percent: 'El IVA' };
+
+// Returns { policy } (null clears it) or { error }
+function normalizeFeePolicy(input) {
+  if (input === null) return { policy: null };
+  if (input === undefined) return { error: 'Política de cargos requerida.' };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'Política de cargos no válida.' };
+  const policy = { ...DEFAULT_FEE_POLICY };
+  for (const [key, max] of Object.entries(FEE_POLICY_LIMITS)) {
+    if (input[key] === undefined || input[key] === '') continue;
+    const n = Number(input[key]);
+    if (!Number.isFinite(n) || n < 0 || n > max) return { error: `${FEE_POLICY_LABELS[key]} debe estar entre 0 y ${max}.` };
+    policy[key] = n;
+  }
+  if (input.absorb !== undefined) policy.absorb = input.absorb === true || input.absorb === 'true';
+  return { policy };
+}
+
+// The policy in force for an event and where it came from: event | promoter | default
+async function resolveFeePolicy(eventSlug) {
+  const { data: ev } = await supabase
+    .from('events').select('fee_policy, user_id').eq('slug', eventSlug).maybeSingle();
+  if (ev?.fee_policy) return { policy: { ...DEFAULT_FEE_POLICY, ...ev.fee_policy }, source: 'event' };
+  if (ev?.user_id) {
+    const { data: profile } = await supabase.from('profiles').select('fee_policy').eq('id', ev.user_id).maybeSingle();
+    if (profile?.fee_policy) return { policy: { ...DEFAULT_FEE_POLICY, ...profile.fee_policy }, source: 'promoter' };
+  }
+  return { policy: DEFAULT_FEE_POLICY, source: 'default' };
+}
+
+// Per ticket, in MXN to the centavo. price: what the promoter charges after discounts.
+// An absorbed fee never exceeds the price, so a payout can't go negative.
+function ticketFees(price, policy) {
+  const cents = Math.round(Number(price) * 100);
+  if (!(cents > 0)) return { service_fee: 0, fee_tax: 0, amount_paid: 0, fee_absorbed: policy.absorb };
+  let fee = Math.round(cents * policy.percent / 100 + policy.fixed * 100);
+  let tax = Math.round(fee * policy.tax_percent / 100);
+  if (policy.absorb && fee + tax > cents) {
+    fee = Math.floor(cents / (1 + policy.tax_percent / 100));
+    tax = cents - fee;
+  }
+  return {
+    service_fee: fee / 100,
+    fee_tax: tax / 100,
+    amount_paid: (policy.absorb ? cents : cents + fee + tax) / 100,
+    fee_absorbed: policy.absorb
+  };
+}
+
+// A sold ticket's money: gross (buyer paid), fees (service fee + tax), net (promoter payout).
+// Tickets sold before fees were stored used the flat, passed-on 8%.
+function registrationMoney(r, tierPrice) {
+  if (r.source === 'comp') return { gross: 0, serviceFee: 0, feeTax: 0, fees: 0, net: 0 };
+  const price = Number(r.unit_price ?? tierPrice) || 0;
+  const f = r.amount_paid != null
+    ? { service_fee: Number(r.service_fee) || 0, fee_tax: Number(r.fee_tax) || 0, amount_paid: Number(r.amount_paid) }
+    : { service_fee: price > 0 ? Math.round(price * 1.08) - price : 0, fee_tax: 0, amount_paid: price > 0 ? Math.round(price * 1.08) : 0 };
+  const fees = f.service_fee + f.fee_tax;
+  return { gross: f.amount_paid, serviceFee: f.service_fee, feeTax: f.fee_tax, fees, net: f.amount_paid - fees };
+}
+
+// ─────────────────────────────────────────────
+//  STRIPE CONNECT
+//  Promoters onboard an Express connected account from their dashboard
+//  (profiles.stripe_account_id). Once Stripe activates it, checkout for their
+//  events is a destination charge: Stripe moves the sale to the promoter and
+//  keeps the service fee + IVA for the platform as the application fee.
+//  Promoters who haven't onboarded keep settling on the platform account and
+//  are paid out of band.
+//  stripe_connect_status: pending → restricted (details sent, not yet
+//  approved) → active (can receive transfers)
+// ─────────────────────────────────────────────
+const CONNECT_COUNTRY = process.env.STRIPE_CONNECT_COUNTRY || 'MX';
+
+function connectStatusOf(account) {
+  if (account.charges_enabled && account.capabilities?.transfers === 'active') return 'active';
+  return account.details_submitted ? 'restricted' : 'pending';
+}
+
+// Mirror a connected account onto its promoter's profile
+async function syncConnectAccount(account) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .update({
+      stripe_connect_status: connectStatusOf(account),
+      stripe_payouts_enabled: !!account.payouts_enabled,
+      stripe_connect_synced_at: new Date().toISOString()
+    })
+    .eq('stripe_account_id', account.id)
+    .select('id, stripe_account_id, stripe_connect_status, stripe_payouts_enabled, stripe_connect_synced_at')
+    .maybeSingle();
+  if (error) throw new Error(`Supabase connect sync: ${error.message}`);
+  return data;
+}
+
+// The connected account an event's sales go to, or null when they settle on the platform
+async function eventPayoutAccount(eventSlug) {
+  const { data: ev } = await supabase.from('events').select('user_id').eq('slug', eventSlug).maybeSingle();
+  if (!ev?.user_id) return null;
+  const { data: profile } = await supabase
+    .from('profiles').select('stripe_account_id, stripe_connect_status').eq('id', ev.user_id).maybeSingle();
+  return profile?.stripe_connect_status === 'active' ? profile.stripe_account_id : null;
+}
+
+// Refunds on a destination charge claw the transfer back from the promoter and
+// return the platform's fee share, so the buyer gets everything they paid
+function connectRefundParams(destination) {
+  return destination ? { reverse_transfer: true, refund_application_fee: true } : {};
+}
+
+// ─────────────────────────────────────────────
+//  ASYNC PAYMENTS (OXXO / SPEI)
+//  events.payment_methods: card is always on; 'oxxo' (cash voucher) and
+//  'spei' (bank transfer, Stripe's customer_balance) are opt-in per event
+//  (validated in event-schema.js).
+//  Checkout completes as soon as the buyer gets a voucher or transfer
+//  instructions, unpaid: the order's registrations are stored as 'pending'
+//  and its hold is stretched until the payment is due, so the seats stay
+//  taken. async_payment_succeeded turns them into paid tickets; a failed or
+//  overdue payment marks them 'expired' and the seats go back on sale.
+// ─────────────────────────────────────────────
+const ASYNC_PAYMENT_DAYS = 3;                        // voucher / transfer deadline
+const ASYNC_PAYMENT_GRACE_MS = 24 * 60 * 60 * 1000;  // OXXO can take a business day to report a payment
+const PENDING_SWEEP_MS = 10 * 60 * 1000;
+const OXXO_LIMITS = { min: 10, max: 10000 };         // MXN per order, Stripe's limits
+
+// Stripe Checkout parameters for an order of `total` MXN
+function checkoutPaymentMethods(methods, total) {
+  const types = ['card'];
+  const options = {};
+  if (methods.includes('oxxo') && total >= OXXO_LIMITS.min && total <= OXXO_LIMITS.max) {
+    types.push('oxxo');
+    options.oxxo = { expires_after_days: ASYNC_PAYMENT_DAYS };
+  }
+  if (methods.includes('spei')) {
+    types.push('customer_balance');
+    options.customer_balance = { funding_type: 'bank_transfer', bank_transfer: { type: 'mx_bank_transfer' } };
+  }
+  return {
+    payment_method_types: types,
+    ...(types.length > 1 && { payment_method_options: options }),
+    // Bank transfers are tracked against a Stripe customer
+    ...(options.customer_balance && { customer_creation: 'always' })
+  };
+}
+
+// How the buyer still has to pay: method, hosted voucher/instructions page, reference, deadline
+function asyncPaymentDetails(paymentIntent) {
+  const oxxo = paymentIntent?.next_action?.oxxo_display_details;
+  if (oxxo) {
+    return {
+      method: 'oxxo',
+      url: oxxo.hosted_voucher_url || null,
+      reference: oxxo.number || null,
+      due_at: oxxo.expires_after ? new Date(oxxo.expires_after * 1000) : null
+    };
+  }
+  const bank = paymentIntent?.next_action?.display_bank_transfer_instructions;
+  return {
+    method: 'spei',
+    url: bank?.hosted_instructions_url || null,
+    reference: bank?.financial_addresses?.find(a => a.spei)?.spei.clabe || bank?.reference || null,
+    due_at: null
+  };
+}
+
+// ─────────────────────────────────────────────
+//  GET /availability?event=…&access_code=…
+//  Hidden tiers only appear with their access code. status says whether a
+//  tier can be bought now (see tierSaleStatus); on_sale is the shortcut.
+// ─────────────────────────────────────────────
+app.get('/availability', async (req, res) => {
+  const { event, access_code } = req.query;
+
+  const eventData = await getSaleTiers(event);
+  if (!eventData) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const { tiers } = eventData;
+
+  let seats;
+  try {
+    seats = await countAvailableSeats(event || LEGACY_EVENT_SLUG, tiers);
+  } catch (err) {
+    console.error('Availability error:', err.message);
+    return res.status(500).json({ error: 'Error al consultar disponibilidad.' });
+  }
+  const available = Object.fromEntries(Object.entries(seats).map(([id, s]) => [id, s.available]));
+
+  const result = {};
+  for (const [key, tier] of Object.entries(tiers)) {
+    if (!tierUnlocked(tier, access_code)) continue;
+    const sale = tierSaleStatus(key, tiers, available);
+    const { qty: minPerOrder } = orderQuantity(tier);
+    result[key] = {
+      label: tier.label,
+      capacity: tier.capacity,
+      sold: seats[key].sold,
+      available: seats[key].available,
+      status: sale.status,
+      on_sale: sale.status === 'on_sale',
+      sale_starts_at: tier.sale_starts_at || null,
+      sale_ends_at: tier.sale_ends_at || null,
+      opens_after: tier.opens_after || null,
+      min_per_order: minPerOrder,
+      max_per_order: tier.max_per_order || Math.max(DEFAULT_MAX_PER_ORDER, minPerOrder),
+      ...(tier.hidden && { hidden: true })
+    };
+  }
+  res.set('Cache-Control', 'no-store');
+  return res.status(200).json(result);
+});
+
+// ─────────────────────────────────────────────
+//  POST /create-checkout
+// ─────────────────────────────────────────────
+app.post('/create-checkout', async (req, res) => {
+  const { name, email, phone, tier, quantity, code, access_code, offer, event: eventSlug } = req.body;
+
+  if (!name || !email || !tier) {
+    return res.status(400).json({ error: 'Todos los campos son requeridos.' });
+  }
+
+  const eventData = await getSaleTiers(eventSlug);
+  if (!eventData) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const { tiers, eventName, paymentMethods = ['card'] } = eventData;
+  const finalSlug = eventSlug || LEGACY_EVENT_SLUG;
+
+  const tierData = tiers[tier];
+  if (!tierData || (!offer && !tierUnlocked(tierData, access_code))) {
+    return res.status(400).json({ error: 'Tipo de acceso no válido.' });
+  }
+  if (!(tierData.price > 0)) {
+    return res.status(400).json({ error: 'Este acceso es gratuito. Regístrate sin pago.', free: true });
+  }
+
+  // Waitlist offer link — the seats are already held for this buyer, whatever the tier's rules say now
+  let offerEntry = null;
+  if (offer) {
+    const resolved = await resolveWaitlistOffer(offer, finalSlug, tier);
+    if (resolved.error) return res.status(400).json({ error: resolved.error });
+    offerEntry = resolved.entry;
+  }
+
+  let qty;
+  if (offerEntry) {
+    qty = Math.min(Math.max(parseInt(quantity) || offerEntry.quantity, 1), offerEntry.quantity);
+  } else {
+    let saleError;
+    try {
+      saleError = await tierSaleError(eventData, finalSlug, tier, access_code);
+    } catch (err) {
+      console.error('Tier sale check error:', err.message);
+      return res.status(500).json({ error: 'Error al consultar disponibilidad.' });
+    }
+    if (saleError) return res.status(400).json({ error: saleError });
+    const ordered = orderQuantity(tierData, quantity);
+    if (ordered.error) return res.status(400).json({ error: ordered.error });
+    qty = ordered.qty;
+  }
+
+  let promo = null, discount = 0;
+  if (code) {
+    const resolved = await resolvePromoCode(finalSlug, code, tier, tierData.price);
+    if (resolved.error) return res.status(400).json({ error: resolved.error });
+    ({ promo, discount } = resolved);
+  }
+  const unitPrice = tierData.price - discount;
+
+  let holdId = null;
+  try {
+    const registrationIds = Array.from({ length: qty }, () => uuidv4()).join(',');
+    const orderId = uuidv4();
+    const tierLabel = `${eventName} — ${tierData.label}`;
+    const { policy } = await resolveFeePolicy(finalSlug);
+    const fees = ticketFees(unitPrice, policy);
+    const payoutAccount = await eventPayoutAccount(finalSlug);
+    const order = {
+      registrationIds, name,
+      student_name: tierLabel,
+      email,
+      phone: phone || '',
+      tier,
+      unit_price: String(unitPrice),
+      order_id: orderId,
+      promo_code_id: promo?.id || '',
+      promo_code: promo?.code || '',
+      discount: String(discount),
+      quantity: String(qty),
+      event_slug: finalSlug,
+      waitlist_id: offerEntry?.id || '',
+      service_fee: String(fees.service_fee),
+      fee_tax: String(fees.fee_tax),
+      amount_paid: String(fees.amount_paid),
+      fee_absorbed: String(fees.fee_absorbed),
+      payout_account: payoutAccount || ''
+    };
+
+    // Comp code — nothing to charge, so the order goes the way of a free registration:
+    // max_per_email applies and the buyer confirms their email before /register/confirm
+    // takes the seats and the code's use
+    if (fees.amount_paid === 0) {
+      const cleanEmail = String(email).trim().toLowerCase();
+      if (!EMAIL_RE.test(cleanEmail)) return res.status(400).json({ error: 'Correo electrónico no válido.' });
+      const limitError = perEmailLimitError(await countTicketsForEmail(finalSlug, cleanEmail), qty, eventData.maxPerEmail);
+      if (limitError) return res.status(400).json({ error: limitError });
+      await sendRegistrationConfirmation({ ...order, email: cleanEmail }, eventName);
+      return res.status(200).json({ success: true, pendingConfirmation: true, free: true, email: cleanEmail });
+    }
+
+    // Reserve the tickets before sending the buyer to Stripe — the hold lives exactly as long as the session
+    const expiresAt = new Date(Date.now() + CHECKOUT_HOLD_MS);
+    holdId = offerEntry
+      ? await takeOverOfferHold(offerEntry, qty, expiresAt)
+      : await createHold(finalSlug, tier, qty, tierData.capacity, expiresAt);
+    if (!holdId && offerEntry) {
+      return res.status(400).json({ error: 'Tu lugar reservado expiró y pasó a la siguiente persona.' });
+    }
+    if (!holdId) {
+      const [sold, held] = await Promise.all([
+        countSoldTickets(finalSlug, tier),
+        countHeldTickets(finalSlug, tier)
+      ]);
+      const available = tierData.capacity - sold - held;
+      return res.status(400).json(available <= 0
+        ? { error: 'Este tier está agotado.', waitlist: true }
+        : { error: `Solo quedan ${available} lugares disponibles para este tier.` });
+    }
+    // The code's use is taken with the seats, so parallel checkouts can't go past max_uses
+    if (promo && !(await reservePromoUse(promo.id, holdId))) {
+      if (!offerEntry) await releaseHold(holdId);
+      return res.status(400).json({ error: 'Este código ya alcanzó su límite de usos.' });
+    }
+    const metadata = { ...order, hold_id: holdId };
+
+    // Stripe expects centavos
+    const lineItem = (name, description, pesos) => ({
+      price_data: { currency: 'mxn', unit_amount: Math.round(pesos * 100), product_data: { name, description } },
+      quantity: qty
+    });
+    const lineItems = [lineItem(
+      tierLabel,
+      [`Acceso ${tierData.label}`, promo && `código ${promo.code} aplicado`, fees.fee_absorbed && 'cargo por servicio incluido'].filter(Boolean).join(' · '),
+      fees.fee_absorbed ? fees.amount_paid : unitPrice
+    )];
+    if (!fees.fee_absorbed && fees.service_fee > 0) {
+      lineItems.push(lineItem('Cargo por servicio Colectivo', `Por boleto · ${tierData.label}`, fees.service_fee));
+    }
+    if (!fees.fee_absorbed && fees.fee_tax > 0) {
+      lineItems.push(lineItem('IVA del cargo por servicio', `${policy.tax_percent}% sobre el cargo por servicio`, fees.fee_tax));
+    }
+
+    // Destination charge: everything but our fee + IVA is transferred to the promoter
+    const applicationFee = Math.round((fees.service_fee + fees.fee_tax) * 100) * qty;
+    const session = await stripe.checkout.sessions.create({
+      ...checkoutPaymentMethods(paymentMethods, fees.amount_paid * qty),
+      mode: 'payment',
+      customer_email: email,
+      expires_at: Math.floor(expiresAt.getTime() / 1000),
+      line_items: lineItems,
+      metadata,
+      ...(payoutAccount && {
+        payment_intent_data: {
+          transfer_data: { destination: payoutAccount },
+          ...(applicationFee > 0 && { application_fee_amount: applicationFee }),
+          metadata: { event_slug: finalSlug, order_id: orderId }
+        }
+      }),
+      success_url: `${BASE_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${BASE_URL}/`
+    });
+
+    await supabase.from('inventory_holds').update({ session_id: session.id }).eq('id', holdId);
+
+    return res.status(200).json({ url: session.url });
+
+  } catch (err) {
+    console.error('Stripe error:', err);
+    // An offer hold stays with its owner until the offer lapses, so they can retry
+    if (!offerEntry) await releaseHold(holdId);
+    return res.status(500).json({ error: 'Error al crear el pago.' });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  HELPER: make sure a paid order still has its seats
+//  Normally the checkout hold is active. If it lapsed (slow payment, or the
+//  session.expired webhook beat us here) try to re-claim the seats; returns
+//  false when the tier filled up in the meantime.
+// ─────────────────────────────────────────────
+async function secureHoldForFulfillment(holdId, eventSlug, tierId) {
+  const { data: hold } = await supabase
+    .from('inventory_holds').select('status, expires_at').eq('id', holdId).single();
+  if (!hold) return true; // Unknown hold — never block a paid order on missing bookkeeping
+  if (hold.status === 'refunded') return false;
+  if (hold.status === 'converted') return true;
+  if (hold.status === 'active' && new Date(hold.expires_at) > new Date()) return true;
+
+  const eventData = await getSaleTiers(eventSlug);
+  const capacity = eventData?.tiers[tierId]?.capacity;
+  if (capacity == null) return true;
+
+  const { data: reclaimed, error } = await supabase.rpc('reclaim_inventory_hold', {
+    p_hold_id: holdId,
+    p_capacity: capacity,
+    p_expires_at: new Date(Date.now() + 5 * 60 * 1000).toISOString()
+  });
+  if (error) throw new Error(`Supabase reclaim hold: ${error.message}`);
+  return !!reclaimed;
+}
+
+// Payment landed after the tier sold out: refund in full instead of issuing tickets
+async function refundSoldOutOrder(metadata, paymentIntent) {
+  const { hold_id, name, email, student_name } = metadata;
+
+  const { data: hold } = await supabase
+    .from('inventory_holds').select('status').eq('id', hold_id).single();
+  if (hold?.status === 'refunded') return;
+
+  if (!paymentIntent) throw new Error(`No payment intent to refund sold-out hold ${hold_id}`);
+  const { data: pendingRow } = await supabase
+    .from('registrations').select('payment_method').eq('id', metadata.registrationIds.split(',')[0]).maybeSingle();
+  await stripe.refunds.create(
+    {
+      payment_intent: paymentIntent,
+      ...connectRefundParams(metadata.payout_account),
+      ...asyncRefundParams(pendingRow?.payment_method, email),
+      metadata: { reason: 'sold_out', hold_id }
+    },
+    { idempotencyKey: `sold-out-${hold_id}` }
+  );
+  await supabase.from('inventory_holds').update({ status: 'refunded' }).eq('id', hold_id);
+  console.log(`↩️  Refunded sold-out order for hold ${hold_id}`);
+
+  const eventDisplay = (student_name || '').split(' — ')[0] || 'Colectivo';
+  try {
+    await enqueueEmail({
+      kind: 'notice',
+      to: email,
+      event_slug: metadata.event_slug || null,
+      dedupe_key: `sold-out:${hold_id}`,
+      subject: `Reembolso — ${eventDisplay}`,
+      html: buildNoticeEmailHTML({
+        tag: '// Reembolso',
+        title: 'SE AGOTARON<br/>LOS LUGARES',
+        body: `Hola, ${escapeHtml(name)}. Tu pago llegó cuando ya no quedaban lugares disponibles para <strong style="color:#f5f0e8;">${escapeHtml(student_name)}</strong>.<br/>
+          Te reembolsamos el monto completo; puede tardar de 5 a 10 días hábiles en reflejarse en tu estado de cuenta.`
+      })
+    });
+  } catch (err) {
+    console.error('Sold-out refund email error:', err.message);
+  }
+}
+
+// ─────────────────────────────────────────────
+//  SHARED: ticket passes (PDF / Apple Wallet / Google Wallet)
+//  Rendering lives in ticket-passes.js; this side looks up what gets printed
+//  on them and signs each ticket's QR.
+// ─────────────────────────────────────────────
+// The legacy drop has no events row — fall back to the name in student_name
+async function getPassEvent(slug, studentName) {
+  const { data: ev } = await supabase
+    .from('events')
+    .select('slug, name, date_label, time_label, venue, city, address, banner_url, starts_at, ends_at, timezone')
+    .eq('slug', slug)
+    .single();
+  if (!ev) return { slug, name: (studentName || '').split(' — ')[0] || 'Colectivo' };
+  return { ...withDateLabels(ev), url: `https://colectivo.live/e/${slug}` };
+}
+
+// rows: registrations (or lookalikes) with id, name, attendee_name, student_name
+function passTicket(row, slug) {
+  return {
+    id: row.id,
+    payload: signTicket(row.id, slug),
+    attendee: row.attendee_name || row.name || null,
+    tier: (row.student_name || '').split(' — ')[1] || null
+  };
+}
+
+async function buildOrderPasses(slug, rows) {
+  const event = await getPassEvent(slug, rows[0].student_name);
+  return passes.buildTicketPasses(event, rows.map(r => passTicket(r, slug)));
+}
+
+// ─────────────────────────────────────────────
+//  SHARED: email outbox
+//  Every email goes out through email-outbox.js, which retries until Resend
+//  takes it. Ticket emails are rendered there when they're sent.
+// ─────────────────────────────────────────────
+const outbox = createEmailOutbox({
+  supabase, resend, buildOrderPasses, buildEmailHTML,
+  settleMessage: id => messages.settleMessage(id)
+});
+const { enqueueEmails, enqueueEmail } = outbox;
+outbox.start();
+
+// ─────────────────────────────────────────────
+//  SHARED: fulfillOrder — create tickets + queue the tickets email
+//  Called by both the webhook and /confirm-payment fallback
+// ─────────────────────────────────────────────
+// Same dedupe key on every call: a retried webhook re-queues an email that never
+// made it into the outbox, but never sends the order twice
+function enqueueOrderEmail(metadata, paymentIntent) {
+  const { registrationIds, name, email, student_name, unit_price, order_id, quantity, event_slug } = metadata;
+  const ids = registrationIds.split(',');
+  const qty = parseInt(quantity) || 1;
+  const orderId = order_id || ids[0];
+  return enqueueEmail({
+    kind: 'tickets',
+    to: email,
+    subject: `🎟️ ${qty > 1 ? `Tus ${qty} accesos` : 'Tu acceso'} — ${(student_name || '').split(' — ')[0] || 'Colectivo'}`,
+    event_slug: event_slug || LEGACY_EVENT_SLUG,
+    registration_ids: ids,
+    data: {
+      name, student_name,
+      free: !paymentIntent && !(Number(unit_price) > 0),
+      manageUrl: manageTicketsUrl({ o: orderId })
+    },
+    dedupe_key: `tickets:${orderId}`
+  });
+}
+
+// One registrations row per ticket in a checkout's metadata, without payment_status
+function orderRows(metadata, paymentIntent) {
+  const {
+    registrationIds, name, student_name, email, phone, tier, unit_price, order_id,
+    promo_code, discount, event_slug, source, issued_by, issued_note, counts_capacity,
+    service_fee, fee_tax, amount_paid, fee_absorbed, payout_account
+  } = metadata;
+  const ids = registrationIds.split(',');
+  // Paid sessions created before fees were stored leave them null (see registrationMoney)
+  const feesKnown = !!amount_paid || !(Number(unit_price) > 0);
+  return ids.map(ticketId => ({
+    id: ticketId, name, student_name,
+    email, phone: phone || null,
+    event_slug: event_slug || LEGACY_EVENT_SLUG,
+    tier_id: tier || null,
+    unit_price: unit_price ? Number(unit_price) : null,
+    order_id: order_id || ids[0],
+    stripe_payment_intent: paymentIntent || null,
+    promo_code: promo_code || null,
+    discount: Number(discount) || 0,
+    service_fee: feesKnown ? Number(service_fee) || 0 : null,
+    fee_tax: feesKnown ? Number(fee_tax) || 0 : null,
+    amount_paid: feesKnown ? Number(amount_paid) || 0 : null,
+    fee_absorbed: feesKnown ? fee_absorbed === 'true' : null,
+    stripe_destination: payout_account || null,
+    source: source || null,
+    issued_by: issued_by || null,
+    issued_note: issued_note || null,
+    counts_capacity: counts_capacity !== 'false'
+  }));
+}
+
+async function fulfillOrder(metadata, { paymentIntent, sendEmail = true } = {}) {
+  const {
+    registrationIds, name, email, tier, order_id, hold_id, quantity, event_slug, waitlist_id
+  } = metadata;
+  const ids = registrationIds.split(',');
+  const qty = parseInt(quantity) || 1;
+  const finalSlug = event_slug || LEGACY_EVENT_SLUG;
+
+  // Idempotency: bail out if already fulfilled. Only an OXXO / SPEI order
+  // waiting on its money ('pending', or 'expired' if it paid late) goes on.
+  const { data: existing } = await supabase
+    .from('registrations').select('payment_status').eq('id', ids[0]).single();
+  if (existing && !['pending', 'expired'].includes(existing.payment_status)) {
+    if (existing.payment_status === 'paid') {
+      // A retry after a failed redemption finishes it
+      await redeemOrderPromo(metadata);
+      if (sendEmail) await enqueueOrderEmail(metadata, paymentIntent);
+    }
+    return { alreadyConfirmed: true, name, email, quantity: qty, order_id: order_id || ids[0] };
+  }
+
+  // Sessions created before holds existed carry no hold_id
+  if (hold_id && !(await secureHoldForFulfillment(hold_id, finalSlug, tier))) {
+    if (paymentIntent) await refundSoldOutOrder(metadata, paymentIntent);
+    else await releaseHold(hold_id);
+    await supabase.from('registrations')
+      .update({ payment_status: 'refunded', voided_at: new Date().toISOString(), void_reason: 'sold_out' })
+      .in('id', ids).in('payment_status', ['pending', 'expired']);
+    return { soldOut: true, name, email, quantity: qty };
+  }
+
+  // OXXO / SPEI orders already have their rows, waiting as 'pending'
+  const paidRows = orderRows(metadata, paymentIntent).map(r => ({ ...r, payment_status: 'paid', payment_due_at: null }));
+  const { error: insertError } = await supabase.from('registrations').upsert(paidRows, { onConflict: 'id' });
+  if (insertError) throw new Error(`Supabase insert: ${insertError.message}`);
+  // Paid rows now count against capacity; the hold can stop counting
+  if (hold_id) await supabase.from('inventory_holds').update({ status: 'converted' }).eq('id', hold_id);
+  if (waitlist_id) await supabase.from('waitlist').update({ status: 'purchased' }).eq('id', waitlist_id);
+  await redeemOrderPromo(metadata);
+
+  if (sendEmail) await enqueueOrderEmail(metadata, paymentIntent);
+  return { name, email, quantity: qty, order_id: order_id || ids[0] };
+}
+
+// Stripe has no native refund rail for OXXO or SPEI: it emails the buyer for their bank details
+function asyncRefundParams(method, email) {
+  return method === 'oxxo' || method === 'spei' ? { instructions_email: email } : {};
+}
+
+// Checkout finished with a voucher or transfer instructions but no money yet:
+// store the tickets as 'pending' and keep their seats until the payment is due.
+// Idempotent — the webhook and /confirm-payment both land here.
+async function holdPendingOrder(session) {
+  const metadata = session.metadata;
+  const { registrationIds, name, email, student_name, hold_id, waitlist_id, event_slug, tier, order_id } = metadata;
+  const ids = registrationIds.split(',');
+
+  const { data: existing } = await supabase
+    .from('registrations').select('payment_status, payment_method, payment_due_at').eq('id', ids[0]).maybeSingle();
+  if (existing && existing.payment_status !== 'pending') {
+    return { status: existing.payment_status, method: existing.payment_method, due_at: existing.payment_due_at };
+  }
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(session.payment_intent);
+  const details = asyncPaymentDetails(paymentIntent);
+  const dueAt = existing?.payment_due_at
+    ? new Date(existing.payment_due_at)
+    : details.due_at || new Date(Date.now() + ASYNC_PAYMENT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (!existing) {
+    const pendingRows = orderRows(metadata, session.payment_intent).map(r => ({
+      ...r, payment_status: 'pending', payment_method: details.method, payment_due_at: dueAt.toISOString()
+    }));
+    const { error } = await supabase.from('registrations').upsert(pendingRows, { onConflict: 'id', ignoreDuplicates: true });
+    if (error) throw new Error(`Supabase pending insert: ${error.message}`);
+
+    const holdUntil = new Date(dueAt.getTime() + ASYNC_PAYMENT_GRACE_MS).toISOString();
+    // The session may have closed right as its hold ran out — re-claim the seats if they're still free
+    if (hold_id && await secureHoldForFulfillment(hold_id, event_slug || LEGACY_EVENT_SLUG, tier)) {
+      await supabase.from('inventory_holds').update({ expires_at: holdUntil }).eq('id', hold_id).eq('status', 'active');
+    }
+    // Don't let the waitlist sweep take back an offer that's waiting on a voucher
+    if (waitlist_id) await supabase.from('waitlist').update({ offer_expires_at: holdUntil }).eq('id', waitlist_id).eq('status', 'offered');
+
+    const eventDisplay = (student_name || '').split(' — ')[0] || 'Colectivo';
+    // The pay-by time reads in the event's own zone, like its reminder
+    const { data: ev } = await supabase
+      .from('events').select('timezone').eq('slug', event_slug || LEGACY_EVENT_SLUG).maybeSingle();
+    const due = new Intl.DateTimeFormat('es-MX', {
+      timeZone: ev?.timezone || DEFAULT_TIMEZONE, weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).format(dueAt);
+    try {
+      await enqueueEmail({
+        kind: 'notice',
+        to: email,
+        event_slug: event_slug || null,
+        dedupe_key: `pending:${order_id || ids[0]}`,
+        subject: `Completa tu pago — ${eventDisplay}`,
+        html: buildNoticeEmailHTML({
+          tag: details.method === 'oxxo' ? '// Pago en OXXO' : '// Pago por SPEI',
+          title: 'TUS LUGARES<br/>ESTÁN APARTADOS',
+          body: `Hola, ${escapeHtml(name)}. Apartamos ${ids.length > 1 ? `tus ${ids.length} boletos` : 'tu boleto'} para <strong style="color:#f5f0e8;">${escapeHtml(student_name)}</strong>.<br/>
+            ${details.method === 'oxxo' ? 'Paga en cualquier OXXO con tu ficha' : 'Haz la transferencia SPEI con los datos de tu ficha'} antes del <strong style="color:#f5f0e8;">${due}</strong>. En cuanto se confirme el pago te enviamos tus códigos QR.`,
+          ...(details.url && { action: { url: details.url, label: 'VER FICHA DE PAGO →' } }),
+          footnote: 'Si no pagas a tiempo, los lugares vuelven a la venta.'
+        })
+      });
+    } catch (err) {
+      console.error('Pending payment email error:', err.message);
+    }
+  }
+
+  return { status: 'pending', ...details, due_at: dueAt.toISOString() };
+}
+
+// The voucher lapsed or the transfer never arrived: give the seats back
+async function expirePendingOrder(metadata, reason) {
+  const { registrationIds, name, email, student_name, hold_id, waitlist_id, event_slug, tier, order_id } = metadata;
+  const ids = registrationIds.split(',');
+
+  const { data: expired, error } = await supabase
+    .from('registrations')
+    .update({ payment_status: 'expired', voided_at: new Date().toISOString(), void_reason: reason })
+    .in('id', ids)
+    .eq('payment_status', 'pending')
+    .select('id');
+  if (error) throw new Error(`Supabase expire pending: ${error.message}`);
+  await releaseHold(hold_id);
+  if (waitlist_id) await supabase.from('waitlist').update({ status: 'expired' }).eq('id', waitlist_id).eq('status', 'offered');
+  offerFreedSeats(event_slug || LEGACY_EVENT_SLUG, [tier]);
+  if (!expired?.length) return 0;
+
+  const eventDisplay = (student_name || '').split(' — ')[0] || 'Colectivo';
+  try {
+    await enqueueEmail({
+      kind: 'notice',
+      to: email,
+      event_slug: event_slug || null,
+      dedupe_key: `pending-expired:${order_id || ids[0]}`,
+      subject: `Tu ficha de pago venció — ${eventDisplay}`,
+      html: buildNoticeEmailHTML({
+        tag: '// Pago no recibido',
+        title: 'TU FICHA<br/>VENCIÓ',
+        body: `Hola, ${escapeHtml(name)}. No recibimos el pago de tu pedido para <strong style="color:#f5f0e8;">${escapeHtml(student_name)}</strong> a tiempo, así que los lugares volvieron a la venta.<br/>
+          Si todavía quieres ir, puedes comprar de nuevo mientras haya disponibilidad.`,
+        ...(event_slug && { action: { url: `https://colectivo.live/e/${event_slug}`, label: 'VOLVER AL EVENTO →' } })
+      })
+    });
+  } catch (err) {
+    console.error('Expired payment email error:', err.message);
+  }
+  return expired.length;
+}
+
+// SPEI transfers never send a failure event — expire what's past due ourselves.
+// (Stripe still reports OXXO expiry; this only catches what it doesn't.)
+async function sweepPendingPayments() {
+  const { data: overdue, error } = await supabase
+    .from('registrations')
+    .update({ payment_status: 'expired', voided_at: new Date().toISOString(), void_reason: 'payment_overdue' })
+    .eq('payment_status', 'pending')
+    .lt('payment_due_at', new Date(Date.now() - ASYNC_PAYMENT_GRACE_MS).toISOString())
+    .select('event_slug, tier_id');
+  if (error) throw new Error(`Supabase pending sweep: ${error.message}`);
+  // Their holds lapsed on their own; the waitlist can have the seats
+  const byEvent = {};
+  for (const r of overdue || []) (byEvent[r.event_slug] ||= []).push(r.tier_id);
+  for (const [slug, tierIds] of Object.entries(byEvent)) offerFreedSeats(slug, tierIds);
+  if (overdue?.length) console.log(`⌛ Expired ${overdue.length} overdue pending tickets`);
+}
+
+setInterval(() => {
+  sweepPendingPayments().catch(err => console.error('Pending payment sweep error:', err.message));
+}, PENDING_SWEEP_MS).unref();
+
+// ─────────────────────────────────────────────
+//  HELPER: cancel every still-valid ticket paid with a payment intent
+//  status: 'refunded' | 'void' — either way the seat goes back on sale
+// ─────────────────────────────────────────────
+async function voidTicketsByPaymentIntent(paymentIntent, status, reason) {
+  const { data, error } = await supabase
+    .from('registrations')
+    .update({ payment_status: status, voided_at: new Date().toISOString(), void_reason: reason })
+    .eq('stripe_payment_intent', paymentIntent)
+    .eq('payment_status', 'paid')
+    .select('id, event_slug, tier_id');
+  if (error) throw new Error(`Supabase void: ${error.message}`);
+  if (data?.length) offerFreedSeats(data[0].event_slug, data.map(r => r.tier_id));
+  return (data || []).length;
+}
+
+// ─────────────────────────────────────────────
+//  POST /stripe-webhook  — verified Stripe events
+// ─────────────────────────────────────────────
+app.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    console.error('STRIPE_WEBHOOK_SECRET not set');
+    return res.status(500).send('Webhook secret not configured');
+  }
+
+  // Connected-account events (account.updated) come from a separate Connect endpoint with its own secret
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+  } catch (err) {
+    try {
+      if (!process.env.STRIPE_CONNECT_WEBHOOK_SECRET) throw err;
+      event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_CONNECT_WEBHOOK_SECRET);
+    } catch {
+      console.error('Webhook signature verification failed:', err.message);
+      return res.status(400).send(`Webhook error: ${err.message}`);
+    }
+  }
+
+  // OXXO / SPEI sessions complete unpaid and report the money later with async_payment_succeeded
+  if (event.type === 'checkout.session.completed' || event.type === 'checkout.session.async_payment_succeeded') {
+    const session = event.data.object;
+    if (session.payment_status === 'paid' && session.metadata?.registrationIds) {
+      try {
+        const result = await fulfillOrder(session.metadata, { paymentIntent: session.payment_intent });
+        console.log(result.soldOut
+          ? `↩️  Webhook refunded sold-out session ${session.id}`
+          : `✅ Webhook fulfilled order for session ${session.id}`);
+      } catch (err) {
+        console.error('Webhook fulfillOrder error:', err.message);
+        return res.status(500).send('Fulfillment failed');
+      }
+    } else if (session.payment_status === 'unpaid' && session.metadata?.registrationIds) {
+      try {
+        const pending = await holdPendingOrder(session);
+        console.log(`⏳ Webhook holding ${pending.method} order for session ${session.id} until ${pending.due_at}`);
+      } catch (err) {
+        console.error('Webhook pending order error:', err.message);
+        return res.status(500).send('Pending order failed');
+      }
+    }
+  }
+
+  if (event.type === 'checkout.session.async_payment_failed') {
+    const session = event.data.object;
+    if (session.metadata?.registrationIds) {
+      try {
+        const count = await expirePendingOrder(session.metadata, 'payment_failed');
+        console.log(`⌛ Webhook expired ${count} pending tickets for session ${session.id}`);
+      } catch (err) {
+        console.error('Webhook async_payment_failed error:', err.message);
+        return res.status(500).send('Expire failed');
+      }
+    }
+  }
+
+  // Buyer abandoned checkout — give the seats back right away
+  if (event.type === 'checkout.session.expired') {
+    const session = event.data.object;
+    const { hold_id, waitlist_id, event_slug, tier } = session.metadata || {};
+    await releaseHold(hold_id);
+    // An abandoned waitlist checkout gives up the offer too
+    if (waitlist_id) await supabase.from('waitlist').update({ status: 'expired' }).eq('id', waitlist_id).eq('status', 'offered');
+    offerFreedSeats(event_slug || LEGACY_EVENT_SLUG, [tier]);
+  }
+
+  // Refunds issued from our admin already marked their tickets; this catches
+  // full refunds made directly in the Stripe dashboard.
+  if (event.type === 'charge.refunded') {
+    const charge = event.data.object;
+    if (charge.refunded && charge.payment_intent) {
+      try {
+        const count = await voidTicketsByPaymentIntent(charge.payment_intent, 'refunded', 'stripe_refund');
+        if (count) console.log(`↩️  Webhook marked ${count} tickets refunded for ${charge.payment_intent}`);
+      } catch (err) {
+        console.error('Webhook charge.refunded error:', err.message);
+        return res.status(500).send('Refund sync failed');
+      }
+    } else if (charge.payment_intent) {
+      console.log(`ℹ️  Partial refund on ${charge.payment_intent} — tickets left unchanged`);
+    }
+  }
+
+  // A promoter finished onboarding, or Stripe restricted their account
+  if (event.type === 'account.updated') {
+    try {
+      const profile = await syncConnectAccount(event.data.object);
+      if (profile) console.log(`🏦 Connect account ${profile.stripe_account_id} is ${profile.stripe_connect_status}`);
+    } catch (err) {
+      console.error('Webhook account.updated error:', err.message);
+      return res.status(500).send('Account sync failed');
+    }
+  }
+
+  // A chargeback means we may never see the money — revoke the tickets
+  if (event.type === 'charge.dispute.created') {
+    const dispute = event.data.object;
+    if (dispute.payment_intent) {
+      try {
+        const count = await voidTicketsByPaymentIntent(dispute.payment_intent, 'void', 'dispute');
+        console.log(`⚠️  Webhook voided ${count} tickets for disputed ${dispute.payment_intent}`);
+      } catch (err) {
+        console.error('Webhook charge.dispute.created error:', err.message);
+        return res.status(500).send('Dispute sync failed');
+      }
+    }
+  }
+
+  res.json({ received: true });
+});
+
+// ─────────────────────────────────────────────
+//  POST /confirm-payment  — client-side fallback
+//  Webhook is the primary path; this handles the race where
+//  the user lands on success.html before the webhook fires
+// ─────────────────────────────────────────────
+app.post('/confirm-payment', async (req, res) => {
+  const { session_id } = req.body;
+
+  if (!session_id) return res.status(400).json({ error: 'Session ID requerido.' });
+
+  try {
+    const session = await stripe.checkout.sessions.retrieve(session_id);
+    // Voucher or transfer instructions issued — the seats wait for the money
+    if (session.status === 'complete' && session.payment_status === 'unpaid' && session.metadata?.registrationIds) {
+      const pending = await holdPendingOrder(session);
+      if (pending.status === 'paid') {
+        const { metadata } = session;
+        return res.status(200).json({
+          success: true, alreadyConfirmed: true, name: metadata.name, email: metadata.email, quantity: parseInt(metadata.quantity) || 1,
+          tickets_token: signLinkToken('manage', { o: metadata.order_id || metadata.registrationIds.split(',')[0] })
+        });
+      }
+      return res.status(202).json({
+        pending: true,
+        expired: pending.status !== 'pending',
+        name: session.metadata.name,
+        email: session.metadata.email,
+        quantity: parseInt(session.metadata.quantity) || 1,
+        method: pending.method,
+        instructions_url: pending.url || null,
+        reference: pending.reference || null,
+        due_at: pending.due_at
+      });
+    }
+    if (session.payment_status !== 'paid') {
+      return res.status(400).json({ error: 'Pago no completado.' });
+    }
+
+    const result = await fulfillOrder(session.metadata, { paymentIntent: session.payment_intent });
+    if (result.soldOut) {
+      return res.status(409).json({
+        error: 'Se agotaron los lugares mientras completabas tu pago. Te reembolsamos el monto completo; recibirás un correo con los detalles.',
+        refunded: true
+      });
+    }
+    return res.status(200).json({ success: true, ...result, tickets_token: signLinkToken('manage', { o: result.order_id }) });
+
+  } catch (err) {
+    console.error('Confirm error:', err);
+    return res.status(500).json({ error: 'Error al confirmar el pago.' });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  WAITLIST
+//  Buyers join a sold-out paid tier by email. Whenever seats come back
+//  (refund, void, expired hold, capacity increase) processWaitlist() walks the
+//  line in order: each entry gets an inventory hold for its quantity — so the
+//  public availability stays at zero — and an emailed link that lets
+//  /create-checkout use that hold. Unused offers lapse and move the line.
+// ─────────────────────────────────────────────
+const WAITLIST_OFFER_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours to buy
+const WAITLIST_SWEEP_MS = 60 * 1000;
+
+// Offers seats to the front of the line until the next entry no longer fits.
+// Strictly first come, first served: a big request at the front is never skipped.
+async function processWaitlist(eventSlug, tierId) {
+  const eventData = await getSaleTiers(eventSlug);
+  const tierData = eventData?.tiers[tierId];
+  if (!tierData || !(tierData.price > 0)) return 0;
+
+  let offered = 0;
+  for (;;) {
+    const { data: next, error } = await supabase
+      .from('waitlist')
+      .select('*')
+      .eq('event_slug', eventSlug)
+      .eq('tier_id', tierId)
+      .eq('status', 'waiting')
+      .order('created_at', { ascending: true })
+      .limit(1);
+    if (error) throw new Error(`Supabase waitlist: ${error.message}`);
+    const entry = next?.[0];
+    if (!entry) break;
+
+    const expiresAt = new Date(Date.now() + WAITLIST_OFFER_TTL_MS);
+    const holdId = await createHold(eventSlug, tierId, entry.quantity, tierData.capacity, expiresAt);
+    if (!holdId) break;
+
+    // Another worker may have offered this entry in the meantime
+    const { data: claimed } = await supabase
+      .from('waitlist')
+      .update({ status: 'offered', hold_id: holdId, offered_at: new Date().toISOString(), offer_expires_at: expiresAt.toISOString() })
+      .eq('id', entry.id)
+      .eq('status', 'waiting')
+      .select('id');
+    if (!claimed?.length) {
+      await releaseHold(holdId);
+      continue;
+    }
+
+    const token = signLinkToken('waitlist', { w: entry.id, exp: expiresAt.getTime() });
+    try {
+      await enqueueEmail({
+        kind: 'notice',
+        to: entry.email,
+        event_slug: eventSlug,
+        subject: `Se liberó un lugar — ${eventData.eventName}`,
+        html: buildNoticeEmailHTML({
+          tag: '// Lista de espera',
+          title: 'ES TU<br/>TURNO',
+          body: `Hola${entry.name ? `, ${escapeHtml(entry.name)}` : ''}. Se liberó${entry.quantity > 1 ? `ron ${entry.quantity} lugares` : ' un lugar'} en <strong style="color:#f5f0e8;">${escapeHtml(`${eventData.eventName} — ${tierData.label}`)}</strong> y te ${entry.quantity > 1 ? 'los' : 'lo'} estamos guardando.`,
+          action: { url: `https://colectivo.live/e/${eventSlug}?tier=${encodeURIComponent(tierId)}&offer=${token}`, label: 'COMPRAR AHORA →' },
+          footnote: `El enlace expira en ${WAITLIST_OFFER_TTL_MS / 3_600_000} horas; después el lugar pasa a la siguiente persona.`
+        })
+      });
+    } catch (err) {
+      console.error('Waitlist offer email error:', err.message);
+    }
+    offered++;
+  }
+  return offered;
+}
+
+// Fire-and-forget: seats just came back, let the line know
+function offerFreedSeats(eventSlug, tierIds) {
+  for (const tierId of new Set(tierIds.filter(Boolean))) {
+    processWaitlist(eventSlug, tierId).catch(err => console.error('Waitlist error:', err.message));
+  }
+}
+
+// Catches what no request triggers: lapsed offers and holds that simply ran out
+async function sweepWaitlists() {
+  const { data: lapsed, error } = await supabase
+    .from('waitlist')
+    .update({ status: 'expired' })
+    .eq('status', 'offered')
+    .lt('offer_expires_at', new Date().toISOString())
+    .select('hold_id');
+  if (error) throw new Error(`Supabase waitlist sweep: ${error.message}`);
+  for (const l of lapsed || []) await releaseHold(l.hold_id);
+
+  const { data: waiting } = await supabase
+    .from('waitlist').select('event_slug, tier_id').eq('status', 'waiting');
+  const queues = new Map((waiting || []).map(w => [`${w.event_slug}\n${w.tier_id}`, w]));
+  for (const { event_slug, tier_id } of queues.values()) {
+    await processWaitlist(event_slug, tier_id);
+  }
+}
+
+setInterval(() => {
+  sweepWaitlists().catch(err => console.error('Waitlist sweep error:', err.message));
+}, WAITLIST_SWEEP_MS).unref();
+
+// Resolves a waitlist offer link to its entry, or { error }
+async function resolveWaitlistOffer(token, eventSlug, tierId) {
+  const payload = verifyLinkToken('waitlist', token);
+  if (!payload?.w) return { error: 'Enlace de lista de espera inválido.' };
+  if (linkTokenExpired(payload)) return { error: 'Tu lugar reservado expiró y pasó a la siguiente persona.' };
+
+  const { data: entry } = await supabase.from('waitlist').select('*').eq('id', payload.w).single();
+  if (!entry || (eventSlug && entry.event_slug !== eventSlug) || (tierId && entry.tier_id !== tierId)) {
+    return { error: 'Enlace de lista de espera inválido.' };
+  }
+  if (entry.status === 'purchased') return { error: 'Ya usaste este lugar reservado.' };
+  if (entry.status !== 'offered') return { error: 'Tu lugar reservado expiró y pasó a la siguiente persona.' };
+  return { entry };
+}
+
+// Stretches the offer's hold over the checkout session (and trims it to what
+// the buyer actually takes). Returns the hold id, or null if the hold is gone.
+async function takeOverOfferHold(entry, quantity, expiresAt) {
+  const { data, error } = await supabase
+    .from('inventory_holds')
+    .update({ quantity, expires_at: expiresAt.toISOString() })
+    .eq('id', entry.hold_id)
+    .eq('status', 'active')
+    .gt('expires_at', new Date().toISOString())
+    .select('id');
+  if (error) throw new Error(`Supabase hold: ${error.message}`);
+  if (!data?.length) return null;
+  // Keep the sweep from expiring the offer mid-checkout
+  await supabase.from('waitlist').update({ offer_expires_at: expiresAt.toISOString() }).eq('id', entry.id);
+  return entry.hold_id;
+}
+
+// POST /waitlist — join the line for a sold-out tier
+// Body: { event, tier, email, name?, quantity? }
+app.post('/waitlist', async (req, res) => {
+  const { event: eventSlug, tier, name, quantity, access_code } = req.body;
+  const email = String(req.body.email || '').trim().toLowerCase();
+  if (!tier || !email) return res.status(400).json({ error: 'Correo y tipo de acceso requeridos.' });
+  if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'Correo electrónico no válido.' });
+
+  const eventData = await getSaleTiers(eventSlug);
+  if (!eventData) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const finalSlug = eventSlug || LEGACY_EVENT_SLUG;
+  const tierData = eventData.tiers[tier];
+  if (!tierData || !tierUnlocked(tierData, access_code)) return res.status(400).json({ error: 'Tipo de acceso no válido.' });
+  if (!(tierData.price > 0)) return res.status(400).json({ error: 'La lista de espera es solo para accesos con pago.' });
+
+  const ordered = orderQuantity(tierData, quantity);
+  if (ordered.error) return res.status(400).json({ error: ordered.error });
+  const qty = ordered.qty;
+
+  try {
+    const saleError = await tierSaleError(eventData, finalSlug, tier, access_code);
+    if (saleError) return res.status(400).json({ error: saleError });
+
+    const [sold, held] = await Promise.all([
+      countSoldTickets(finalSlug, tier),
+      countHeldTickets(finalSlug, tier)
+    ]);
+    if (tierData.capacity - sold - held >= qty) {
+      return res.status(400).json({ error: 'Todavía hay lugares disponibles. Compra directamente.', available: true });
+    }
+
+    const { data: entry, error } = await supabase
+      .from('waitlist')
+      .insert([{ event_slug: finalSlug, tier_id: tier, email, name: name ? String(name).slice(0, 120) : null, quantity: qty }])
+      .select()
+      .single();
+    // Unique index: this email is already in line for the tier
+    if (error && error.code !== '23505') throw new Error(`Supabase waitlist: ${error.message}`);
+
+    const { data: mine } = entry
+      ? { data: entry }
+      : await supabase.from('waitlist').select('created_at').eq('event_slug', finalSlug).eq('tier_id', tier)
+          .ilike('email', email.replace(/[%_\\]/g, '\\$&')).in('status', ['waiting', 'offered']).single();
+    const { count: ahead } = await supabase
+      .from('waitlist')
+      .select('*', { count: 'exact', head: true })
+      .eq('event_slug', finalSlug)
+      .eq('tier_id', tier)
+      .eq('status', 'waiting')
+      .lt('created_at', mine?.created_at || new Date().toISOString());
+
+    return res.status(200).json({ success: true, already: !entry, position: (ahead || 0) + 1 });
+
+  } catch (err) {
+    console.error('Waitlist join error:', err);
+    return res.status(500).json({ error: 'Error al unirte a la lista de espera.' });
+  }
+});
+
+// GET /waitlist/offer?token=… — lets the event page prefill checkout from an offer link
+app.get('/waitlist/offer', async (req, res) => {
+  const { entry, error } = await resolveWaitlistOffer(req.query.token);
+  if (error) return res.status(400).json({ error });
+  return res.status(200).json({
+    event: entry.event_slug,
+    tier: entry.tier_id,
+    quantity: entry.quantity,
+    name: entry.name,
+    email: entry.email,
+    expires_at: entry.offer_expires_at
+  });
+});
+
+// ─────────────────────────────────────────────
+//  FREE / RSVP REGISTRATION
+//  No Stripe. The attendee confirms their email through a signed link and
+//  only then are seats claimed and tickets issued via fulfillOrder — a bot
+//  that can't read the inbox never touches capacity. Comp-code orders from
+//  /create-checkout take the same path.
+// ─────────────────────────────────────────────
+const RSVP_LINK_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Valid tickets one email already holds for an event (case-insensitive)
+async function countTicketsForEmail(eventSlug, email) {
+  const { count, error } = await supabase
+    .from('registrations')
+    .select('*', { count: 'exact', head: true })
+    .eq('event_slug', eventSlug)
+    .eq('payment_status', 'paid')
+    .ilike('email', email.replace(/[%_\\]/g, '\\$&'));
+  if (error) throw new Error(`Supabase count: ${error.message}`);
+  return count || 0;
+}
+
+function perEmailLimitError(already, qty, maxPerEmail) {
+  if (already + qty <= maxPerEmail) return null;
+  return already >= maxPerEmail
+    ? 'Este correo ya tiene el máximo de registros para este evento.'
+    : `Este correo solo puede registrar ${maxPerEmail - already} lugar(es) más.`;
+}
+
+// Emails the order as a signed confirmation link; nothing is reserved until it's clicked
+async function sendRegistrationConfirmation(order, eventName) {
+  const qty = parseInt(order.quantity) || 1;
+  const token = signLinkToken('rsvp', { ...order, exp: Date.now() + RSVP_LINK_TTL_MS });
+  await enqueueEmail({
+    kind: 'rsvp',
+    to: order.email,
+    event_slug: order.event_slug,
+    subject: `Confirma tu registro — ${eventName}`,
+    html: buildNoticeEmailHTML({
+      tag: '// Confirma tu correo',
+      title: 'UN PASO<br/>MÁS',
+      body: `Hola, ${escapeHtml(order.name)}. Confirma tu correo para recibir ${qty > 1 ? `tus ${qty} accesos` : 'tu acceso'} a <strong style="color:#f5f0e8;">${escapeHtml(order.student_name)}</strong>.`,
+      action: { url: `${BASE_URL}/success.html?rsvp=${token}`, label: 'CONFIRMAR REGISTRO →' },
+      footnote: 'Si no te registraste, puedes ignorar este correo.<br/>El enlace expira en 1 hora.'
+    })
+  });
+}
+
+// POST /register — step 1: validate and email a confirmation link
+app.post('/register', async (req, res) => {
+  const { name, email, phone, tier, quantity, access_code, event: eventSlug } = req.body;
+
+  if (!name || !email || !tier || !eventSlug) {
+    return res.status(400).json({ error: 'Todos los campos son requeridos.' });
+  }
+  const cleanEmail = String(email).trim().toLowerCase();
+  if (!EMAIL_RE.test(cleanEmail)) {
+    return res.status(400).json({ error: 'Correo electrónico no válido.' });
+  }
+
+  const eventData = await getEventTiers(eventSlug);
+  if (!eventData) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const { tiers, eventName, maxPerEmail } = eventData;
+
+  const tierData = tiers[tier];
+  if (!tierData || !tierUnlocked(tierData, access_code)) return res.status(400).json({ error: 'Tipo de acceso no válido.' });
+  if (tierData.price > 0) return res.status(400).json({ error: 'Este acceso requiere pago.' });
+
+  const ordered = orderQuantity(tierData, quantity, maxPerEmail);
+  if (ordered.error) return res.status(400).json({ error: ordered.error });
+  const qty = ordered.qty;
+
+  try {
+    const saleError = await tierSaleError(eventData, eventSlug, tier, access_code);
+    if (saleError) return res.status(400).json({ error: saleError });
+
+    const limitError = perEmailLimitError(await countTicketsForEmail(eventSlug, cleanEmail), qty, maxPerEmail);
+    if (limitError) return res.status(400).json({ error: limitError });
+
+    // Early sold-out answer; the real capacity check happens atomically on confirmation
+    const [sold, held] = await Promise.all([
+      countSoldTickets(eventSlug, tier),
+      countHeldTickets(eventSlug, tier)
+    ]);
+    if (tierData.capacity - sold - held < qty) {
+      return res.status(400).json({ error: 'Este tier está agotado.' });
+    }
+
+    await sendRegistrationConfirmation({
+      registrationIds: Array.from({ length: qty }, () => uuidv4()).join(','),
+      name,
+      student_name: `${eventName} — ${tierData.label}`,
+      email: cleanEmail,
+      phone: phone || '',
+      tier,
+      unit_price: '0',
+      order_id: uuidv4(),
+      quantity: String(qty),
+      event_slug: eventSlug
+    }, eventName);
+
+    return res.status(200).json({ success: true, pendingConfirmation: true, email: cleanEmail });
+
+  } catch (err) {
+    console.error('RSVP error:', err);
+    return res.status(500).json({ error: 'Error al procesar el registro.' });
+  }
+});
+
+// POST /register/confirm — step 2: claim seats and issue tickets
+app.post('/register/confirm', async (req, res) => {
+  const payload = verifyLinkToken('rsvp', req.body.token);
+  if (!payload?.registrationIds) return res.status(400).json({ error: 'Enlace de confirmación inválido.' });
+  const { exp, ...metadata } = payload;
+  const qty = parseInt(metadata.quantity) || 1;
+
+  // Second click on the same link — tickets were already issued
+  const { data: existing } = await supabase
+    .from('registrations').select('id').eq('id', metadata.registrationIds.split(',')[0]).single();
+  if (existing) {
+    try {
+      await enqueueOrderEmail(metadata);
+    } catch (err) {
+      console.error('RSVP email queue error:', err.message);
+    }
+    return res.status(200).json({
+      success: true, alreadyConfirmed: true, free: true, name: metadata.name, email: metadata.email, quantity: qty,
+      tickets_token: signLinkToken('manage', { o: metadata.order_id || existing.id })
+    });
+  }
+
+  if (linkTokenExpired(payload)) {
+    return res.status(400).json({ error: 'El enlace de confirmación expiró. Regístrate de nuevo.' });
+  }
+
+  const eventData = await getSaleTiers(metadata.event_slug);
+  const tierData = eventData?.tiers[metadata.tier];
+  if (!tierData) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  // A comp code used on a waitlist offer takes the offer's seats, which stay the entry's if this fails
+  const offered = !!metadata.waitlist_id;
+  let holdId = null;
+  try {
+    if (await countTicketsForEmail(metadata.event_slug, metadata.email) + qty > eventData.maxPerEmail) {
+      return res.status(400).json({ error: 'Este correo ya tiene el máximo de registros para este evento.' });
+    }
+
+    const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
+    if (offered) {
+      const { data: entry } = await supabase.from('waitlist').select('*').eq('id', metadata.waitlist_id).single();
+      holdId = entry?.status === 'offered' ? await takeOverOfferHold(entry, qty, expiresAt) : null;
+      if (!holdId) return res.status(409).json({ error: 'Tu lugar reservado expiró y pasó a la siguiente persona.' });
+    } else {
+      holdId = await createHold(metadata.event_slug, metadata.tier, qty, tierData.capacity, expiresAt);
+      if (!holdId) return res.status(409).json({ error: 'Se agotaron los lugares antes de que confirmaras tu registro.' });
+    }
+    if (metadata.promo_code_id && !(await reservePromoUse(metadata.promo_code_id, holdId))) {
+      if (!offered) await releaseHold(holdId);
+      return res.status(400).json({ error: 'Este código ya alcanzó su límite de usos.' });
+    }
+
+    const result = await fulfillOrder({ ...metadata, hold_id: holdId });
+    if (result.soldOut) return res.status(409).json({ error: 'Se agotaron los lugares antes de que confirmaras tu registro.' });
+    return res.status(200).json({ success: true, free: true, ...result, tickets_token: signLinkToken('manage', { o: result.order_id }) });
+
+  } catch (err) {
+    console.error('RSVP confirm error:', err);
+    if (!offered) await releaseHold(holdId);
+    return res.status(500).json({ error: 'Error al confirmar el registro.' });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  TICKET MANAGEMENT (buyers — no account needed)
+//  The confirmation email links to tickets.html?token=…, an HMAC-signed scope:
+//  { o: order_id } for the buyer, or { t: ticket_id } for whoever received a
+//  transfer. Links don't expire; retired tickets just stop being actionable.
+// ─────────────────────────────────────────────
+function verifyManageToken(token) {
+  const scope = verifyLinkToken('manage', token);
+  return scope?.o || scope?.t ? scope : null;
+}
+
+function manageTicketsUrl(scope) {
+  return `${BASE_URL}/tickets.html?token=${signLinkToken('manage', scope)}`;
+}
+
+// The buyer sees the tickets they bought (retired ones show where they went);
+// a transfer recipient sees only their own ticket.
+async function loadManagedTickets(scope) {
+  let query = supabase
+    .from('registrations')
+    .select('id, name, email, attendee_name, attendee_email, student_name, tier_id, unit_price, event_slug, payment_status, checked_in, order_id, transferred_to, created_at')
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+  query = scope.o ? query.eq('order_id', scope.o).is('transferred_from', null) : query.eq('id', scope.t);
+  const { data, error } = await query;
+  if (error) throw new Error(`Supabase tickets: ${error.message}`);
+  return data || [];
+}
+
+// GET /tickets/manage?token=…
+app.get('/tickets/manage', async (req, res) => {
+  const scope = verifyManageToken(req.query.token);
+  if (!scope) return res.status(400).json({ error: 'Enlace inválido.' });
+
+  try {
+    const tickets = await loadManagedTickets(scope);
+    if (!tickets.length) return res.status(404).json({ error: 'No se encontraron boletos.' });
+    const slug = tickets[0].event_slug;
+
+    const { data: ev } = await supabase
+      .from('events').select('slug, name, date_label, time_label, starts_at, ends_at, timezone, venue, tiers, allow_transfers').eq('slug', slug).single();
+    const tierLabels = ev
+      ? Object.fromEntries((ev.tiers || []).map(t => [t.id, t.label]))
+      : Object.fromEntries(Object.entries(LEGACY_TIERS).map(([id, t]) => [id, t.label]));
+
+    // Who each retired ticket went to
+    const movedIds = tickets.filter(t => t.payment_status === 'transferred').map(t => t.id);
+    const { data: transfers } = movedIds.length
+      ? await supabase.from('ticket_transfers').select('from_ticket_id, to_name').in('from_ticket_id', movedIds)
+      : { data: [] };
+    const recipients = Object.fromEntries((transfers || []).map(t => [t.from_ticket_id, t.to_name]));
+
+    return res.status(200).json({
+      event: {
+        slug,
+        name: ev?.name || tickets[0].student_name.split(' — ')[0],
+        date_label: withDateLabels(ev)?.date_label || null,
+        starts_at: ev?.starts_at || null,
+        venue: ev?.venue || null,
+        allow_transfers: ev?.allow_transfers !== false
+      },
+      wallet: { apple: passes.appleWalletEnabled, google: passes.googleWalletEnabled },
+      buyer: scope.o ? { name: tickets[0].name, email: tickets[0].email } : null,
+      tickets: tickets.map(t => ({
+        id: t.id,
+        tier: tierLabels[t.tier_id] || t.student_name.split(' — ')[1] || '',
+        attendee_name: t.attendee_name,
+        attendee_email: t.attendee_email,
+        status: t.payment_status,
+        checked_in: t.checked_in,
+        transferred_to: recipients[t.id] || null
+      }))
+    });
+  } catch (err) {
+    console.error('Manage tickets error:', err);
+    return res.status(500).json({ error: 'Error al cargar los boletos.' });
+  }
+});
+
+// PUT /tickets/manage/:id — name the person who will use this ticket
+// Body: { token, attendee_name, attendee_email? }
+app.put('/tickets/manage/:id', async (req, res) => {
+  const scope = verifyManageToken(req.body.token);
+  if (!scope) return res.status(400).json({ error: 'Enlace inválido.' });
+
+  const attendeeName = String(req.body.attendee_name || '').trim().slice(0, 120);
+  const attendeeEmail = String(req.body.attendee_email || '').trim().toLowerCase();
+  if (attendeeEmail && !EMAIL_RE.test(attendeeEmail)) {
+    return res.status(400).json({ error: 'Correo electrónico no válido.' });
+  }
+
+  try {
+    const ticket = (await loadManagedTickets(scope)).find(t => t.id === req.params.id);
+    if (!ticket) return res.status(404).json({ error: 'Boleto no encontrado.' });
+    if (ticket.payment_status !== 'paid') return res.status(400).json({ error: 'Este boleto ya no es válido.' });
+
+    const { error } = await supabase
+      .from('registrations')
+      .update({ attendee_name: attendeeName || null, attendee_email: attendeeEmail || null })
+      .eq('id', ticket.id)
+      .eq('payment_status', 'paid');
+    if (error) throw new Error(`Supabase attendee: ${error.message}`);
+
+    return res.status(200).json({ success: true, attendee_name: attendeeName || null, attendee_email: attendeeEmail || null });
+  } catch (err) {
+    console.error('Attendee update error:', err);
+    return res.status(500).json({ error: 'Error al guardar el asistente.' });
+  }
+});
+
+// POST /tickets/manage/:id/transfer — reissue the ticket to someone else
+// Body: { token, name, email }
+// The old QR dies immediately; the recipient gets a new one plus their own manage link.
+app.post('/tickets/manage/:id/transfer', async (req, res) => {
+  const scope = verifyManageToken(req.body.token);
+  if (!scope) return res.status(400).json({ error: 'Enlace inválido.' });
+
+  const toName = String(req.body.name || '').trim().slice(0, 120);
+  const toEmail = String(req.body.email || '').trim().toLowerCase();
+  if (!toName || !toEmail) return res.status(400).json({ error: 'Nombre y correo requeridos.' });
+  if (!EMAIL_RE.test(toEmail)) return res.status(400).json({ error: 'Correo electrónico no válido.' });
+
+  try {
+    const ticket = (await loadManagedTickets(scope)).find(t => t.id === req.params.id);
+    if (!ticket) return res.status(404).json({ error: 'Boleto no encontrado.' });
+
+    const { data: ev } = await supabase
+      .from('events').select('allow_transfers').eq('slug', ticket.event_slug).single();
+    if (ev?.allow_transfers === false) {
+      return res.status(403).json({ error: 'El organizador desactivó las transferencias para este evento.' });
+    }
+    if (ticket.checked_in) return res.status(400).json({ error: 'Este boleto ya se usó para entrar.' });
+    if (ticket.payment_status !== 'paid') return res.status(400).json({ error: 'Este boleto ya no es válido.' });
+
+    const fromName = ticket.attendee_name || ticket.name;
+    const fromEmail = ticket.attendee_email || ticket.email;
+    if (toEmail === fromEmail.toLowerCase()) {
+      return res.status(400).json({ error: 'Este boleto ya está a nombre de ese correo.' });
+    }
+
+    const newId = uuidv4();
+    const { data: moved, error: rpcErr } = await supabase.rpc('transfer_ticket', {
+      p_ticket_id: ticket.id, p_new_id: newId, p_to_name: toName, p_to_email: toEmail
+    });
+    if (rpcErr) throw new Error(`Supabase transfer: ${rpcErr.message}`);
+    if (!moved) return res.status(409).json({ error: 'Este boleto ya no se puede transferir.' });
+
+    // Past this point the transfer stands; a failed email can be re-sent from the event admin
+    let emailed = true;
+    try {
+      await enqueueEmail({
+        kind: 'transfer',
+        to: toEmail,
+        subject: `🎟️ ${fromName} te envió un acceso — ${ticket.student_name.split(' — ')[0] || 'Colectivo'}`,
+        event_slug: ticket.event_slug,
+        registration_ids: [newId],
+        data: {
+          name: toName,
+          student_name: ticket.student_name,
+          transferredFrom: fromName,
+          manageUrl: manageTicketsUrl({ t: newId })
+        }
+      });
+    } catch (err) {
+      emailed = false;
+      console.error('Transfer email error:', err.message);
+    }
+
+    try {
+      await enqueueEmail({
+        kind: 'notice',
+        to: scope.o ? ticket.email : fromEmail,   // whoever holds this link started the transfer
+        event_slug: ticket.event_slug,
+        subject: `Boleto transferido — ${ticket.student_name.split(' — ')[0] || 'Colectivo'}`,
+        html: buildNoticeEmailHTML({
+          tag: '// Transferencia',
+          title: 'BOLETO<br/>TRANSFERIDO',
+          body: `Hola, ${escapeHtml(scope.o ? ticket.name : fromName)}. Transferiste tu acceso a <strong style="color:#f5f0e8;">${escapeHtml(ticket.student_name)}</strong> a ${escapeHtml(toName)}.<br/>
+            El QR que tenías ya no es válido en la entrada.`,
+          footnote: 'Si no hiciste esta transferencia, responde a este correo.'
+        })
+      });
+    } catch (err) {
+      console.error('Transfer notice error:', err.message);
+    }
+
+    return res.status(200).json({ success: true, emailed, ticket: { id: newId, attendee_name: toName, attendee_email: toEmail } });
+  } catch (err) {
+    console.error('Transfer error:', err);
+    return res.status(500).json({ error: 'Error al transferir el boleto.' });
+  }
+});
+
+// GET /tickets/manage/:id/:format?token=… — download one ticket
+// format: pdf | pkpass | google-wallet (redirects to the Google save link)
+app.get('/tickets/manage/:id/:format(pdf|pkpass|google-wallet)', async (req, res) => {
+  const scope = verifyManageToken(req.query.token);
+  if (!scope) return res.status(400).json({ error: 'Enlace inválido.' });
+  const { format } = req.params;
+  if ((format === 'pkpass' && !passes.appleWalletEnabled) || (format === 'google-wallet' && !passes.googleWalletEnabled)) {
+    return res.status(404).json({ error: 'Este formato no está disponible.' });
+  }
+
+  try {
+    const ticket = (await loadManagedTickets(scope)).find(t => t.id === req.params.id);
+    if (!ticket) return res.status(404).json({ error: 'Boleto no encontrado.' });
+    if (ticket.payment_status !== 'paid') return res.status(400).json({ error: 'Este boleto ya no es válido.' });
+
+    const event = await getPassEvent(ticket.event_slug, ticket.student_name);
+    const pass = passTicket(ticket, ticket.event_slug);
+    const filename = `boleto-${ticket.id.slice(0, 8)}`;
+
+    if (format === 'google-wallet') return res.redirect(302, passes.googleWalletUrl(event, pass));
+    if (format === 'pkpass') {
+      res.setHeader('Content-Type', 'application/vnd.apple.pkpass');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pkpass"`);
+      return res.send(await passes.renderPkpass(event, pass));
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.send(await passes.ticketPDF(event, pass));
+  } catch (err) {
+    console.error('Ticket download error:', err);
+    return res.status(500).json({ error: 'Error al generar el boleto.' });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  RETIRED LEGACY ENDPOINTS (password-based — replaced by JWT v2 routes)
+// ─────────────────────────────────────────────
+const RETIRED = (req, res) =>
+  res.status(410).json({ error: 'Este endpoint fue retirado. Usa la versión v2 con JWT.' });
+
+app.post('/admin/resend-email', RETIRED);
+
+// ─────────────────────────────────────────────
+//  EMAIL HTML TEMPLATE
+// ─────────────────────────────────────────────
+// reminder: when-label of the event ("Sábado 12 de abril · 22:00 hrs") — turns this into the pre-event reminder
+function buildEmailHTML({ name, student_name, qrCodes, free = false, transferredFrom = null, manageUrl = null, appleWallet = false, reminder = null, unsubscribeUrl = null }) {
+  const qty = qrCodes.length;
+  const eventDisplay = escapeHtml(student_name.split(' — ')[0] || 'Colectivo');
+  const qrBlocks = qrCodes.map((qr, i) => `
+    <div class="qr-section">
+      <div class="qr-label">${qty > 1 ? `// Boleto ${i + 1} de ${qty}` : '// Tu código de acceso'}</div>
+      <img src="${qr.qrDataURL}" alt="Código QR" class="qr-img" />
+      <div class="qr-id">ID: ${escapeHtml(qr.id)}</div>
+      ${qr.googleWalletUrl ? `<a href="${qr.googleWalletUrl}" class="wallet">Guardar en Google Wallet →</a>` : ''}
+    </div>
+  `).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8"/>
+  <style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; background: #080808; margin: 0; padding: 0; }
+    .container { max-width: 520px; margin: 40px auto; background: #111111; overflow: hidden; }
+    .header { background: #080808; padding: 40px; text-align: center; border-bottom: 1px solid #222; }
+    .header-tag { font-family: monospace; font-size: 10px; letter-spacing: 4px; color: #FF3B1F; text-transform: uppercase; margin-bottom: 12px; }
+    .header h1 { color: #f5f0e8; font-size: 32px; margin: 0; font-weight: 800; letter-spacing: -1px; }
+    .header p { color: #555; font-size: 13px; margin-top: 6px; font-family: monospace; letter-spacing: 2px; text-transform: uppercase; }
+    .body { padding: 36px 40px; }
+    .greeting { font-size: 17px; font-weight: 700; color: #f5f0e8; margin-bottom: 8px; }
+    .info { font-size: 14px; color: #888; line-height: 1.7; margin-bottom: 28px; }
+    .detail-box { background: #1a1a1a; border: 1px solid #222; padding: 20px 24px; margin-bottom: 32px; }
+    .detail-box p { margin: 0 0 6px; font-size: 13px; color: #666; }
+    .detail-box p:last-child { margin-bottom: 0; }
+    .detail-box strong { color: #f5f0e8; }
+    .attachment-note { background: #0f0f0f; border: 1px solid #1a1a1a; border-left: 3px solid #FF3B1F; padding: 14px 20px; margin-bottom: 28px; font-size: 13px; color: #666; }
+    .attachment-note strong { color: #f5f0e8; }
+    .qr-section { text-align: center; margin-bottom: 16px; background: #1a1a1a; border: 1px solid #222; padding: 32px; }
+    .qr-label { font-family: monospace; font-size: 10px; letter-spacing: 3px; color: #555; text-transform: uppercase; margin-bottom: 20px; }
+    .qr-img { width: 200px; height: 200px; border: 3px solid #FF3B1F; display: block; margin: 0 auto; }
+    .qr-id { font-family: monospace; font-size: 10px; color: #333; margin-top: 12px; word-break: break-all; }
+    .wallet { display: inline-block; margin-top: 16px; font-family: monospace; font-size: 11px; letter-spacing: 2px; color: #FF3B1F; text-decoration: none; text-transform: uppercase; }
+    .manage { font-size: 13px; color: #666; text-align: center; margin: 24px 0 0; }
+    .manage a { color: #FF3B1F; text-decoration: none; }
+    .footer { background: #080808; padding: 24px 40px; text-align: center; border-top: 1px solid #1a1a1a; }
+    .footer p { font-size: 11px; color: #333; margin: 0; font-family: monospace; letter-spacing: 2px; }
+    .footer .unsubscribe { margin-top: 12px; letter-spacing: 0; }
+    .footer .unsubscribe a { color: #444; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <div class="header-tag">// Colectivo presenta</div>
+      <h1>${eventDisplay.toUpperCase()}</h1>
+      <p>${reminder ? 'Recordatorio' : qty > 1 ? `${qty} accesos confirmados` : 'Tu acceso está confirmado'}</p>
+    </div>
+    <div class="body">
+      <p class="greeting">Hola, ${escapeHtml(name)} 👋</p>
+      <p class="info">${reminder ? `Falta poco: te esperamos el ${escapeHtml(reminder)}.` : transferredFrom ? `${escapeHtml(transferredFrom)} te transfirió este acceso.` : free ? 'Tu registro está confirmado.' : 'Tu pago fue procesado.'} ${qty > 1 ? `Aquí están tus ${qty} códigos QR` : 'Aquí está tu código QR'} — preséntalo en la entrada el día del evento.</p>
+      <div class="detail-box">
+        <p>Nombre: <strong>${escapeHtml(name)}</strong></p>
+        <p>Tipo de acceso: <strong>${escapeHtml(student_name)}</strong></p>
+        ${qty > 1 ? `<p>Cantidad: <strong>${qty} boletos</strong></p>` : ''}
+      </div>
+      <div class="attachment-note">
+        📎 <strong>¿No ves el QR?</strong> ${qty > 1 ? 'Cada boleto va adjunto' : 'Tu boleto va adjunto'} en PDF${appleWallet ? ' y como pase de Apple Wallet (.pkpass)' : ''}.
+      </div>
+      ${qrBlocks}
+      ${manageUrl ? `<p class="manage">¿${qty > 1 ? 'Vas con alguien más' : 'No puedes ir'}? <a href="${manageUrl}">${qty > 1 ? 'Asigna un nombre a cada boleto o transfiérelos' : 'Transfiere tu boleto'} →</a></p>` : ''}
+    </div>
+    <div class="footer">
+      <p>COLECTIVO.LIVE</p>
+      ${unsubscribeUrl ? `<p class="unsubscribe"><a href="${unsubscribeUrl}">No quiero recibir recordatorios ni avisos de este evento</a></p>` : ''}
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+// Plain notice email (refunds, notifications) — same shell as the invite email.
+// tag, title, body and footnote are HTML: callers escape whatever the user typed.
+function buildNoticeEmailHTML({ tag, title, body, action, footnote }) {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="UTF-8"/><meta name="viewport" content="width=device-width,initial-scale=1.0"/></head>
+<body style="margin:0;padding:0;background:#080808;font-family:monospace,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background:#080808;padding:48px 0;">
+    <tr><td align="center">
+      <table width="520" cellpadding="0" cellspacing="0" style="max-width:520px;width:100%;">
+        <tr><td style="padding:0 0 40px;text-align:center;">
+          <span style="font-family:monospace;font-size:13px;font-weight:700;letter-spacing:6px;color:#f5f0e8;">COLECTIVO</span>
+        </td></tr>
+        <tr><td style="background:#111111;border:1px solid #222222;padding:48px 40px;">
+          <p style="margin:0 0 6px;font-family:monospace;font-size:10px;letter-spacing:4px;color:#FF3B1F;text-transform:uppercase;">${tag}</p>
+          <h1 style="margin:0 0 20px;font-family:monospace;font-size:28px;font-weight:700;letter-spacing:-1px;color:#f5f0e8;line-height:1.1;">${title}</h1>
+          <p style="margin:0;font-family:monospace;font-size:13px;color:#888888;line-height:1.8;">
+            ${body}
+          </p>
+          ${action ? `
+          <table width="100%" cellpadding="0" cellspacing="0">
+            <tr><td align="center" style="padding:32px 0 0;">
+              <a href="${escapeHtml(action.url)}" style="display:inline-block;background:#FF3B1F;color:#ffffff;font-family:monospace;font-size:12px;font-weight:700;letter-spacing:3px;text-transform:uppercase;text-decoration:none;padding:16px 36px;">
+                ${escapeHtml(action.label)}
+              </a>
+            </td></tr>
+          </table>` : ''}
+          ${footnote ? `
+          <table width="100%" cellpadding="0" cellspacing="0" style="margin-top:32px;"><tr><td style="border-top:1px solid #222222;padding-top:24px;">
+            <p style="margin:0;font-family:monospace;font-size:10px;color:#444444;line-height:1.7;">
+              ${footnote}
+            </p>
+          </td></tr></table>` : ''}
+        </td></tr>
+        <tr><td style="padding:24px 0 0;text-align:center;">
+          <p style="margin:0;font-family:monospace;font-size:9px;letter-spacing:3px;color:#333333;text-transform:uppercase;">
+            COLECTIVO.LIVE
+          </p>
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+app.get('/admin/registrations', RETIRED);
+app.post('/verify', RETIRED);
+
+// ─────────────────────────────────────────────
+//  EVENT CRUD — PUBLIC
+// ─────────────────────────────────────────────
+
+app.get('/events/:slug', async (req, res) => {
+  const { slug } = req.params;
+  const { data, error } = await supabase
+    .from('events')
+    .select('*')
+    .eq('slug', slug)
+    .eq('published', true)
+    .single();
+
+  if (error || !data) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const { policy } = await resolveFeePolicy(slug);
+  // What the buyer pays per ticket, before any promo code
+  const tiers = publicTiers(data.tiers, req.query.access_code).map(t => {
+    const fees = ticketFees(data.is_free ? 0 : t.price, policy);
+    return { ...t, service_fee: fees.fee_absorbed ? 0 : fees.service_fee, fee_tax: fees.fee_absorbed ? 0 : fees.fee_tax, total: fees.amount_paid };
+  });
+  const { fee_policy, ...event } = data;
+  res.set('Cache-Control', 'no-store');
+  return res.status(200).json(withDateLabels({ ...event, tiers }));
+});
+
+// GET /events/:slug/calendar.ics — add-to-calendar link for the event page
+app.get('/events/:slug/calendar.ics', async (req, res) => {
+  const { data: ev } = await supabase
+    .from('events')
+    .select('slug, name, venue, city, address, starts_at, ends_at')
+    .eq('slug', req.params.slug)
+    .eq('published', true)
+    .single();
+  const ics = ev && passes.eventCalendar({ ...ev, url: `https://colectivo.live/e/${ev.slug}` });
+  if (!ics) return res.status(404).json({ error: 'Evento no encontrado o sin fecha.' });
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${ev.slug}.ics"`);
+  return res.send(ics);
+});
+
+// ─────────────────────────────────────────────
+//  EVENT CRUD — ADMIN (legacy password auth — retired)
+// ─────────────────────────────────────────────
+app.get('/admin/events',         RETIRED);
+app.get('/admin/events/:slug',   RETIRED);
+app.post('/admin/events',        RETIRED);
+app.put('/admin/events/:slug',   RETIRED);
+app.delete('/admin/events/:slug', RETIRED);
+
+// ─────────────────────────────────────────────
+//  EVENT CRUD — v2 (JWT auth)
+// ─────────────────────────────────────────────
+
+// GET /v2/admin/events — each with the caller's role on it
+app.get('/v2/admin/events', requireAuth, async (req, res) => {
+  let query = supabase
+    .from('events')
+    .select('id, slug, name, date_label, time_label, starts_at, ends_at, timezone, published, created_at, user_id')
+    .order('created_at', { ascending: false });
+  // Promoters see their own events and the ones they're on the team of; superadmin sees all
+  const teamRoles = {};
+  if (req.user.role !== 'superadmin') {
+    const { data: memberships } = await supabase
+      .from('event_members').select('event_slug, role').eq('email', (req.user.email || '').toLowerCase());
+    for (const m of memberships || []) teamRoles[m.event_slug] = m.role;
+    const slugs = Object.keys(teamRoles);
+    query = slugs.length
+      ? query.or(`user_id.eq.${req.user.id},slug.in.(${slugs.join(',')})`)
+      : query.eq('user_id', req.user.id);
+  }
+  const { data, error } = await query;
+  if (error) return res.status(500).json({ error: 'Error al obtener eventos.' });
+  return res.status(200).json(data.map(ev => ({
+    ...withDateLabels(ev),
+    role: req.user.role === 'superadmin' || ev.user_id === req.user.id ? 'owner' : teamRoles[ev.slug]
+  })));
+});
+
+// GET /v2/admin/events/:slug
+app.get('/v2/admin/events/:slug', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const data = await findOwnedEvent(req, req.params.slug);
+  if (!data) return res.status(404).json({ error: 'Evento no encontrado.' });
+  return res.status(200).json({ ...data, role: req.eventRole });
+});
+
+// POST /v2/admin/events
+app.post('/v2/admin/events', requireAuth, async (req, res) => {
+  const { row: eventData, error: invalid, fields } = validateEventInput(req.body);
+  if (invalid) return res.status(400).json({ error: invalid, fields });
+  eventData.slug = eventData.slug.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+  const ruleProblem = checkEventRules(eventData);
+  if (ruleProblem) return res.status(400).json(ruleProblem);
+  eventData.user_id = req.user.id;
+  eventData.user_email = req.user.email;
+
+  const { data, error } = await supabase
+    .from('events').insert([eventData]).select().single();
+  if (error) {
+    if (error.code === '23505') return res.status(409).json({ error: 'Ya existe un evento con ese slug.' });
+    return res.status(500).json({ error: 'Error al crear el evento.' });
+  }
+  recordAudit(req, { action: 'event.create', event_slug: data.slug, target_id: data.slug, details: { name: data.name } });
+  return res.status(201).json(data);
+});
+
+// PUT /v2/admin/events/:slug
+app.put('/v2/admin/events/:slug', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  // Only the fields sent are touched; the slug, ownership and fee policy never move through
+  // here, and only the owner may publish or unpublish
+  const { row: eventData, error: invalid, fields } = validateEventInput(req.body, {
+    partial: true,
+    can: permission => eventCan(req.eventRole, permission)
+  });
+  if (invalid) return res.status(400).json({ error: invalid, fields });
+  if (!Object.keys(eventData).length) return res.status(400).json({ error: 'Nada que actualizar.' });
+
+  // The row as it stands: the audit diff starts from it, and times sent without
+  // a zone are read in the zone the event already has
+  const { data: current } = await supabase.from('events').select('*').eq('slug', req.params.slug).single();
+  if (!current) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const ruleProblem = checkEventRules(eventData, current.timezone);
+  if (ruleProblem) return res.status(400).json(ruleProblem);
+  if (eventData.tiers) {
+    try {
+      const tierProblem = await checkTierChanges(current.tiers, eventData.tiers, {
+        issued: tierId => countIssuedTickets(current.slug, tierId),
+        sold: tierId => countSoldTickets(current.slug, tierId)
+      });
+      if (tierProblem) return res.status(400).json(tierProblem);
+    } catch (err) {
+      console.error('Tier check error:', err.message);
+      return res.status(500).json({ error: 'Error al actualizar el evento.' });
+    }
+  }
+  // A rescheduled event gets a fresh reminder
+  if ('starts_at' in eventData && new Date(eventData.starts_at || 0).getTime() !== new Date(current.starts_at || 0).getTime()) {
+    eventData.reminder_queued_at = null;
+  }
+
+  const { data, error } = await supabase.from('events').update(eventData).eq('slug', req.params.slug).select().single();
+  if (error) return res.status(500).json({ error: 'Error al actualizar el evento.' });
+  if (!data) return res.status(404).json({ error: 'Evento no encontrado o sin permiso.' });
+  recordAudit(req, { action: 'event.update', target_id: data.slug, changes: auditDiff(current, data, Object.keys(eventData)) });
+  // A capacity increase may have opened seats for people on the waitlist
+  if (eventData.tiers) offerFreedSeats(data.slug, (data.tiers || []).map(t => t.id));
+  return res.status(200).json(data);
+});
+
+// DELETE /v2/admin/events/:slug
+app.delete('/v2/admin/events/:slug', requireAuth, requireEventPermission('manage'), async (req, res) => {
+  const { data: current } = await supabase.from('events').select('published').eq('slug', req.params.slug).single();
+  const { error } = await supabase.from('events').update({ published: false }).eq('slug', req.params.slug);
+  if (error) return res.status(500).json({ error: 'Error al eliminar el evento.' });
+  recordAudit(req, { action: 'event.unpublish', target_id: req.params.slug, changes: auditDiff(current, { published: false }) });
+  return res.status(200).json({ success: true });
+});
+
+// GET /v2/admin/events/:slug/fee-policy — the policy in force and where it comes from
+app.get('/v2/admin/events/:slug/fee-policy', requireAuth, requireEventPermission('revenue'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, fee_policy');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const { policy, source } = await resolveFeePolicy(event.slug);
+  return res.status(200).json({ ...policy, source, event_policy: event.fee_policy || null });
+});
+
+// PUT /v2/admin/events/:slug/fee-policy — superadmin sets this event's policy
+// Body: { policy: { percent?, fixed?, absorb?, tax_percent? } } — omitted fields take the
+// defaults; { policy: null } falls back to the promoter's policy
+app.put('/v2/admin/events/:slug/fee-policy', requireAuth, requireSuperAdmin, async (req, res) => {
+  const { policy, error: policyError } = normalizeFeePolicy(req.body.policy);
+  if (policyError) return res.status(400).json({ error: policyError });
+
+  const { data: current } = await supabase.from('events').select('fee_policy').eq('slug', req.params.slug).maybeSingle();
+  const { data, error } = await supabase
+    .from('events').update({ fee_policy: policy }).eq('slug', req.params.slug).select('slug').maybeSingle();
+  if (error) return res.status(500).json({ error: 'Error al guardar la política de cargos.' });
+  if (!data) return res.status(404).json({ error: 'Evento no encontrado.' });
+  recordAudit(req, { action: 'event.fee_policy', target_id: data.slug, changes: auditDiff(current, { fee_policy: policy }) });
+  const resolved = await resolveFeePolicy(data.slug);
+  return res.status(200).json({ ...resolved.policy, source: resolved.source, event_policy: policy });
+});
+
+// PUT /v2/admin/promoters/:id/fee-policy — superadmin sets a promoter's policy for all their events
+// Body: { policy } as above; null falls back to the platform default
+app.put('/v2/admin/promoters/:id/fee-policy', requireAuth, requireSuperAdmin, async (req, res) => {
+  const { policy, error: policyError } = normalizeFeePolicy(req.body.policy);
+  if (policyError) return res.status(400).json({ error: policyError });
+
+  const { data: current } = await supabase.from('profiles').select('fee_policy').eq('id', req.params.id).maybeSingle();
+  const { data, error } = await supabase
+    .from('profiles').update({ fee_policy: policy }).eq('id', req.params.id).select('id').maybeSingle();
+  if (error) return res.status(500).json({ error: 'Error al guardar la política de cargos.' });
+  if (!data) return res.status(404).json({ error: 'Promotor no encontrado.' });
+  recordAudit(req, { action: 'user.fee_policy', event_slug: null, target_id: data.id, changes: auditDiff(current, { fee_policy: policy }) });
+  return res.status(200).json({ id: data.id, fee_policy: policy });
+});
+
+// ─────────────────────────────────────────────
+//  STRIPE CONNECT — promoter onboarding (see STRIPE CONNECT above)
+// ─────────────────────────────────────────────
+
+// GET /v2/admin/connect — the signed-in promoter's payout account, refreshed from Stripe
+app.get('/v2/admin/connect', requireAuth, async (req, res) => {
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('stripe_account_id, stripe_connect_status, stripe_payouts_enabled, stripe_connect_synced_at')
+    .eq('id', req.user.id)
+    .maybeSingle();
+  if (!profile?.stripe_account_id) return res.status(200).json({ connected: false, status: null });
+
+  let current = profile;
+  try {
+    current = (await syncConnectAccount(await stripe.accounts.retrieve(profile.stripe_account_id))) || profile;
+  } catch (err) {
+    // Show the last known state rather than failing the dashboard
+    console.error('Connect status error:', err.message);
+  }
+  return res.status(200).json({
+    connected: true,
+    account: current.stripe_account_id,
+    status: current.stripe_connect_status,
+    payouts_enabled: !!current.stripe_payouts_enabled,
+    synced_at: current.stripe_connect_synced_at
+  });
+});
+
+// POST /v2/admin/connect/onboard — create the connected account (first time) and
+// return a Stripe-hosted onboarding link. Opening it again resumes where they left off.
+app.post('/v2/admin/connect/onboard', requireAuth, async (req, res) => {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles').select('stripe_account_id').eq('id', req.user.id).maybeSingle();
+    let accountId = profile?.stripe_account_id;
+
+    if (!accountId) {
+      const account = await stripe.accounts.create({
+        type: 'express',
+        country: CONNECT_COUNTRY,
+        email: req.user.email,
+        capabilities: { card_payments: { requested: true }, transfers: { requested: true } },
+        metadata: { user_id: req.user.id }
+      }, { idempotencyKey: `connect-account-${req.user.id}` });
+      accountId = account.id;
+      const { error } = await supabase
+        .from('profiles')
+        .upsert({
+          id: req.user.id,
+          stripe_account_id: accountId,
+          stripe_connect_status: connectStatusOf(account),
+          stripe_payouts_enabled: !!account.payouts_enabled,
+          stripe_connect_synced_at: new Date().toISOString()
+        });
+      if (error) throw new Error(`Supabase connect save: ${error.message}`);
+    }
+
+    const link = await stripe.accountLinks.create({
+      account: accountId,
+      type: 'account_onboarding',
+      refresh_url: 'https://colectivo.live/events?connect=refresh',
+      return_url: 'https://colectivo.live/events?connect=done'
+    });
+    return res.status(200).json({ url: link.url, account: accountId });
+  } catch (err) {
+    console.error('Connect onboarding error:', err.message);
+    return res.status(500).json({ error: 'Error al conectar la cuenta de pagos.' });
+  }
+});
+
+// POST /v2/admin/connect/dashboard — one-time login link to the promoter's Stripe Express dashboard
+app.post('/v2/admin/connect/dashboard', requireAuth, async (req, res) => {
+  const { data: profile } = await supabase
+    .from('profiles').select('stripe_account_id, stripe_connect_status').eq('id', req.user.id).maybeSingle();
+  if (!profile?.stripe_account_id) return res.status(400).json({ error: 'Aún no conectas una cuenta de pagos.' });
+  if (profile.stripe_connect_status === 'pending') {
+    return res.status(400).json({ error: 'Termina de registrar tu cuenta de pagos primero.' });
+  }
+  try {
+    const link = await stripe.accounts.createLoginLink(profile.stripe_account_id);
+    return res.status(200).json({ url: link.url });
+  } catch (err) {
+    console.error('Connect login link error:', err.message);
+    return res.status(500).json({ error: 'Error al abrir el panel de pagos.' });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  GET /v2/admin/events/:slug/settlement
+//  Where an event's card money went. sold is every ticket that was charged;
+//  refunded and disputed come back out of it; the rest (settled) either
+//  reached the promoter's connected account as transfers or sits on the
+//  platform account (sold before they onboarded) and is owed out of band.
+//  Comps and free tickets never touch Stripe and aren't listed.
+// ─────────────────────────────────────────────
+app.get('/v2/admin/events/:slug/settlement', requireAuth, requireEventPermission('revenue'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, name, tiers, user_id');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data: rows, error } = await supabase
+    .from('registrations')
+    .select('id, order_id, name, email, tier_id, unit_price, source, payment_status, void_reason, service_fee, fee_tax, amount_paid, stripe_payment_intent, stripe_destination, created_at')
+    .eq('event_slug', event.slug)
+    .in('payment_status', ['paid', 'refunded', 'void'])
+    .not('stripe_payment_intent', 'is', null)
+    .order('created_at', { ascending: true });
+  if (error) return res.status(500).json({ error: 'Error al obtener la liquidación.' });
+
+  const { data: owner } = await supabase
+    .from('profiles').select('stripe_account_id, stripe_connect_status, stripe_payouts_enabled').eq('id', event.user_id).maybeSingle();
+
+  const bucket = () => ({ tickets: 0, gross: 0, fees: 0, net: 0 });
+  const add = (b, m) => { b.tickets++; b.gross += m.gross; b.fees += m.fees; b.net += m.net; };
+  const round = b => ({ tickets: b.tickets, gross: Math.round(b.gross * 100) / 100, fees: Math.round(b.fees * 100) / 100, net: Math.round(b.net * 100) / 100 });
+  const totals = { sold: bucket(), refunded: bucket(), disputed: bucket(), settled: bucket(), transferred: bucket(), owed: bucket() };
+  const orders = {};
+
+  for (const r of rows || []) {
+    const m = registrationMoney(r, (event.tiers || []).find(t => t.id === r.tier_id)?.price);
+    add(totals.sold, m);
+    const outcome = r.payment_status === 'refunded' ? 'refunded'
+      : r.payment_status === 'void' && r.void_reason === 'dispute' ? 'disputed'
+      : 'settled';
+    add(totals[outcome], m);
+    if (outcome === 'settled') add(r.stripe_destination ? totals.transferred : totals.owed, m);
+
+    const o = orders[r.order_id || r.id] ||= {
+      order_id: r.order_id || r.id, name: r.name, email: r.email, created_at: r.created_at,
+      payment_intent: r.stripe_payment_intent, destination: r.stripe_destination || null,
+      sold: bucket(), refunded: bucket(), disputed: bucket(), settled: bucket()
+    };
+    add(o.sold, m);
+    add(o[outcome], m);
+  }
+
+  return res.status(200).json({
+    event: { slug: event.slug, name: event.name },
+    payout: {
+      account: owner?.stripe_account_id || null,
+      status: owner?.stripe_connect_status || null,
+      payouts_enabled: !!owner?.stripe_payouts_enabled
+    },
+    totals: Object.fromEntries(Object.entries(totals).map(([k, b]) => [k, round(b)])),
+    orders: Object.values(orders).map(o => ({
+      ...o, sold: round(o.sold), refunded: round(o.refunded), disputed: round(o.disputed), settled: round(o.settled)
+    }))
+  });
+});
+
+// GET /v2/admin/events/:slug/stats
+app.get('/v2/admin/events/:slug/stats', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const { slug } = req.params;
+
+  const event = await findOwnedEvent(req, slug);
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data: registrations } = await supabase
+    .from('registrations')
+    .select('*')
+    .eq('event_slug', slug)
+    .eq('payment_status', 'paid')
+    .order('created_at', { ascending: false });
+
+  const regs = registrations || [];
+  const tiers = event.tiers || [];
+
+  const { data: waitlist } = await supabase
+    .from('waitlist').select('tier_id, status, quantity').eq('event_slug', slug).in('status', ['waiting', 'offered']);
+  const waitlistFor = (tierId, status) => (waitlist || []).filter(w => w.tier_id === tierId && w.status === status);
+
+  const { count: scanConflicts } = await supabase
+    .from('scan_log').select('*', { count: 'exact', head: true })
+    .eq('event_slug', slug).eq('result', 'conflict');
+
+  // OXXO / SPEI tickets whose seats are held while the buyer pays
+  const { count: pendingTickets } = await supabase
+    .from('registrations').select('*', { count: 'exact', head: true })
+    .eq('event_slug', slug).eq('payment_status', 'pending');
+
+  // Who let each attendee in
+  const { data: scanners } = await supabase
+    .from('scanner_credentials').select('id, label').eq('event_slug', slug);
+  const scannerLabels = Object.fromEntries((scanners || []).map(sc => [sc.id, sc.label]));
+
+  const tierStats = tiers.map(tier => {
+    const tierRegs = regs.filter(r => r.tier_id === tier.id);
+    const sold = tierRegs.length;
+    const comps = tierRegs.filter(r => r.source === 'comp');
+    const money = tierRegs.map(r => registrationMoney(r, tier.price));
+    const sum = key => Math.round(money.reduce((s, m) => s + m[key], 0) * 100) / 100;
+    return {
+      id: tier.id,
+      label: tier.label,
+      price: tier.price,
+      capacity: tier.capacity,
+      sold,
+      comps: comps.length,
+      compsOutsideCapacity: comps.filter(r => r.counts_capacity === false).length,
+      available: Math.max(0, tier.capacity - tierRegs.filter(r => r.counts_capacity !== false).length),
+      // People in line, the tickets they want, and offers currently out by email
+      waitlist: waitlistFor(tier.id, 'waiting').length,
+      waitlistTickets: waitlistFor(tier.id, 'waiting').reduce((s, w) => s + w.quantity, 0),
+      waitlistOffered: waitlistFor(tier.id, 'offered').length,
+      // Price actually paid at sale time — editing the tier price later doesn't rewrite history.
+      // Comps never count as revenue, whatever price the tier has.
+      revenue: tierRegs.filter(r => r.source !== 'comp').reduce((s, r) => s + Number(r.unit_price ?? tier.price), 0),
+      // What buyers paid, the service fees and IVA in it, and what's left for the promoter
+      gross: sum('gross'),
+      fees: sum('fees'),
+      net: sum('net')
+    };
+  });
+
+  const totalSold = tierStats.reduce((s, t) => s + t.sold, 0);
+  const totalComps = tierStats.reduce((s, t) => s + t.comps, 0);
+  const totalRevenue = tierStats.reduce((s, t) => s + t.revenue, 0);
+  const totalCapacity = tierStats.reduce((s, t) => s + t.capacity, 0);
+  const money = regs.map(r => registrationMoney(r, tiers.find(t => t.id === r.tier_id)?.price));
+  const total = key => Math.round(money.reduce((s, m) => s + m[key], 0) * 100) / 100;
+  const { policy: feePolicy, source: feePolicySource } = await resolveFeePolicy(slug);
+
+  // Revenue per promo code (net of discount, before service fee)
+  const codeStats = {};
+  for (const r of regs) {
+    if (!r.promo_code) continue;
+    const c = codeStats[r.promo_code] ||= { code: r.promo_code, orders: new Set(), tickets: 0, discount: 0, revenue: 0 };
+    c.orders.add(r.order_id || r.id);
+    c.tickets++;
+    c.discount += Number(r.discount) || 0;
+    c.revenue += Number(r.unit_price) || 0;
+  }
+
+  const body = {
+    event: { slug: event.slug, name: event.name, date_label: event.date_label, venue: event.venue },
+    access: { role: req.eventRole, permissions: EVENT_PERMISSIONS[req.eventRole] },
+    stats: {
+      totalSold,
+      totalComps,
+      totalRevenue,
+      totalCapacity,
+      gross: total('gross'),
+      serviceFees: total('serviceFee'),
+      feeTax: total('feeTax'),
+      fees: total('fees'),
+      net: total('net'),
+      feePolicy: { ...feePolicy, source: feePolicySource },
+      fillRate: totalCapacity > 0 ? Math.round((totalSold / totalCapacity) * 100) : 0,
+      waitlist: (waitlist || []).filter(w => w.status === 'waiting').length,
+      scanConflicts: scanConflicts || 0,
+      pendingTickets: pendingTickets || 0
+    },
+    tiers: tierStats,
+    promoCodes: Object.values(codeStats).map(c => ({ ...c, orders: c.orders.size })),
+    registrations: regs.map(r => ({
+      id: r.id, name: r.name, email: r.email,
+      phone: r.phone, student_name: r.student_name,
+      tier_id: r.tier_id, unit_price: r.unit_price, order_id: r.order_id,
+      amount_paid: r.amount_paid, service_fee: r.service_fee, fee_tax: r.fee_tax, fee_absorbed: r.fee_absorbed,
+      promo_code: r.promo_code,
+      attendee_name: r.attendee_name, attendee_email: r.attendee_email,
+      transferred_from: r.transferred_from,
+      source: r.source, issued_note: r.issued_note,
+      created_at: r.created_at, checked_in: r.checked_in,
+      checked_in_at: r.checked_in_at, checked_in_station: r.checked_in_station,
+      checked_in_by: scannerLabels[r.checked_in_by] || null
+    }))
+  };
+  return res.status(200).json(eventCan(req.eventRole, 'revenue') ? body : withoutRevenue(body));
+});
+
+// Stats for door staff: who's coming and who's in, nothing about money
+const REVENUE_KEYS = [
+  'totalRevenue', 'gross', 'serviceFees', 'feeTax', 'fees', 'net', 'feePolicy', 'revenue',
+  'unit_price', 'amount_paid', 'service_fee', 'fee_tax', 'fee_absorbed', 'promo_code'
+];
+function withoutRevenue(body) {
+  const strip = o => Object.fromEntries(Object.entries(o).filter(([k]) => !REVENUE_KEYS.includes(k)));
+  return { ...body, stats: strip(body.stats), tiers: body.tiers.map(strip), promoCodes: [], registrations: body.registrations.map(strip) };
+}
+
+// ─────────────────────────────────────────────
+//  SCAN LOG
+// ─────────────────────────────────────────────
+const SCAN_RESULTS = ['success', 'already_checked_in', 'wrong_event', 'invalid_signature', 'unsigned', 'not_found', 'void', 'undo', 'conflict', 'outside_window'];
+
+// Never let a logging failure block the door
+async function logScan(eventSlug, { ticketId = null, payload = null, station = null, result, actor = null, note = null, scanner = null, offline = false, scannedAt = null }) {
+  const { error } = await supabase.from('scan_log').insert([{
+    ...(scannedAt ? { created_at: scannedAt } : {}),
+    offline,
+    event_slug: eventSlug,
+    ticket_id: ticketId,
+    payload: payload ? String(payload).slice(0, 200) : null,
+    station: station ? String(station).slice(0, 60) : null,
+    scanner_id: scanner?.id || null,
+    scanner_label: scanner?.label || null,
+    result, actor, note
+  }]);
+  if (error) console.error('Scan log error:', error.message);
+}
+
+// ─────────────────────────────────────────────
+//  GET /v2/scan/:slug/info  (no auth — returns event name for scanner UI)
+// ─────────────────────────────────────────────
+app.get('/v2/scan/:slug/info', async (req, res) => {
+  const { slug } = req.params;
+  const { data, error } = await supabase
+    .from('events')
+    .select('slug, name, date_label, time_label, venue, starts_at, ends_at, timezone')
+    .eq('slug', slug)
+    .single();
+
+  if (error || !data) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const scanWindow = eventScanWindow(data);
+  return res.status(200).json({
+    ...withDateLabels(data),
+    scan_opens_at: scanWindow?.opens.toISOString() || null,
+    scan_closes_at: scanWindow?.closes.toISOString() || null
+  });
+});
+
+// ─────────────────────────────────────────────
+//  HELPER: classify a scanned QR payload for an event
+//  Shared by live /verify and offline /sync. Resolves to
+//  { result: 'ok', ticketId, registration } or { result, ticketId, body }
+//  where body is the response shown on the scanner.
+//  at: when the QR was scanned (offline scans are checked against their own time)
+// ─────────────────────────────────────────────
+async function inspectScan(payload, slug, { at = new Date() } = {}) {
+  // Verify HMAC signature — plain UUIDs only pass for events that still allow unsigned QRs
+  const { ticketId, signed, valid } = verifyTicket(payload, slug);
+  if (!ticketId) {
+    return { result: 'not_found', ticketId: null, body: { status: 'not_found', message: 'QR no reconocido.' } };
+  }
+  if (signed && !valid) {
+    return { result: 'invalid_signature', ticketId, body: { status: 'not_found', message: 'QR inválido o manipulado.' } };
+  }
+
+  const { data: ev } = await supabase
+    .from('events').select('require_signed_qr, starts_at, ends_at, timezone').eq('slug', slug).single();
+  if (!signed && ev?.require_signed_qr) {
+    return { result: 'unsigned', ticketId, body: { status: 'not_found', message: 'QR sin firma — pide al asistente que reenvíe su boleto.' } };
+  }
+
+  // A genuine ticket scanned days before or after the event is almost always a mistake (or a resold screenshot)
+  const scanWindow = eventScanWindow(ev);
+  if (scanWindow && (at < scanWindow.opens || at > scanWindow.closes)) {
+    const opensAt = new Intl.DateTimeFormat('es-MX', {
+      timeZone: ev.timezone || DEFAULT_TIMEZONE, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).format(scanWindow.opens);
+    return {
+      result: 'outside_window',
+      ticketId,
+      body: {
+        status: 'outside_window',
+        message: at < scanWindow.opens ? `El acceso abre el ${opensAt}.` : 'El evento ya terminó.'
+      }
+    };
+  }
+
+  // Fetch the registration using the extracted (clean) ticketId
+  const { data, error } = await supabase
+    .from('registrations')
+    .select('*')
+    .eq('id', ticketId)
+    .single();
+
+  if (error || !data) {
+    return { result: 'not_found', ticketId, body: { status: 'not_found', message: 'Boleto no encontrado.' } };
+  }
+
+  // Confirm this ticket belongs to the correct event
+  if (data.event_slug && data.event_slug !== slug) {
+    return { result: 'wrong_event', ticketId, body: { status: 'wrong_event', message: 'Este boleto pertenece a otro evento.' } };
+  }
+
+  // Refunded / voided tickets are dead even if the QR itself is genuine
+  if (data.payment_status && data.payment_status !== 'paid') {
+    return {
+      result: 'void',
+      ticketId,
+      body: {
+        status: 'void',
+        message: data.payment_status === 'refunded' ? 'Boleto reembolsado — ya no es válido.'
+          : data.payment_status === 'transferred' ? 'Boleto transferido — pide el QR nuevo.'
+          : 'Boleto cancelado.',
+        registration: data
+      }
+    };
+  }
+
+  return { result: 'ok', ticketId, registration: data };
+}
+
+// ─────────────────────────────────────────────
+//  POST /v2/scan/:slug/verify  (scanner credential required — door scanner)
+// ─────────────────────────────────────────────
+app.post('/v2/scan/:slug/verify', requireScanner, async (req, res) => {
+  const { slug } = req.params;
+  const { id, station } = req.body;
+  if (!id) return res.status(400).json({ error: 'ID requerido.' });
+
+  // Every outcome below is written to scan_log so door disputes can be resolved later
+  const reply = async (result, body, ticketId = null) => {
+    await logScan(slug, { ticketId, payload: id, station, result, scanner: req.scanner });
+    return res.status(200).json(body);
+  };
+
+  const scan = await inspectScan(id, slug);
+  if (scan.result !== 'ok') return reply(scan.result, scan.body, scan.ticketId);
+  const { ticketId, registration: data } = scan;
+
+  if (data.checked_in) {
+    return reply('already_checked_in', { status: 'already_checked_in', message: 'Ya ingresó al evento.', registration: data }, ticketId);
+  }
+
+  // Conditional update: if two stations scan the same QR at once, only one wins
+  const { data: updated, error: updateError } = await supabase
+    .from('registrations')
+    .update({
+      checked_in: true,
+      checked_in_at: new Date().toISOString(),
+      checked_in_station: station || null,
+      checked_in_by: req.scanner.id
+    })
+    .eq('id', ticketId)
+    .eq('checked_in', false)
+    .select();
+
+  if (updateError) {
+    console.error('Check-in update error:', updateError);
+    return res.status(500).json({ status: 'error', message: 'Error al registrar el ingreso.' });
+  }
+  if (!updated?.length) {
+    const { data: current } = await supabase.from('registrations').select('*').eq('id', ticketId).single();
+    return reply('already_checked_in', { status: 'already_checked_in', message: 'Ya ingresó al evento.', registration: current || data }, ticketId);
+  }
+
+  recordAudit(req, { action: 'ticket.check_in', target_id: ticketId, details: { station: station || null } });
+  return reply('success', { status: 'success', message: '¡Acceso válido!', registration: data }, ticketId);
+});
+
+// ─────────────────────────────────────────────
+//  OFFLINE SCANNING
+//  The scanner downloads a manifest of valid tickets, checks QRs on the device
+//  while the venue has no signal, and later uploads what it admitted.
+// ─────────────────────────────────────────────
+const MANIFEST_TTL_MS = 12 * 60 * 60 * 1000;
+const SYNC_MAX_CHECKINS = 500;
+
+// GET /v2/scan/:slug/manifest  (X-Scan-Token header)
+// Returns { manifest: "<json>", signature } — signature is HMAC-SHA256 of the
+// manifest string keyed with the scanner's own token, so the device can check
+// its cached copy hasn't been altered.
+app.get('/v2/scan/:slug/manifest', requireScanner, async (req, res) => {
+  const { slug } = req.params;
+
+  const { data: ev } = await supabase
+    .from('events').select('slug, name, tiers, require_signed_qr, starts_at, ends_at').eq('slug', slug).single();
+  if (!ev) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const scanWindow = eventScanWindow(ev);
+
+  // PostgREST caps responses at 1000 rows — page through big events
+  const regs = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
+      .from('registrations')
+      .select('id, name, attendee_name, tier_id, checked_in, checked_in_at')
+      .eq('event_slug', slug)
+      .eq('payment_status', 'paid')
+      .order('id')
+      .range(from, from + 999);
+    if (error) return res.status(500).json({ error: 'Error al generar el manifiesto.' });
+    regs.push(...data);
+    if (data.length < 1000) break;
+  }
+
+  const tierLabels = Object.fromEntries((ev.tiers || []).map(t => [t.id, t.label]));
+  const manifest = JSON.stringify({
+    event_slug: ev.slug,
+    event_name: ev.name,
+    require_signed_qr: !!ev.require_signed_qr,
+    scan_opens_at: scanWindow?.opens.toISOString() || null,
+    scan_closes_at: scanWindow?.closes.toISOString() || null,
+    scanner: req.scanner.label,
+    generated_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + MANIFEST_TTL_MS).toISOString(),
+    tickets: regs.map(r => ({
+      id: r.id,
+      name: r.attendee_name || r.name,
+      tier: tierLabels[r.tier_id] || '',
+      checked_in: !!r.checked_in,
+      h: qrPayloadHashes(r.id, slug)
+    }))
+  });
+  const signature = crypto.createHmac('sha256', req.scanToken).update(manifest).digest('hex');
+
+  res.set('Cache-Control', 'no-store');
+  return res.status(200).json({ manifest, signature });
+});
+
+// POST /v2/scan/:slug/sync
+// Body: { checkins: [{ id: <QR payload>, scanned_at: ISO, station }] }
+// Every item is acknowledged in exactly one of accepted / duplicates / conflicts / rejected,
+// so the device can clear its queue. Conflicts (same ticket admitted twice) land in
+// scan_log as result 'conflict' for the event admin.
+app.post('/v2/scan/:slug/sync', requireScanner, async (req, res) => {
+  const { slug } = req.params;
+  const { checkins } = req.body;
+  if (!Array.isArray(checkins) || !checkins.length) {
+    return res.status(400).json({ error: 'Sin ingresos para sincronizar.' });
+  }
+  if (checkins.length > SYNC_MAX_CHECKINS) {
+    return res.status(400).json({ error: `Máximo ${SYNC_MAX_CHECKINS} ingresos por sincronización.` });
+  }
+
+  const accepted = [], duplicates = [], conflicts = [], rejected = [];
+
+  for (const c of checkins) {
+    const payload = String(c?.id || '');
+    let scannedAt = new Date(c?.scanned_at);
+    if (isNaN(scannedAt) || scannedAt > new Date()) scannedAt = new Date();
+    const station = c?.station || null;
+    const logBase = { payload, station, scanner: req.scanner, offline: true, scannedAt: scannedAt.toISOString() };
+
+    const scan = await inspectScan(payload, slug, { at: scannedAt });
+    if (scan.result !== 'ok') {
+      await logScan(slug, { ...logBase, ticketId: scan.ticketId, result: scan.result });
+      rejected.push({ id: payload, ticket_id: scan.ticketId, result: scan.result });
+      continue;
+    }
+
+    const reg = scan.registration;
+    if (!reg.checked_in) {
+      const { data: updated, error } = await supabase
+        .from('registrations')
+        .update({
+          checked_in: true,
+          checked_in_at: scannedAt.toISOString(),
+          checked_in_station: station,
+          checked_in_by: req.scanner.id
+        })
+        .eq('id', scan.ticketId)
+        .eq('checked_in', false)
+        .select('id');
+      if (error) return res.status(500).json({ error: 'Error al sincronizar.', accepted, duplicates, conflicts, rejected });
+      if (updated?.length) {
+        await logScan(slug, { ...logBase, ticketId: scan.ticketId, result: 'success' });
+        accepted.push(scan.ticketId);
+        continue;
+      }
+      // Lost a race with another station — reload to report who got there first
+      const { data: current } = await supabase
+        .from('registrations').select('checked_in_at, checked_in_station, checked_in_by').eq('id', scan.ticketId).single();
+      Object.assign(reg, current);
+    }
+
+    // Re-upload of something this device already synced (e.g. response lost)
+    if (reg.checked_in_by === req.scanner.id && Math.abs(new Date(reg.checked_in_at) - scannedAt) < 1000) {
+      duplicates.push(scan.ticketId);
+      continue;
+    }
+
+    await logScan(slug, {
+      ...logBase,
+      ticketId: scan.ticketId,
+      result: 'conflict',
+      note: `Ya había ingresado ${reg.checked_in_at}${reg.checked_in_station ? ` en ${reg.checked_in_station}` : ''}`
+    });
+    conflicts.push({
+      ticket_id: scan.ticketId,
+      name: reg.name,
+      scanned_at: scannedAt.toISOString(),
+      station,
+      first_checked_in_at: reg.checked_in_at,
+      first_station: reg.checked_in_station
+    });
+  }
+
+  await recordAudit(req, accepted.map(ticketId => ({ action: 'ticket.check_in', target_id: ticketId, details: { offline: true } })));
+  return res.status(200).json({ accepted, duplicates, conflicts, rejected });
+});
+
+// ─────────────────────────────────────────────
+//  POST /v2/admin/events/:slug/resend-email
+// ─────────────────────────────────────────────
+app.post('/v2/admin/events/:slug/resend-email', requireAuth, requireEventPermission('door'), async (req, res) => {
+  const { slug } = req.params;
+  const { email, ticketIds } = req.body;   // ticketIds: optional array of specific IDs to resend
+  if (!email) return res.status(400).json({ error: 'Email requerido.' });
+
+  const event = await findOwnedEvent(req, slug, 'id, name');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  try {
+    const byEmail = column => supabase
+      .from('registrations')
+      .select('*')
+      .eq(column, email)
+      .eq('event_slug', slug)
+      .eq('payment_status', 'paid')
+      .order('created_at', { ascending: true });
+
+    const [asBuyer, asAttendee] = await Promise.all([byEmail('email'), byEmail('attendee_email')]);
+    const error = asBuyer.error || asAttendee.error;
+    // A transferred ticket belongs to its new holder, never back to the buyer
+    const allRegistrations = [
+      ...(asBuyer.data || []).filter(r => !r.transferred_from),
+      ...(asAttendee.data || []).filter(r => r.email !== email || r.transferred_from)
+    ];
+
+    if (error || !allRegistrations.length) {
+      return res.status(404).json({ error: 'No se encontraron boletos para este correo en este evento.' });
+    }
+
+    // If specific ticketIds provided, filter to only those; otherwise send all
+    const registrations = (ticketIds && ticketIds.length > 0)
+      ? allRegistrations.filter(r => ticketIds.includes(r.id))
+      : allRegistrations;
+
+    if (!registrations.length) {
+      return res.status(404).json({ error: 'No se encontraron los boletos indicados.' });
+    }
+
+    const { student_name } = registrations[0];
+    const name = registrations[0].email === email ? registrations[0].name : registrations[0].attendee_name;
+    const qty = registrations.length;
+
+    await enqueueEmail({
+      kind: 'resend',
+      to: email,
+      subject: `🔁 Reenvío de accesos — ${(student_name || '').split(' — ')[0] || 'Colectivo'}`,
+      event_slug: slug,
+      registration_ids: registrations.map(r => r.id),
+      data: { name, student_name }
+    });
+
+    recordAudit(req, registrations.map(r => ({ action: 'ticket.resend', target_id: r.id, details: { email } })));
+    return res.status(200).json({ success: true, qty, queued: true });
+
+  } catch (err) {
+    console.error('Resend email error:', err);
+    return res.status(500).json({ error: 'Error al reenviar el email.' });
+  }
+});
+
+// GET /v2/admin/events/:slug/outbox — this event's emails that still need attention
+// (dead = gave up after every retry; pending = waiting for the next attempt)
+app.get('/v2/admin/events/:slug/outbox', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .select('id, kind, to_email, subject, status, attempts, next_attempt_at, last_error, created_at')
+    .eq('event_slug', event.slug)
+    .in('status', ['dead', 'pending', 'sending'])
+    .order('created_at', { ascending: false })
+    .limit(200);
+  if (error) return res.status(500).json({ error: 'Error al cargar los correos.' });
+  return res.status(200).json(data);
+});
+
+// POST /v2/admin/events/:slug/outbox/:id/retry — give a dead email a fresh set of attempts
+app.post('/v2/admin/events/:slug/outbox/:id/retry', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  if (!(await outbox.retryDeadEmail(event.slug, req.params.id))) {
+    return res.status(400).json({ error: 'Este correo no está detenido.' });
+  }
+  recordAudit(req, { action: 'email.retry', target_id: req.params.id });
+  return res.status(200).json({ success: true });
+});
+
+// ─────────────────────────────────────────────
+//  POST /v2/admin/events/:slug/registrations/:id/refund
+//  Refunds (or only voids) tickets from the order that :id belongs to.
+//  Body: { ticketIds?: [...] (default: whole order), refund?: bool (default true), reason? }
+//  Refunded tickets are claimed as 'refunding' before Stripe is called, so a
+//  double click or the charge.refunded webhook can't act on them meanwhile.
+// ─────────────────────────────────────────────
+app.post('/v2/admin/events/:slug/registrations/:id/refund', requireAuth, requireEventPermission('refund'), async (req, res) => {
+  const { slug, id } = req.params;
+  const { ticketIds, refund = true, reason } = req.body;
+  if (typeof refund !== 'boolean') return res.status(400).json({ error: 'refund debe ser true o false.' });
+  if (ticketIds != null && !Array.isArray(ticketIds)) return res.status(400).json({ error: 'ticketIds debe ser una lista.' });
+
+  const event = await findOwnedEvent(req, slug, 'id, name');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data: reg } = await supabase
+    .from('registrations').select('*').eq('id', id).eq('event_slug', slug).single();
+  if (!reg) return res.status(404).json({ error: 'Boleto no encontrado.' });
+
+  try {
+    const { data: orderTickets, error: orderErr } = await supabase
+      .from('registrations')
+      .select('*')
+      .eq('event_slug', slug)
+      .eq('order_id', reg.order_id || reg.id);
+    if (orderErr) throw new Error(`Supabase order: ${orderErr.message}`);
+
+    // Rows retired by a transfer were replaced by a copy in the same order — skip them
+    const order = orderTickets?.length ? orderTickets.filter(t => t.payment_status !== 'transferred') : [reg];
+    const targets = (ticketIds && ticketIds.length > 0)
+      ? order.filter(t => ticketIds.includes(t.id))
+      : order;
+    const toCancel = targets.filter(t => t.payment_status === 'paid');
+    if (!toCancel.length) {
+      return res.status(400).json({ error: 'Los boletos seleccionados ya fueron cancelados.' });
+    }
+
+    const cancelIds = toCancel.map(t => t.id);
+    let refundObj = null;
+    if (refund) {
+      if (!reg.stripe_payment_intent) {
+        return res.status(400).json({ error: 'Este boleto no tiene un pago de Stripe asociado. Solo se puede anular.' });
+      }
+      const { data: claimed, error: claimErr } = await supabase
+        .from('registrations')
+        .update({ payment_status: 'refunding' })
+        .in('id', cancelIds)
+        .eq('payment_status', 'paid')
+        .select('id');
+      if (claimErr) throw new Error(`Supabase refund claim: ${claimErr.message}`);
+      const unclaim = () => supabase.from('registrations')
+        .update({ payment_status: 'paid' })
+        .in('id', claimed.map(t => t.id))
+        .eq('payment_status', 'refunding');
+      if (claimed.length < cancelIds.length) {
+        await unclaim();
+        return res.status(409).json({ error: 'Estos boletos cambiaron mientras tanto. Recarga e intenta de nuevo.' });
+      }
+
+      try {
+        const amount = await refundAmountCents({
+          toCancel, order,
+          paymentIntent: reg.stripe_payment_intent,
+          intentAmount: async () => (await stripe.paymentIntents.retrieve(reg.stripe_payment_intent)).amount
+        });
+        const idemKey = crypto.createHash('sha256').update([...cancelIds].sort().join(',')).digest('hex').slice(0, 32);
+        refundObj = await stripe.refunds.create({
+          payment_intent: reg.stripe_payment_intent,
+          ...(amount != null && { amount }),
+          ...connectRefundParams(reg.stripe_destination),
+          ...asyncRefundParams(reg.payment_method, reg.email),
+          metadata: { event_slug: slug, ticket_ids: cancelIds.join(',') }
+        }, { idempotencyKey: `refund-${idemKey}` });
+      } catch (err) {
+        const { error: unclaimErr } = await unclaim();
+        if (unclaimErr) console.error(`Refund unclaim error (${cancelIds.join(',')}):`, unclaimErr.message);
+        throw err;
+      }
+    }
+
+    const { data: settled, error: updateErr } = await supabase
+      .from('registrations')
+      .update({
+        payment_status: refund ? 'refunded' : 'void',
+        voided_at: new Date().toISOString(),
+        void_reason: reason || (refund ? 'refund' : 'void'),
+        refund_id: refundObj?.id || null
+      })
+      .in('id', cancelIds)
+      .eq('payment_status', refund ? 'refunding' : 'paid')
+      .select('id');
+    // The money is already back with the buyer — the rows must be fixed by hand
+    if (updateErr) throw new Error(`Supabase settle ${refundObj?.id || 'void'} (${cancelIds.join(',')}): ${updateErr.message}`);
+    // A void isn't claimed first: skip tickets another request cancelled meanwhile
+    const cancelled = toCancel.filter(t => settled.some(r => r.id === t.id));
+    if (!cancelled.length) return res.status(400).json({ error: 'Los boletos seleccionados ya fueron cancelados.' });
+    offerFreedSeats(slug, cancelled.map(t => t.tier_id));
+
+    const qty = cancelled.length;
+    const amount = refundObj ? refundObj.amount / 100 : 0;
+    recordAudit(req, cancelled.map(t => ({
+      action: refund ? 'ticket.refund' : 'ticket.void',
+      target_id: t.id,
+      changes: { payment_status: { before: 'paid', after: refund ? 'refunded' : 'void' } },
+      details: { order_id: reg.order_id || reg.id, refund_id: refundObj?.id || null, amount, reason: reason || null }
+    })));
+    try {
+      await enqueueEmail({
+        kind: 'notice',
+        to: reg.email,
+        event_slug: slug,
+        subject: `${refund ? 'Reembolso' : 'Cancelación'} — ${event.name}`,
+        html: buildNoticeEmailHTML({
+          tag: refund ? '// Reembolso' : '// Cancelación',
+          title: refund ? 'TU REEMBOLSO<br/>ESTÁ EN CAMINO' : 'BOLETOS<br/>CANCELADOS',
+          body: `Hola, ${escapeHtml(reg.name)}. ${qty > 1 ? `${qty} de tus boletos` : 'Uno de tus boletos'} para <strong style="color:#f5f0e8;">${escapeHtml(event.name)}</strong> fue${qty > 1 ? 'ron' : ''} cancelado${qty > 1 ? 's' : ''} y ya no ${qty > 1 ? 'son válidos' : 'es válido'} en la entrada.<br/>
+            ${refund ? `Reembolsamos <strong style="color:#f5f0e8;">$${amount.toLocaleString('es-MX')} MXN</strong>; puede tardar de 5 a 10 días hábiles en reflejarse.` : 'Si crees que es un error, responde a este correo.'}`
+        })
+      });
+    } catch (err) {
+      console.error('Refund email error:', err.message);
+    }
+
+    return res.status(200).json({ success: true, qty, amount, status: refund ? 'refunded' : 'void' });
+
+  } catch (err) {
+    console.error('Refund error:', err);
+    return res.status(500).json({ error: 'Error al procesar el reembolso.' });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  GET /v2/admin/events/:slug/scans
+//  Filters: result, station, ticket, from, to (ISO dates), limit (≤500), offset
+// ─────────────────────────────────────────────
+app.get('/v2/admin/events/:slug/scans', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { result, station, ticket, from, to } = req.query;
+  for (const d of [from, to]) {
+    if (d && isNaN(new Date(d))) return res.status(400).json({ error: 'Fecha no válida.' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  let query = supabase
+    .from('scan_log')
+    .select('*', { count: 'exact' })
+    .eq('event_slug', event.slug)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (result) {
+    if (!SCAN_RESULTS.includes(result)) return res.status(400).json({ error: 'Resultado no válido.' });
+    query = query.eq('result', result);
+  }
+  if (station) query = query.eq('station', station);
+  if (ticket) query = query.in('ticket_id', String(ticket).split(','));
+  if (from) query = query.gte('created_at', new Date(from).toISOString());
+  if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+  const { data, count, error } = await query;
+  if (error) return res.status(500).json({ error: 'Error al obtener el registro de escaneos.' });
+  return res.status(200).json({ total: count || 0, scans: data });
+});
+
+// ─────────────────────────────────────────────
+//  POST /v2/admin/events/:slug/registrations/:id/undo-check-in
+//  For mistaken scans — the ticket becomes valid at the door again
+// ─────────────────────────────────────────────
+app.post('/v2/admin/events/:slug/registrations/:id/undo-check-in', requireAuth, requireEventPermission('door'), async (req, res) => {
+  const { slug, id } = req.params;
+  const event = await findOwnedEvent(req, slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data, error } = await supabase
+    .from('registrations')
+    .update({ checked_in: false, checked_in_at: null, checked_in_station: null, checked_in_by: null })
+    .eq('id', id)
+    .eq('event_slug', slug)
+    .eq('checked_in', true)
+    .select();
+  if (error) return res.status(500).json({ error: 'Error al deshacer el ingreso.' });
+  if (!data?.length) return res.status(404).json({ error: 'El boleto no existe o no ha ingresado.' });
+
+  await logScan(slug, { ticketId: id, result: 'undo', actor: req.user.email, note: req.body.reason || null });
+  recordAudit(req, { action: 'ticket.undo_check_in', target_id: id, details: { reason: req.body.reason || null } });
+  return res.status(200).json({ success: true });
+});
+
+// ─────────────────────────────────────────────
+//  SCANNER CREDENTIALS — issued per door staff member
+//  /v2/admin/events/:slug/scanners
+// ─────────────────────────────────────────────
+const SCANNER_DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // Event day
+
+// GET /v2/admin/events/:slug/scanners
+app.get('/v2/admin/events/:slug/scanners', requireAuth, requireEventPermission('door'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data, error } = await supabase
+    .from('scanner_credentials')
+    .select('id, label, expires_at, revoked_at, last_used_at, created_at')
+    .eq('event_slug', event.slug)
+    .order('created_at', { ascending: false });
+  if (error) return res.status(500).json({ error: 'Error al obtener credenciales.' });
+  return res.status(200).json(data);
+});
+
+// POST /v2/admin/events/:slug/scanners — returns the raw token once, inside scan_url
+app.post('/v2/admin/events/:slug/scanners', requireAuth, requireEventPermission('door'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const label = String(req.body.label || '').trim().slice(0, 60);
+  if (!label) return res.status(400).json({ error: 'Nombre del staff requerido.' });
+
+  const expiresAt = req.body.expires_at
+    ? new Date(req.body.expires_at)
+    : new Date(Date.now() + SCANNER_DEFAULT_TTL_MS);
+  if (isNaN(expiresAt) || expiresAt < new Date()) {
+    return res.status(400).json({ error: 'Fecha de expiración no válida.' });
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const { data, error } = await supabase
+    .from('scanner_credentials')
+    .insert([{
+      event_slug: event.slug,
+      label,
+      token_hash: hashScanToken(token),
+      created_by: req.user.id,
+      expires_at: expiresAt.toISOString()
+    }])
+    .select('id, label, expires_at, created_at')
+    .single();
+  if (error) return res.status(500).json({ error: 'Error al crear la credencial.' });
+  recordAudit(req, { action: 'scanner.create', target_id: data.id, details: { label: data.label, expires_at: data.expires_at } });
+
+  return res.status(201).json({
+    ...data,
+    token,
+    scan_url: `https://colectivo.live/scan?slug=${encodeURIComponent(event.slug)}&key=${token}`
+  });
+});
+
+// DELETE /v2/admin/events/:slug/scanners/:id — revoke immediately
+app.delete('/v2/admin/events/:slug/scanners/:id', requireAuth, requireEventPermission('door'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data, error } = await supabase
+    .from('scanner_credentials')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .eq('event_slug', event.slug)
+    .is('revoked_at', null)
+    .select('id');
+  if (error) return res.status(500).json({ error: 'Error al revocar la credencial.' });
+  if (!data?.length) return res.status(404).json({ error: 'Credencial no encontrada o ya revocada.' });
+  recordAudit(req, { action: 'scanner.revoke', target_id: req.params.id });
+  return res.status(200).json({ success: true });
+});
+
+// ─────────────────────────────────────────────
+//  HELPER: the event behind :slug. Behind requireEventPermission the caller's
+//  access is already settled; anywhere else only the owner (or superadmin) gets it.
+// ─────────────────────────────────────────────
+async function findOwnedEvent(req, slug, columns = '*') {
+  let query = supabase.from('events').select(columns).eq('slug', slug);
+  if (!req.eventRole && req.user.role !== 'superadmin') {
+    query = query.eq('user_id', req.user.id);
+  }
+  const { data, error } = await query.single();
+  return error ? null : data;
+}
+
+// ─────────────────────────────────────────────
+//  EVENT TEAM — /v2/admin/events/:slug/team (see EVENT TEAM ROLES)
+// ─────────────────────────────────────────────
+
+// GET /v2/admin/events/:slug/team
+app.get('/v2/admin/events/:slug/team', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, user_email');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data, error } = await supabase
+    .from('event_members')
+    .select('id, email, role, user_id, invited_at, accepted_at')
+    .eq('event_slug', event.slug)
+    .order('invited_at', { ascending: true });
+  if (error) return res.status(500).json({ error: 'Error al obtener el equipo.' });
+  return res.status(200).json({ owner: { email: event.user_email || null }, members: data, role: req.eventRole });
+});
+
+// POST /v2/admin/events/:slug/team — add (or re-invite) a collaborator
+// Body: { email, role: co_promoter | door_lead | viewer }
+// Someone without an activated account gets one, plus the set-password invite.
+app.post('/v2/admin/events/:slug/team', requireAuth, requireEventPermission('manage'), async (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const { role } = req.body;
+  if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'Correo electrónico no válido.' });
+  if (!TEAM_ROLES.includes(role)) return res.status(400).json({ error: 'Rol no válido.' });
+
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, name, user_email');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+  if (email === (event.user_email || '').toLowerCase()) {
+    return res.status(400).json({ error: 'Esa persona ya es dueña del evento.' });
+  }
+
+  try {
+    const account = await createInvitedUser(email);
+
+    const { data: member, error } = await supabase
+      .from('event_members')
+      .upsert({
+        event_slug: event.slug, email, role,
+        user_id: account.uid || null,
+        invited_by: req.user.id,
+        invited_at: new Date().toISOString()
+      }, { onConflict: 'event_slug,email' })
+      .select('id, email, role, user_id, invited_at, accepted_at')
+      .single();
+    if (error) throw new Error(`Supabase team upsert: ${error.message}`);
+
+    const roleLabel = TEAM_ROLE_LABELS[role];
+    // New accounts, and ones whose invite was never used, get the set-password link
+    const sendInvite = !account.exists || account.pending;
+    await enqueueEmail(sendInvite
+      ? {
+          kind: 'invite',
+          to: email,
+          event_slug: event.slug,
+          subject: `Te invitaron al equipo de ${event.name} — Activa tu cuenta`,
+          html: buildInviteEmailHTML({
+            inviteUrl: inviteUrlFor(account.uid, email),
+            intro: `${escapeHtml(req.user.email)} te invitó a colaborar en <strong style="color:#f5f0e8;">${escapeHtml(event.name)}</strong> como ${roleLabel}.`
+          })
+        }
+      : {
+          kind: 'notice',
+          to: email,
+          event_slug: event.slug,
+          subject: `Te sumaron al equipo de ${event.name}`,
+          html: buildNoticeEmailHTML({
+            tag: '// Equipo',
+            title: 'TE SUMARON<br/>AL EQUIPO',
+            body: `${escapeHtml(req.user.email)} te agregó a <strong style="color:#f5f0e8;">${escapeHtml(event.name)}</strong> como ${roleLabel}. Entra con tu cuenta de Colectivo para verlo.`,
+            action: { url: `https://colectivo.live/event-admin?slug=${encodeURIComponent(event.slug)}`, label: 'ABRIR EVENTO →' }
+          })
+        });
+
+    recordAudit(req, { action: 'team.add', target_id: member.id, details: { email, role, invited: sendInvite } });
+    return res.status(201).json({ ...member, invited: sendInvite });
+  } catch (err) {
+    console.error('Team invite error:', err.message);
+    return res.status(500).json({ error: 'Error al invitar al equipo.' });
+  }
+});
+
+// PUT /v2/admin/events/:slug/team/:id — change a collaborator's role. Body: { role }
+app.put('/v2/admin/events/:slug/team/:id', requireAuth, requireEventPermission('manage'), async (req, res) => {
+  if (!TEAM_ROLES.includes(req.body.role)) return res.status(400).json({ error: 'Rol no válido.' });
+  const { data: current } = await supabase
+    .from('event_members').select('role').eq('id', req.params.id).eq('event_slug', req.params.slug).maybeSingle();
+  const { data, error } = await supabase
+    .from('event_members')
+    .update({ role: req.body.role })
+    .eq('id', req.params.id)
+    .eq('event_slug', req.params.slug)
+    .select('id, email, role, user_id, invited_at, accepted_at')
+    .maybeSingle();
+  if (error) return res.status(500).json({ error: 'Error al actualizar el equipo.' });
+  if (!data) return res.status(404).json({ error: 'Miembro no encontrado.' });
+  recordAudit(req, { action: 'team.update', target_id: data.id, changes: auditDiff(current, data, ['role']), details: { email: data.email } });
   return res.status(200).json(data);
 });
 
-// ─────────────────────────────────────────────
-//  EVENT CRUD — ADMIN (legacy password auth — retired)
-// ─────────────────────────────────────────────
-app.get('/admin/events',         RETIRED);
-app.get('/admin/events/:slug',   RETIRED);
-app.post('/admin/events',        RETIRED);
-app.put('/admin/events/:slug',   RETIRED);
-app.delete('/admin/events/:slug', RETIRED);
+// DELETE /v2/admin/events/:slug/team/:id — access ends on their next request
+app.delete('/v2/admin/events/:slug/team/:id', requireAuth, requireEventPermission('manage'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('event_members').delete().eq('id', req.params.id).eq('event_slug', req.params.slug).select('id, email, role');
+  if (error) return res.status(500).json({ error: 'Error al actualizar el equipo.' });
+  if (!data?.length) return res.status(404).json({ error: 'Miembro no encontrado.' });
+  recordAudit(req, { action: 'team.remove', target_id: data[0].id, details: { email: data[0].email, role: data[0].role } });
+  return res.status(200).json({ success: true });
+});
 
 // ─────────────────────────────────────────────
-//  EVENT CRUD — v2 (JWT auth)
+//  AUDIT LOG — reading it (see AUDIT LOG above)
+//  Filters: actor (email or scanner label, partial), action ('event.update',
+//  or a prefix ending in '.' like 'ticket.'), target, before (ISO — pass the
+//  previous page's next_before), limit (≤200)
 // ─────────────────────────────────────────────
+const AUDIT_MAX_LIMIT = 200;
 
-// GET /v2/admin/events
-app.get('/v2/admin/events', requireAuth, async (req, res) => {
+async function queryAudit(filters, eventSlug = null) {
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), AUDIT_MAX_LIMIT);
   let query = supabase
-    .from('events')
-    .select('id, slug, name, date_label, published, created_at, user_id')
-    .order('created_at', { ascending: false });
-  // Promoters only see their own events; superadmin sees all
-  if (req.user.role !== 'superadmin') {
-    query = query.eq('user_id', req.user.id);
+    .from('audit_log')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (eventSlug) query = query.eq('event_slug', eventSlug);
+  if (filters.actor) query = query.ilike('actor', `%${filters.actor}%`);
+  if (filters.action) {
+    query = filters.action.endsWith('.') ? query.like('action', `${filters.action}%`) : query.eq('action', filters.action);
   }
+  if (filters.target) query = query.eq('target_id', filters.target);
+  if (filters.before) query = query.lt('created_at', filters.before);
+
   const { data, error } = await query;
-  if (error) return res.status(500).json({ error: 'Error al obtener eventos.' });
-  return res.status(200).json(data);
-});
+  if (error) throw new Error(`Supabase audit: ${error.message}`);
+  return { entries: data, next_before: data.length === limit ? data[data.length - 1].created_at : null };
+}
 
-// GET /v2/admin/events/:slug
-app.get('/v2/admin/events/:slug', requireAuth, async (req, res) => {
-  let query = supabase.from('events').select('*').eq('slug', req.params.slug);
-  if (req.user.role !== 'superadmin') {
-    query = query.eq('user_id', req.user.id);
+// GET /v2/admin/audit — superadmin, across the platform; also filters by ?event=<slug>
+app.get('/v2/admin/audit', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    return res.status(200).json(await queryAudit(req.query, req.query.event || null));
+  } catch (err) {
+    console.error('Audit query error:', err.message);
+    return res.status(500).json({ error: 'Error al obtener la bitácora.' });
   }
-  const { data, error } = await query.single();
-  if (error || !data) return res.status(404).json({ error: 'Evento no encontrado.' });
-  return res.status(200).json(data);
 });
 
-// POST /v2/admin/events
-app.post('/v2/admin/events', requireAuth, async (req, res) => {
-  const eventData = { ...req.body };
-  delete eventData.password;
-  if (!eventData.slug || !eventData.name) {
-    return res.status(400).json({ error: 'slug y name son requeridos.' });
+// GET /v2/admin/events/:slug/audit — the event's own trail, for its owner
+app.get('/v2/admin/events/:slug/audit', requireAuth, requireEventPermission('manage'), async (req, res) => {
+  try {
+    return res.status(200).json(await queryAudit(req.query, req.params.slug));
+  } catch (err) {
+    console.error('Audit query error:', err.message);
+    return res.status(500).json({ error: 'Error al obtener la bitácora.' });
   }
-  eventData.slug = eventData.slug.toLowerCase().replace(/[^a-z0-9-]/g, '-');
-  eventData.user_id = req.user.id;
-  eventData.user_email = req.user.email;
+});
 
-  const { data, error } = await supabase
-    .from('events').insert([eventData]).select().single();
-  if (error) {
-    if (error.code === '23505') return res.status(409).json({ error: 'Ya existe un evento con ese slug.' });
-    return res.status(500).json({ error: 'Error al crear el evento.' });
+// ─────────────────────────────────────────────
+//  PROMO CODES — ADMIN CRUD
+//  /v2/admin/events/:slug/promo-codes
+// ─────────────────────────────────────────────
+
+// Validates a create/update body; returns { row } or { error }
+function validatePromoInput(body, event, { partial = false } = {}) {
+  const row = {};
+
+  if (!partial || body.code !== undefined) {
+    const code = normalizePromoCode(body.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      return { error: 'El código debe tener de 3 a 32 letras, números, guiones o guiones bajos.' };
+    }
+    row.code = code;
   }
-  return res.status(201).json(data);
-});
 
-// PUT /v2/admin/events/:slug
-app.put('/v2/admin/events/:slug', requireAuth, async (req, res) => {
-  const eventData = { ...req.body };
-  delete eventData.password;
-  delete eventData.slug;
-  delete eventData.id;
-  delete eventData.created_at;
-
-  let query = supabase.from('events').update(eventData).eq('slug', req.params.slug);
-  if (req.user.role !== 'superadmin') {
-    query = query.eq('user_id', req.user.id);
+  if (!partial || body.kind !== undefined || body.value !== undefined) {
+    if (!PROMO_KINDS.includes(body.kind)) return { error: 'Tipo de descuento no válido (percent, fixed o comp).' };
+    row.kind = body.kind;
+    if (body.kind === 'comp') {
+      row.value = null;
+    } else {
+      const value = Number(body.value);
+      if (!Number.isFinite(value) || value <= 0) return { error: 'El valor del descuento debe ser mayor a 0.' };
+      if (body.kind === 'percent' && value > 100) return { error: 'El porcentaje no puede ser mayor a 100.' };
+      row.value = value;
+    }
   }
-  const { data, error } = await query.select().single();
-  if (error) return res.status(500).json({ error: 'Error al actualizar el evento.' });
-  if (!data) return res.status(404).json({ error: 'Evento no encontrado o sin permiso.' });
-  return res.status(200).json(data);
-});
 
-// DELETE /v2/admin/events/:slug
-app.delete('/v2/admin/events/:slug', requireAuth, async (req, res) => {
-  let query = supabase.from('events').update({ published: false }).eq('slug', req.params.slug);
-  if (req.user.role !== 'superadmin') {
-    query = query.eq('user_id', req.user.id);
+  if (body.tier_ids !== undefined) {
+    const tierIds = body.tier_ids || [];
+    const known = (event.tiers || []).map(t => t.id);
+    if (!Array.isArray(tierIds) || tierIds.some(id => !known.includes(id))) {
+      return { error: 'Uno o más tiers no existen en este evento.' };
+    }
+    row.tier_ids = tierIds.length ? tierIds : null;
   }
-  const { error } = await query;
-  if (error) return res.status(500).json({ error: 'Error al eliminar el evento.' });
-  return res.status(200).json({ success: true });
-});
 
-// GET /v2/admin/events/:slug/stats
-app.get('/v2/admin/events/:slug/stats', requireAuth, async (req, res) => {
-  const { slug } = req.params;
+  if (body.max_uses !== undefined) {
+    if (body.max_uses === null || body.max_uses === '') {
+      row.max_uses = null;
+    } else {
+      const maxUses = parseInt(body.max_uses);
+      if (!(maxUses > 0)) return { error: 'El límite de usos debe ser un número positivo.' };
+      row.max_uses = maxUses;
+    }
+  }
 
-  let evQuery = supabase.from('events').select('*').eq('slug', slug);
-  if (req.user.role !== 'superadmin') {
-    evQuery = evQuery.eq('user_id', req.user.id);
+  if (body.expires_at !== undefined) {
+    if (!body.expires_at) {
+      row.expires_at = null;
+    } else {
+      const d = new Date(body.expires_at);
+      if (isNaN(d)) return { error: 'Fecha de expiración no válida.' };
+      row.expires_at = d.toISOString();
+    }
   }
-  const { data: event, error: evErr } = await evQuery.single();
-  if (evErr || !event) return res.status(404).json({ error: 'Evento no encontrado.' });
 
-  const { data: registrations } = await supabase
-    .from('registrations')
+  if (body.active !== undefined) row.active = !!body.active;
+
+  return { row };
+}
+
+// GET /v2/admin/events/:slug/promo-codes
+app.get('/v2/admin/events/:slug/promo-codes', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data, error } = await supabase
+    .from('promo_codes')
     .select('*')
-    .eq('event_slug', slug)
-    .eq('payment_status', 'paid')
+    .eq('event_slug', event.slug)
     .order('created_at', { ascending: false });
+  if (error) return res.status(500).json({ error: 'Error al obtener códigos.' });
+  return res.status(200).json(data);
+});
 
-  const regs = registrations || [];
-  const tiers = event.tiers || [];
-
-  const tierStats = tiers.map(tier => {
-    const tierRegs = regs.filter(r => r.student_name?.includes(tier.label));
-    const sold = tierRegs.length;
-    return {
-      id: tier.id,
-      label: tier.label,
-      price: tier.price,
-      capacity: tier.capacity,
-      sold,
-      available: Math.max(0, tier.capacity - sold),
-      revenue: sold * tier.price
-    };
-  });
+// POST /v2/admin/events/:slug/promo-codes
+app.post('/v2/admin/events/:slug/promo-codes', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, tiers');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
 
-  const totalSold = tierStats.reduce((s, t) => s + t.sold, 0);
-  const totalRevenue = tierStats.reduce((s, t) => s + t.revenue, 0);
-  const totalCapacity = tierStats.reduce((s, t) => s + t.capacity, 0);
+  const { row, error: validationError } = validatePromoInput(req.body, event);
+  if (validationError) return res.status(400).json({ error: validationError });
 
-  return res.status(200).json({
-    event: { slug: event.slug, name: event.name, date_label: event.date_label, venue: event.venue },
-    stats: {
-      totalSold,
-      totalRevenue,
-      totalCapacity,
-      fillRate: totalCapacity > 0 ? Math.round((totalSold / totalCapacity) * 100) : 0
-    },
-    tiers: tierStats,
-    scanToken: makeScanToken(slug),
-    registrations: regs.map(r => ({
-      id: r.id, name: r.name, email: r.email,
-      phone: r.phone, student_name: r.student_name,
-      created_at: r.created_at, checked_in: r.checked_in,
-      checked_in_at: r.checked_in_at
-    }))
-  });
+  const { data, error } = await supabase
+    .from('promo_codes').insert([{ ...row, event_slug: event.slug }]).select().single();
+  if (error) {
+    if (error.code === '23505') return res.status(409).json({ error: 'Ese código ya existe para este evento.' });
+    return res.status(500).json({ error: 'Error al crear el código.' });
+  }
+  recordAudit(req, { action: 'promo.create', target_id: data.id, details: { code: data.code, kind: data.kind, value: data.value } });
+  return res.status(201).json(data);
 });
 
-// ─────────────────────────────────────────────
-//  GET /v2/scan/:slug/info  (no auth — returns event name for scanner UI)
-// ─────────────────────────────────────────────
-app.get('/v2/scan/:slug/info', async (req, res) => {
-  const { slug } = req.params;
+// PUT /v2/admin/events/:slug/promo-codes/:id
+app.put('/v2/admin/events/:slug/promo-codes/:id', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, tiers');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { row, error: validationError } = validatePromoInput(req.body, event, { partial: true });
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  const { data: current } = await supabase
+    .from('promo_codes').select('*').eq('id', req.params.id).eq('event_slug', event.slug).maybeSingle();
   const { data, error } = await supabase
-    .from('events')
-    .select('slug, name, date_label, venue')
-    .eq('slug', slug)
+    .from('promo_codes')
+    .update(row)
+    .eq('id', req.params.id)
+    .eq('event_slug', event.slug)
+    .select()
     .single();
-
-  if (error || !data) return res.status(404).json({ error: 'Evento no encontrado.' });
+  if (error?.code === '23505') return res.status(409).json({ error: 'Ese código ya existe para este evento.' });
+  if (error || !data) return res.status(404).json({ error: 'Código no encontrado.' });
+  recordAudit(req, { action: 'promo.update', target_id: data.id, changes: auditDiff(current, data, Object.keys(row)), details: { code: data.code } });
   return res.status(200).json(data);
 });
 
+// DELETE /v2/admin/events/:slug/promo-codes/:id
+// Registrations keep the code text, so past redemptions still show in stats
+app.delete('/v2/admin/events/:slug/promo-codes/:id', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data, error } = await supabase
+    .from('promo_codes').delete().eq('id', req.params.id).eq('event_slug', event.slug).select('id, code');
+  if (error) return res.status(500).json({ error: 'Error al eliminar el código.' });
+  if (data?.length) recordAudit(req, { action: 'promo.delete', target_id: data[0].id, details: { code: data[0].code } });
+  return res.status(200).json({ success: true });
+});
+
 // ─────────────────────────────────────────────
-//  POST /v2/scan/:slug/verify  (scan token required — door scanner)
+//  ATTENDEE EXPORT / IMPORT
+//  File formats (CSV / XLSX columns, parsing, row checks) live in
+//  attendee-files.js; these routes page through and issue the tickets.
 // ─────────────────────────────────────────────
-app.post('/v2/scan/:slug/verify', async (req, res) => {
-  const { slug } = req.params;
-  const { id, station, token } = req.body;
-  if (!id) return res.status(400).json({ error: 'ID requerido.' });
-
-  // Validate scan token (generated per-slug in makeScanToken)
-  if (!token || token !== makeScanToken(slug)) {
-    return res.status(401).json({ status: 'not_found', message: 'Token de escaneo inválido.' });
+const EXPORT_PAGE_SIZE = 1000;
+
+// GET /v2/admin/events/:slug/attendees/export
+// Query: format=csv|xlsx, tier, checked_in=true|false, from, to (ISO dates, purchase time)
+// Pages through Supabase and writes as it goes, so memory stays flat for big events.
+app.get('/v2/admin/events/:slug/attendees/export', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, name, tiers');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { tier, checked_in, from, to } = req.query;
+  const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+  for (const d of [from, to]) {
+    if (d && isNaN(new Date(d))) return res.status(400).json({ error: 'Fecha no válida.' });
   }
+  const tierLabels = Object.fromEntries((event.tiers || []).map(t => [t.id, t.label]));
+  const showMoney = eventCan(req.eventRole, 'revenue');
 
-  // Verify HMAC signature — backward-compatible with legacy plain UUIDs
-  const { ticketId, signed, valid } = verifyTicket(id, slug);
-  if (signed && !valid) {
-    return res.status(200).json({ status: 'not_found', message: 'QR inválido o manipulado.' });
+  const fetchPage = offset => {
+    let query = supabase
+      .from('registrations')
+      .select('id, name, email, phone, attendee_name, attendee_email, tier_id, unit_price, promo_code, order_id, source, created_at, checked_in, checked_in_at, checked_in_station')
+      .eq('event_slug', event.slug)
+      .eq('payment_status', 'paid')
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+    if (tier) query = query.eq('tier_id', tier);
+    if (checked_in === 'true' || checked_in === 'false') query = query.eq('checked_in', checked_in === 'true');
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+    return query;
+  };
+
+  const toRow = r => ({
+    id: r.id,
+    attendee: r.attendee_name || r.name,
+    attendee_email: r.attendee_email || '',
+    name: r.name,
+    email: r.email,
+    phone: r.phone || '',
+    tier: tierLabels[r.tier_id] || r.tier_id || '',
+    unit_price: showMoney ? r.unit_price ?? '' : '',
+    promo_code: showMoney ? r.promo_code || '' : '',
+    order_id: r.order_id || '',
+    source: r.source || 'venta',
+    created_at: r.created_at,
+    checked_in: r.checked_in ? 'Sí' : 'No',
+    checked_in_at: r.checked_in_at || '',
+    checked_in_station: r.checked_in_station || ''
+  });
+
+  // Fail before headers go out if the first page can't be read
+  const first = await fetchPage(0);
+  if (first.error) {
+    console.error('Export error:', first.error.message);
+    return res.status(500).json({ error: 'Error al exportar asistentes.' });
   }
 
-  // Fetch the registration using the extracted (clean) ticketId
-  const { data, error } = await supabase
-    .from('registrations')
-    .select('*')
-    .eq('id', ticketId)
-    .single();
+  const filename = `${event.slug}-asistentes-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
 
-  if (error || !data) {
-    return res.status(200).json({ status: 'not_found', message: 'Boleto no encontrado.' });
+  try {
+    const writer = exportWriter(res, format);
+    let page = first.data || [];
+    for (let offset = 0; ; ) {
+      for (const r of page) await writer.write(toRow(r));
+      if (page.length < EXPORT_PAGE_SIZE) break;
+      offset += EXPORT_PAGE_SIZE;
+      const next = await fetchPage(offset);
+      if (next.error) throw new Error(`Supabase export: ${next.error.message}`);
+      page = next.data || [];
+    }
+
+    await writer.end();
+  } catch (err) {
+    // Headers are gone — cut the download so the file is visibly incomplete
+    console.error('Export stream error:', err.message);
+    res.destroy(err);
   }
+});
 
-  // Confirm this ticket belongs to the correct event
-  if (data.event_slug && data.event_slug !== slug) {
-    return res.status(200).json({ status: 'wrong_event', message: 'Este boleto pertenece a otro evento.' });
+// POST /v2/admin/events/:slug/attendees/import  (multipart)
+// Fields: file (CSV or XLSX with name, email, [tier], [quantity], [phone] columns),
+//         tier (default for rows without one), send_email=true|false, dry_run=true|false
+// Every row is validated first; rows that fail are reported and skipped, the rest get
+// signed tickets (source 'import') through the same fulfillOrder path as a sale.
+app.post('/v2/admin/events/:slug/attendees/import', requireAuth, requireEventPermission('edit'), upload.single('file'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, name, tiers');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+  if (!req.file) return res.status(400).json({ error: 'No se recibió ningún archivo.' });
+
+  const sendEmail = req.body.send_email === 'true';
+  const dryRun = req.body.dry_run === 'true';
+  const tiers = event.tiers || [];
+  const defaultTier = req.body.tier ? findImportTier(tiers, req.body.tier) : (tiers.length === 1 ? tiers[0] : null);
+  if (req.body.tier && !defaultTier) return res.status(400).json({ error: 'Tier por defecto no válido.' });
+
+  let table;
+  try {
+    table = await readSpreadsheet(req.file);
+  } catch (err) {
+    console.error('Import parse error:', err.message);
+    return res.status(400).json({ error: 'No se pudo leer el archivo. Usa CSV o XLSX.' });
   }
+  const parsed = checkImportRows(table, tiers, defaultTier);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { total, valid, errors, requested } = parsed;
 
-  if (data.checked_in) {
-    return res.status(200).json({ status: 'already_checked_in', message: 'Ya ingresó al evento.', registration: data });
+  // Capacity preview per tier — the real check happens atomically per row below
+  const capacity = {};
+  try {
+    for (const tierId of Object.keys(requested)) {
+      const t = tiers.find(x => x.id === tierId);
+      const [sold, held] = await Promise.all([countSoldTickets(event.slug, tierId), countHeldTickets(event.slug, tierId)]);
+      capacity[tierId] = { label: t.label, requested: requested[tierId], available: Math.max(0, t.capacity - sold - held) };
+    }
+  } catch (err) {
+    console.error('Import capacity error:', err.message);
+    return res.status(500).json({ error: 'Error al consultar disponibilidad.' });
   }
 
-  const { error: updateError } = await supabase
-    .from('registrations')
-    .update({ checked_in: true, checked_in_at: new Date().toISOString() })
-    .eq('id', ticketId);
+  if (dryRun) {
+    return res.status(200).json({
+      dryRun: true,
+      total,
+      valid: valid.length,
+      tickets: valid.reduce((s, v) => s + v.qty, 0),
+      tiers: Object.values(capacity),
+      errors
+    });
+  }
 
-  if (updateError) {
-    console.error('Check-in update error:', updateError);
-    return res.status(500).json({ status: 'error', message: 'Error al registrar el ingreso.' });
+  let created = 0, tickets = 0;
+  for (const v of valid) {
+    const ids = Array.from({ length: v.qty }, () => uuidv4());
+    let holdId = null;
+    try {
+      holdId = await createHold(event.slug, v.tier.id, v.qty, v.tier.capacity, new Date(Date.now() + 5 * 60 * 1000));
+      if (!holdId) {
+        errors.push({ row: v.row, email: v.email, error: `Sin lugares en ${v.tier.label}` });
+        continue;
+      }
+      const result = await fulfillOrder({
+        registrationIds: ids.join(','),
+        name: v.name,
+        student_name: `${event.name} — ${v.tier.label}`,
+        email: v.email,
+        phone: v.phone,
+        tier: v.tier.id,
+        unit_price: '0',
+        order_id: uuidv4(),
+        hold_id: holdId,
+        quantity: String(v.qty),
+        event_slug: event.slug,
+        source: 'import',
+        issued_by: req.user.id
+      }, { sendEmail });
+      if (result.soldOut) {
+        errors.push({ row: v.row, email: v.email, error: `Sin lugares en ${v.tier.label}` });
+        continue;
+      }
+      created++;
+      tickets += v.qty;
+    } catch (err) {
+      console.error(`Import row ${v.row} error:`, err.message);
+      // fulfillOrder inserts before emailing — tell apart "no tickets" from "tickets, no email"
+      const { data: issued } = await supabase.from('registrations').select('id').eq('id', ids[0]).maybeSingle();
+      if (issued) {
+        created++;
+        tickets += v.qty;
+        errors.push({ row: v.row, email: v.email, error: 'Boletos creados, pero no se pudo enviar el correo' });
+      } else {
+        await releaseHold(holdId);
+        errors.push({ row: v.row, email: v.email, error: 'Error al crear los boletos' });
+      }
+    }
   }
 
-  return res.status(200).json({ status: 'success', message: '¡Acceso válido!', registration: data });
+  errors.sort((a, b) => a.row - b.row);
+  recordAudit(req, { action: 'event.import', target_id: event.slug, details: { rows: total, created, tickets, emailed: sendEmail, errors: errors.length } });
+  return res.status(200).json({ total, created, tickets, emailed: sendEmail, errors });
 });
 
 // ─────────────────────────────────────────────
-//  POST /v2/admin/events/:slug/resend-email
+//  COMPLIMENTARY TICKETS
+//  Guest-list, artist and press passes. Issued through fulfillOrder like any
+//  other order, so they get the same signed QR email; source 'comp' keeps them
+//  out of revenue. count_capacity=false issues them on top of the tier.
 // ─────────────────────────────────────────────
-app.post('/v2/admin/events/:slug/resend-email', requireAuth, async (req, res) => {
-  const { slug } = req.params;
-  const { email, ticketIds } = req.body;   // ticketIds: optional array of specific IDs to resend
-  if (!email) return res.status(400).json({ error: 'Email requerido.' });
-
-  // Verify the event belongs to this user (or user is superadmin)
-  let evQuery = supabase.from('events').select('id, name').eq('slug', slug);
-  if (req.user.role !== 'superadmin') {
-    evQuery = evQuery.eq('user_id', req.user.id);
+const COMP_MAX_QTY = 50;
+
+// POST /v2/admin/events/:slug/comps
+// Body: { tier, quantity, name, email, phone?, note?, count_capacity? (default true) }
+app.post('/v2/admin/events/:slug/comps', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, name, tiers');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { tier, phone, note } = req.body;
+  const name = String(req.body.name || '').trim();
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const qty = Number(req.body.quantity ?? 1);
+  const countCapacity = req.body.count_capacity !== false;
+
+  if (!name || !email) return res.status(400).json({ error: 'Nombre y correo requeridos.' });
+  if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'Correo electrónico no válido.' });
+  if (!Number.isInteger(qty) || qty < 1 || qty > COMP_MAX_QTY) {
+    return res.status(400).json({ error: `La cantidad debe ser entre 1 y ${COMP_MAX_QTY}.` });
   }
-  const { data: event, error: evErr } = await evQuery.single();
-  if (evErr || !event) return res.status(404).json({ error: 'Evento no encontrado.' });
+  const tierData = (event.tiers || []).find(t => t.id === tier);
+  if (!tierData) return res.status(400).json({ error: 'Tipo de acceso no válido.' });
 
+  let holdId = null;
   try {
-    let regQuery = supabase
-      .from('registrations')
-      .select('*')
-      .eq('email', email)
-      .eq('event_slug', slug)
-      .eq('payment_status', 'paid')
-      .order('created_at', { ascending: true });
-
-    const { data: allRegistrations, error } = await regQuery;
+    if (countCapacity) {
+      holdId = await createHold(event.slug, tier, qty, tierData.capacity, new Date(Date.now() + 5 * 60 * 1000));
+      if (!holdId) {
+        return res.status(400).json({ error: `No quedan ${qty} lugares en ${tierData.label}. Emite las cortesías fuera del aforo.` });
+      }
+    }
 
-    if (error || !allRegistrations?.length) {
-      return res.status(404).json({ error: 'No se encontraron boletos para este correo en este evento.' });
+    const orderId = uuidv4();
+    const result = await fulfillOrder({
+      registrationIds: Array.from({ length: qty }, () => uuidv4()).join(','),
+      name,
+      student_name: `${event.name} — ${tierData.label}`,
+      email,
+      phone: phone || '',
+      tier,
+      unit_price: '0',
+      order_id: orderId,
+      hold_id: holdId || '',
+      quantity: String(qty),
+      event_slug: event.slug,
+      source: 'comp',
+      issued_by: req.user.id,
+      issued_note: note ? String(note).slice(0, 120) : '',
+      counts_capacity: String(countCapacity)
+    });
+    if (result.soldOut) {
+      return res.status(400).json({ error: `No quedan ${qty} lugares en ${tierData.label}.` });
     }
 
-    // If specific ticketIds provided, filter to only those; otherwise send all
-    const registrations = (ticketIds && ticketIds.length > 0)
-      ? allRegistrations.filter(r => ticketIds.includes(r.id))
-      : allRegistrations;
+    recordAudit(req, { action: 'ticket.comp', target_id: orderId, details: { email, tier, quantity: qty, counts_capacity: countCapacity, note: note || null } });
+    return res.status(201).json({ success: true, order_id: orderId, quantity: qty, email, counts_capacity: countCapacity });
 
-    if (!registrations.length) {
-      return res.status(404).json({ error: 'No se encontraron los boletos indicados.' });
-    }
+  } catch (err) {
+    console.error('Comp issue error:', err);
+    await releaseHold(holdId);
+    return res.status(500).json({ error: 'Error al emitir las cortesías.' });
+  }
+});
 
-    const { name, student_name } = registrations[0];
-    const qty = registrations.length;
-    const qrCodes = [];
-    const attachments = [];
-
-    for (let i = 0; i < registrations.length; i++) {
-      const ticketId = registrations[i].id;
-      const qrPayload = signTicket(ticketId, slug);
-      const [qrDataURL, qrBuffer] = await Promise.all([
-        QRCode.toDataURL(qrPayload, { width: 300, margin: 2, color: { dark: '#080808', light: '#ffffff' } }),
-        QRCode.toBuffer(qrPayload, { width: 300, margin: 2, color: { dark: '#080808', light: '#ffffff' } })
-      ]);
-      qrCodes.push({ id: ticketId, qrDataURL });
-      attachments.push({
-        filename: qty > 1 ? `ticket-${i + 1}-de-${qty}.png` : 'ticket.png',
-        content: qrBuffer,
-        contentType: 'image/png'
-      });
-    }
+// GET /v2/admin/events/:slug/comps — every comp order with who issued it
+app.get('/v2/admin/events/:slug/comps', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, tiers');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
 
-    await resend.emails.send({
-      from: process.env.RESEND_FROM_EMAIL,
-      to: email,
-      subject: `🔁 Reenvío de accesos — ${(student_name || '').split(' — ')[0] || 'Colectivo'}`,
-      html: buildEmailHTML({ name, student_name, qrCodes }),
-      attachments
-    });
+  const { data, error } = await supabase
+    .from('registrations')
+    .select('id, order_id, name, email, tier_id, payment_status, checked_in, counts_capacity, issued_by, issued_note, created_at')
+    .eq('event_slug', event.slug)
+    .eq('source', 'comp')
+    .order('created_at', { ascending: false });
+  if (error) return res.status(500).json({ error: 'Error al cargar las cortesías.' });
+
+  // profiles has no email column — ask auth for the (few) distinct issuers
+  const issuerIds = [...new Set((data || []).map(r => r.issued_by).filter(Boolean))];
+  const issuers = await Promise.all(issuerIds.map(id => supabase.auth.admin.getUserById(id)));
+  const issuerEmails = Object.fromEntries(issuers.map(({ data: u }, i) => [issuerIds[i], u?.user?.email || null]));
+  const tierLabels = Object.fromEntries((event.tiers || []).map(t => [t.id, t.label]));
+
+  const orders = {};
+  for (const r of data || []) {
+    const o = orders[r.order_id] ||= {
+      order_id: r.order_id, name: r.name, email: r.email,
+      tier: tierLabels[r.tier_id] || r.tier_id, note: r.issued_note,
+      counts_capacity: r.counts_capacity, issued_by: issuerEmails[r.issued_by] || null,
+      created_at: r.created_at, quantity: 0, valid: 0, checked_in: 0
+    };
+    o.quantity++;
+    if (r.payment_status === 'paid') o.valid++;
+    if (r.checked_in) o.checked_in++;
+  }
+  return res.status(200).json(Object.values(orders));
+});
+
+// ─────────────────────────────────────────────
+//  HOLDER MESSAGES — reminders & announcements
+//  Expanding, queueing and the automatic reminder live in holder-messages.js;
+//  these are the promoter's routes and the holders' unsubscribe link.
+// ─────────────────────────────────────────────
+const messages = createHolderMessages({
+  supabase, enqueueEmails, getPassEvent, buildNoticeEmailHTML, escapeHtml, baseUrl: BASE_URL
+});
+messages.start();
+
+// POST /v2/admin/events/:slug/messages — announcement to paid holders
+// Body: { subject, body, tiers?: [tier ids] (default all), essential?: bool }
+// essential = the holder needs it to attend (venue or time change); it skips unsubscribes.
+app.post('/v2/admin/events/:slug/messages', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, name, tiers');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const subject = String(req.body.subject || '').trim().slice(0, 150);
+  const body = String(req.body.body || '').trim();
+  const tiers = Array.isArray(req.body.tiers) ? req.body.tiers.filter(Boolean) : [];
+  if (!subject || !body) return res.status(400).json({ error: 'Asunto y mensaje requeridos.' });
+  if (body.length > ANNOUNCEMENT_MAX_BODY) {
+    return res.status(400).json({ error: `El mensaje no puede pasar de ${ANNOUNCEMENT_MAX_BODY} caracteres.` });
+  }
+  const tierIds = new Set((event.tiers || []).map(t => t.id));
+  if (tiers.some(t => !tierIds.has(t))) return res.status(400).json({ error: 'Tipo de acceso no válido.' });
+
+  const { data: message, error } = await supabase.from('event_messages').insert([{
+    event_slug: event.slug,
+    kind: 'announcement',
+    subject, body,
+    tier_ids: tiers.length ? tiers : null,
+    essential: req.body.essential === true,
+    created_by: req.user.id
+  }]).select().single();
+  if (error) {
+    console.error('Announcement insert error:', error.message);
+    return res.status(500).json({ error: 'Error al programar el aviso.' });
+  }
 
-    return res.status(200).json({ success: true, qty });
+  messages.kickMessageSender();
+  recordAudit(req, { action: 'message.send', target_id: message.id, details: { subject, tiers: message.tier_ids, essential: message.essential } });
+  return res.status(202).json(message);
+});
 
-  } catch (err) {
-    console.error('Resend email error:', err);
-    return res.status(500).json({ error: 'Error al reenviar el email.' });
+// GET /v2/admin/events/:slug/messages — reminders and announcements with send counts
+app.get('/v2/admin/events/:slug/messages', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug, reminder_hours, reminder_queued_at');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data, error } = await supabase
+    .from('event_messages')
+    .select('id, kind, subject, tier_ids, essential, status, recipients, sent, failed, skipped, created_at, completed_at')
+    .eq('event_slug', event.slug)
+    .order('created_at', { ascending: false })
+    .limit(50);
+  if (error) return res.status(500).json({ error: 'Error al cargar los avisos.' });
+  return res.status(200).json({
+    reminder: { hours: event.reminder_hours, queued_at: event.reminder_queued_at },
+    messages: data
+  });
+});
+
+// GET /v2/admin/events/:slug/messages/:id — per-recipient status (failures first)
+app.get('/v2/admin/events/:slug/messages/:id', requireAuth, requireEventPermission('view'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  const { data: message } = await supabase
+    .from('event_messages').select('*').eq('id', req.params.id).eq('event_slug', event.slug).single();
+  if (!message) return res.status(404).json({ error: 'Aviso no encontrado.' });
+
+  const { data: recipients, error } = await supabase
+    .from('event_message_recipients')
+    .select('email, name, status, error, attempts, sent_at')
+    .eq('message_id', message.id)
+    .neq('status', 'sent')
+    .order('status')
+    .limit(500);
+  if (error) return res.status(500).json({ error: 'Error al cargar los destinatarios.' });
+  return res.status(200).json({ ...message, unsent: recipients });
+});
+
+// POST /v2/admin/events/:slug/messages/:id/cancel — stop a message that hasn't finished
+app.post('/v2/admin/events/:slug/messages/:id/cancel', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  const event = await findOwnedEvent(req, req.params.slug, 'slug');
+  if (!event) return res.status(404).json({ error: 'Evento no encontrado.' });
+
+  if (!(await messages.cancelMessage(event.slug, req.params.id))) {
+    return res.status(400).json({ error: 'Este aviso ya terminó de enviarse.' });
+  }
+  recordAudit(req, { action: 'message.cancel', target_id: req.params.id });
+  return res.status(200).json({ success: true });
+});
+
+// GET /unsubscribe?token=… — what the unsubscribe page shows before confirming
+app.get('/unsubscribe', async (req, res) => {
+  const scope = verifyLinkToken('unsubscribe', req.query.token);
+  if (!scope?.e || !scope?.s) return res.status(400).json({ error: 'Enlace inválido.' });
+
+  const [{ data: ev }, { data: existing }] = await Promise.all([
+    supabase.from('events').select('name').eq('slug', scope.s).single(),
+    supabase.from('email_unsubscribes').select('email').eq('email', scope.e).eq('event_slug', scope.s).maybeSingle()
+  ]);
+  return res.status(200).json({ email: scope.e, event_name: ev?.name || scope.s, unsubscribed: !!existing });
+});
+
+// POST /unsubscribe — from the page ({ token }) or a mail client's one-click (?token=…)
+app.post('/unsubscribe', express.urlencoded({ extended: false }), async (req, res) => {
+  const scope = verifyLinkToken('unsubscribe', req.body?.token || req.query.token);
+  if (!scope?.e || !scope?.s) return res.status(400).json({ error: 'Enlace inválido.' });
+
+  const { error } = await supabase
+    .from('email_unsubscribes')
+    .upsert([{ email: scope.e, event_slug: scope.s }], { onConflict: 'email,event_slug', ignoreDuplicates: true });
+  if (error) {
+    console.error('Unsubscribe error:', error.message);
+    return res.status(500).json({ error: 'Error al cancelar la suscripción.' });
   }
+  return res.status(200).json({ success: true });
 });
 
 // ─────────────────────────────────────────────
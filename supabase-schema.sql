@@ -21,3 +21,711 @@ ALTER TABLE registrations ENABLE ROW LEVEL SECURITY;
 -- No public access
 CREATE POLICY "Service role only" ON registrations
   USING (auth.role() = 'service_role');
+
+-- ─────────────────────────────────────────────
+--  Tier identity on registrations
+--  Sales are counted by tier_id, never by matching labels in student_name
+-- ─────────────────────────────────────────────
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS tier_id    TEXT;     -- events.tiers[].id
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS unit_price NUMERIC;  -- Base tier price (MXN) at time of sale
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS order_id   TEXT;     -- Shared by every ticket bought in one checkout
+
+CREATE INDEX IF NOT EXISTS registrations_event_tier_idx ON registrations(event_slug, tier_id);
+CREATE INDEX IF NOT EXISTS registrations_order_idx ON registrations(order_id);
+
+-- Backfill: legacy rows stored "<event name> — <tier label>" in student_name.
+-- Match on the full " — <label>" suffix and prefer the longest label so that
+-- "General VIP" is never claimed by a tier called "General".
+UPDATE registrations r
+SET tier_id = m.tier_id,
+    unit_price = COALESCE(r.unit_price, m.price)
+FROM (
+  SELECT DISTINCT ON (r2.id)
+         r2.id, t->>'id' AS tier_id, (t->>'price')::NUMERIC AS price
+  FROM registrations r2
+  JOIN events e ON e.slug = r2.event_slug
+  CROSS JOIN LATERAL jsonb_array_elements(e.tiers) t
+  WHERE r2.tier_id IS NULL
+    AND r2.student_name LIKE '% — ' || (t->>'label')
+  ORDER BY r2.id, length(t->>'label') DESC
+) m
+WHERE r.id = m.id;
+
+-- The original Aniversario Caballeros drop has no events row; its tiers are hard-coded in server.js
+UPDATE registrations r
+SET tier_id = l.tier_id,
+    unit_price = COALESCE(r.unit_price, l.price)
+FROM (VALUES ('vip', 'VIP', 1800), ('early', 'Early Bird', 650), ('general', 'General', 950)) AS l(tier_id, label, price)
+WHERE r.tier_id IS NULL
+  AND r.event_slug = 'caballeros-aniversario'
+  AND r.student_name LIKE '% — ' || l.label;
+
+-- Legacy tickets each count as their own order
+UPDATE registrations SET order_id = id::TEXT WHERE order_id IS NULL;
+
+-- ─────────────────────────────────────────────
+--  Inventory holds — capacity reserved while a buyer is in Stripe Checkout
+-- ─────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS inventory_holds (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_slug  TEXT NOT NULL,
+  tier_id     TEXT NOT NULL,
+  quantity    INT NOT NULL CHECK (quantity > 0),
+  session_id  TEXT,                                 -- Stripe Checkout session
+  status      TEXT NOT NULL DEFAULT 'active',       -- active | converted | released | refunded
+  expires_at  TIMESTAMP WITH TIME ZONE NOT NULL,    -- Same instant as the Stripe session expiry
+  created_at  TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS inventory_holds_tier_idx ON inventory_holds(event_slug, tier_id, status, expires_at);
+
+ALTER TABLE inventory_holds ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON inventory_holds
+  USING (auth.role() = 'service_role');
+
+-- Tickets in use for a tier: paid registrations + unexpired active holds
+CREATE OR REPLACE FUNCTION tier_tickets_in_use(p_event_slug TEXT, p_tier_id TEXT)
+RETURNS INT LANGUAGE sql STABLE AS $$
+  SELECT
+    (SELECT COUNT(*) FROM registrations
+      WHERE event_slug = p_event_slug AND tier_id = p_tier_id AND payment_status = 'paid')::INT
+  + (SELECT COALESCE(SUM(quantity), 0) FROM inventory_holds
+      WHERE event_slug = p_event_slug AND tier_id = p_tier_id
+        AND status = 'active' AND expires_at > NOW())::INT;
+$$;
+
+-- Atomically reserve p_quantity tickets. Returns the hold id, or NULL when the tier can't fit them.
+-- The advisory lock serialises concurrent checkouts for the same tier.
+CREATE OR REPLACE FUNCTION create_inventory_hold(
+  p_event_slug TEXT, p_tier_id TEXT, p_quantity INT, p_capacity INT, p_expires_at TIMESTAMP WITH TIME ZONE
+) RETURNS UUID LANGUAGE plpgsql AS $$
+DECLARE
+  v_id UUID;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext(p_event_slug || '|' || p_tier_id));
+  IF tier_tickets_in_use(p_event_slug, p_tier_id) + p_quantity > p_capacity THEN
+    RETURN NULL;
+  END IF;
+  INSERT INTO inventory_holds (event_slug, tier_id, quantity, expires_at)
+  VALUES (p_event_slug, p_tier_id, p_quantity, p_expires_at)
+  RETURNING id INTO v_id;
+  RETURN v_id;
+END;
+$$;
+
+-- A payment landed after its hold lapsed: re-activate the hold only if the tier still has room.
+CREATE OR REPLACE FUNCTION reclaim_inventory_hold(
+  p_hold_id UUID, p_capacity INT, p_expires_at TIMESTAMP WITH TIME ZONE
+) RETURNS BOOLEAN LANGUAGE plpgsql AS $$
+DECLARE
+  v_hold inventory_holds%ROWTYPE;
+BEGIN
+  SELECT * INTO v_hold FROM inventory_holds WHERE id = p_hold_id;
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+  PERFORM pg_advisory_xact_lock(hashtext(v_hold.event_slug || '|' || v_hold.tier_id));
+  SELECT * INTO v_hold FROM inventory_holds WHERE id = p_hold_id FOR UPDATE;
+  IF v_hold.status = 'converted' THEN
+    RETURN TRUE;
+  END IF;
+  IF v_hold.status = 'active' AND v_hold.expires_at > NOW() THEN
+    RETURN TRUE;
+  END IF;
+  IF tier_tickets_in_use(v_hold.event_slug, v_hold.tier_id) + v_hold.quantity > p_capacity THEN
+    RETURN FALSE;
+  END IF;
+  UPDATE inventory_holds SET status = 'active', expires_at = p_expires_at WHERE id = p_hold_id;
+  RETURN TRUE;
+END;
+$$;
+
+-- ─────────────────────────────────────────────
+--  Refunds & voided tickets
+--  payment_status: paid | refunding (admin refund in flight) | refunded (money returned) | void (cancelled, e.g. dispute)
+--  Only 'paid' rows count against capacity or pass the door scanner.
+-- ─────────────────────────────────────────────
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS stripe_payment_intent TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS refund_id   TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS voided_at   TIMESTAMP WITH TIME ZONE;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS void_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS registrations_payment_intent_idx ON registrations(stripe_payment_intent);
+
+-- ─────────────────────────────────────────────
+--  Promo codes — discounts applied to the base price before the service fee
+-- ─────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_slug  TEXT NOT NULL,
+  code        TEXT NOT NULL,                     -- Stored uppercase
+  kind        TEXT NOT NULL,                     -- percent | fixed | comp
+  value       NUMERIC,                           -- percent: 1–100, fixed: MXN off per ticket, comp: unused
+  tier_ids    TEXT[],                            -- NULL = every tier
+  max_uses    INT,                               -- Orders; NULL = unlimited
+  uses        INT NOT NULL DEFAULT 0,
+  expires_at  TIMESTAMP WITH TIME ZONE,
+  active      BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at  TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS promo_codes_event_code_unique ON promo_codes(event_slug, code);
+
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON promo_codes
+  USING (auth.role() = 'service_role');
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS promo_code TEXT;     -- Code redeemed on this order
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS discount   NUMERIC;  -- MXN off the tier price per ticket (unit_price is net of it)
+
+CREATE OR REPLACE FUNCTION redeem_promo_code(p_id UUID)
+RETURNS VOID LANGUAGE sql AS $$
+  UPDATE promo_codes SET uses = uses + 1 WHERE id = p_id;
+$$;
+
+-- ─────────────────────────────────────────────
+--  Free / RSVP events
+--  Tiers priced 0 (or every tier when is_free) register through /register
+--  and an emailed confirmation link instead of Stripe.
+-- ─────────────────────────────────────────────
+ALTER TABLE events ADD COLUMN IF NOT EXISTS is_free       BOOLEAN DEFAULT FALSE;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS max_per_email INT;   -- Free tickets one email can hold; NULL = 4
+
+CREATE INDEX IF NOT EXISTS registrations_event_email_idx ON registrations(event_slug, email);
+
+-- ─────────────────────────────────────────────
+--  Scan log — every door scan attempt, plus manual check-in undos
+-- ─────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS scan_log (
+  id          BIGSERIAL PRIMARY KEY,
+  event_slug  TEXT NOT NULL,
+  ticket_id   TEXT,                    -- NULL when the payload couldn't be parsed
+  payload     TEXT,                    -- Raw QR content (truncated)
+  station     TEXT,                    -- Door / device name typed into scan.html
+  result      TEXT NOT NULL,           -- success | already_checked_in | wrong_event | invalid_signature | unsigned | not_found | void | undo | conflict | outside_window
+  actor       TEXT,                    -- Admin email for undo actions
+  note        TEXT,
+  created_at  TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS scan_log_event_idx  ON scan_log(event_slug, created_at DESC);
+CREATE INDEX IF NOT EXISTS scan_log_ticket_idx ON scan_log(ticket_id);
+
+ALTER TABLE scan_log ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON scan_log
+  USING (auth.role() = 'service_role');
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS checked_in_station TEXT;
+
+-- ─────────────────────────────────────────────
+--  Scanner credentials — one per door staff member, revocable and expiring
+--  Only a SHA-256 of the token is stored; the raw token is shown once at issue time.
+-- ─────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS scanner_credentials (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_slug    TEXT NOT NULL,
+  label         TEXT NOT NULL,                     -- Staff member name
+  token_hash    TEXT NOT NULL UNIQUE,
+  created_by    UUID,                              -- profiles.id of the issuer
+  expires_at    TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at    TIMESTAMP WITH TIME ZONE,
+  last_used_at  TIMESTAMP WITH TIME ZONE,
+  created_at    TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS scanner_credentials_event_idx ON scanner_credentials(event_slug);
+
+ALTER TABLE scanner_credentials ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON scanner_credentials
+  USING (auth.role() = 'service_role');
+
+ALTER TABLE scan_log ADD COLUMN IF NOT EXISTS scanner_id    UUID;
+ALTER TABLE scan_log ADD COLUMN IF NOT EXISTS scanner_label TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS checked_in_by UUID;  -- scanner_credentials.id
+
+-- ─────────────────────────────────────────────
+--  QR signing — per-event switch to refuse legacy unsigned (plain UUID) QRs
+-- ─────────────────────────────────────────────
+ALTER TABLE events ADD COLUMN IF NOT EXISTS require_signed_qr BOOLEAN DEFAULT FALSE;
+
+-- ─────────────────────────────────────────────
+--  Offline scanning — check-ins uploaded later keep their real scan time
+-- ─────────────────────────────────────────────
+ALTER TABLE scan_log ADD COLUMN IF NOT EXISTS offline BOOLEAN DEFAULT FALSE;
+
+-- ─────────────────────────────────────────────
+--  Named attendees & ticket transfers
+--  name/email stay the buyer's; attendee_* is who actually walks in.
+--  A transfer retires the old row (payment_status 'transferred') and issues a
+--  copy under a new id, so the old QR stops working and capacity is unchanged.
+-- ─────────────────────────────────────────────
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS attendee_name    TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS attendee_email   TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS transferred_from UUID;  -- registrations.id this ticket replaced
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS transferred_to   UUID;  -- registrations.id that replaced this one
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS allow_transfers BOOLEAN DEFAULT TRUE;
+
+CREATE TABLE IF NOT EXISTS ticket_transfers (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_slug      TEXT NOT NULL,
+  order_id        TEXT,                               -- Same type as registrations.order_id
+  from_ticket_id  UUID NOT NULL,
+  to_ticket_id    UUID NOT NULL,
+  from_name       TEXT,
+  from_email      TEXT,
+  to_name         TEXT NOT NULL,
+  to_email        TEXT NOT NULL,
+  created_at      TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Databases that created the table with order_id UUID: every transfer failed, so it's empty
+ALTER TABLE ticket_transfers ALTER COLUMN order_id TYPE TEXT;
+
+CREATE INDEX IF NOT EXISTS ticket_transfers_event_idx ON ticket_transfers(event_slug, created_at DESC);
+CREATE INDEX IF NOT EXISTS ticket_transfers_from_idx ON ticket_transfers(from_ticket_id);
+
+ALTER TABLE ticket_transfers ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON ticket_transfers
+  USING (auth.role() = 'service_role');
+
+-- Retire + reissue + log in one transaction. Returns FALSE if the ticket is no
+-- longer transferable (already used, cancelled or transferred by a parallel request).
+CREATE OR REPLACE FUNCTION transfer_ticket(
+  p_ticket_id UUID, p_new_id UUID, p_to_name TEXT, p_to_email TEXT
+) RETURNS BOOLEAN LANGUAGE plpgsql AS $$
+DECLARE
+  v_reg registrations%ROWTYPE;
+BEGIN
+  SELECT * INTO v_reg FROM registrations WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND OR v_reg.payment_status <> 'paid' OR v_reg.checked_in THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE registrations
+     SET payment_status = 'transferred', voided_at = NOW(), void_reason = 'transfer', transferred_to = p_new_id
+   WHERE id = p_ticket_id;
+
+  INSERT INTO registrations
+  SELECT * FROM jsonb_populate_record(NULL::registrations, to_jsonb(v_reg) || jsonb_build_object(
+    'id', p_new_id,
+    'attendee_name', p_to_name,
+    'attendee_email', p_to_email,
+    'transferred_from', p_ticket_id,
+    'transferred_to', NULL
+  ));
+
+  INSERT INTO ticket_transfers (event_slug, order_id, from_ticket_id, to_ticket_id, from_name, from_email, to_name, to_email)
+  VALUES (
+    v_reg.event_slug, v_reg.order_id, p_ticket_id, p_new_id,
+    COALESCE(v_reg.attendee_name, v_reg.name), COALESCE(v_reg.attendee_email, v_reg.email),
+    p_to_name, p_to_email
+  );
+  RETURN TRUE;
+END;
+$$;
+
+-- ─────────────────────────────────────────────
+--  Waitlist for sold-out tiers
+--  When seats free up the next entry gets an inventory hold (so the public
+--  can't take the seat) and an emailed, signed, time-limited checkout link.
+--  status: waiting → offered → purchased | expired   (or cancelled)
+-- ─────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS waitlist (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_slug        TEXT NOT NULL,
+  tier_id           TEXT NOT NULL,
+  email             TEXT NOT NULL,
+  name              TEXT,
+  quantity          INT NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  status            TEXT NOT NULL DEFAULT 'waiting',
+  hold_id           UUID,                              -- inventory_holds.id reserved for the offer
+  offered_at        TIMESTAMP WITH TIME ZONE,
+  offer_expires_at  TIMESTAMP WITH TIME ZONE,
+  created_at        TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS waitlist_queue_idx ON waitlist(event_slug, tier_id, status, created_at);
+-- One live place in line per email and tier
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_active_email_idx
+  ON waitlist(event_slug, tier_id, lower(email))
+  WHERE status IN ('waiting', 'offered');
+
+ALTER TABLE waitlist ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON waitlist
+  USING (auth.role() = 'service_role');
+
+-- ─────────────────────────────────────────────
+--  Ticket provenance — NULL for normal checkout / RSVP sales,
+--  'import' for guest lists uploaded from the event admin
+-- ─────────────────────────────────────────────
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS source    TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS issued_by UUID;  -- profiles.id of the admin who issued it
+
+-- ─────────────────────────────────────────────
+--  Complimentary tickets — source 'comp', issued from the event admin.
+--  counts_capacity = FALSE puts a ticket outside the tier's capacity
+--  (e.g. artist or press passes on top of a sold-out tier).
+-- ─────────────────────────────────────────────
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS counts_capacity BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS issued_note     TEXT;  -- e.g. "Prensa", "Artista"
+
+CREATE OR REPLACE FUNCTION tier_tickets_in_use(p_event_slug TEXT, p_tier_id TEXT)
+RETURNS INT LANGUAGE sql STABLE AS $$
+  SELECT
+    (SELECT COUNT(*) FROM registrations
+      WHERE event_slug = p_event_slug AND tier_id = p_tier_id AND payment_status = 'paid'
+        AND counts_capacity)::INT
+  + (SELECT COALESCE(SUM(quantity), 0) FROM inventory_holds
+      WHERE event_slug = p_event_slug AND tier_id = p_tier_id
+        AND status = 'active' AND expires_at > NOW())::INT;
+$$;
+
+-- ─────────────────────────────────────────────
+--  Structured event dates. date_label / time_label remain as display
+--  overrides; the server derives them from these when they're blank.
+--  Door scanners refuse check-ins well outside starts_at … ends_at.
+-- ─────────────────────────────────────────────
+ALTER TABLE events ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS ends_at   TIMESTAMP WITH TIME ZONE;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS timezone  TEXT NOT NULL DEFAULT 'America/Mexico_City';  -- IANA zone
+
+-- ─────────────────────────────────────────────
+--  Holder messages — the automatic pre-event reminder and promoter
+--  announcements. One row per message plus one per recipient, so every
+--  send is tracked. Unsubscribes only suppress non-essential mail.
+-- ─────────────────────────────────────────────
+ALTER TABLE events ADD COLUMN IF NOT EXISTS reminder_hours     INT DEFAULT 24;  -- NULL or 0 = no reminder
+ALTER TABLE events ADD COLUMN IF NOT EXISTS reminder_queued_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS event_messages (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_slug    TEXT NOT NULL,
+  kind          TEXT NOT NULL,                       -- 'reminder' | 'announcement'
+  subject       TEXT NOT NULL,
+  body          TEXT,
+  tier_ids      TEXT[],                              -- NULL = every tier
+  essential     BOOLEAN NOT NULL DEFAULT FALSE,      -- also reaches unsubscribed holders
+  status        TEXT NOT NULL DEFAULT 'queued',      -- queued | sending | completed | cancelled
+  created_by    UUID,
+  recipients    INT NOT NULL DEFAULT 0,
+  sent          INT NOT NULL DEFAULT 0,
+  failed        INT NOT NULL DEFAULT 0,
+  skipped       INT NOT NULL DEFAULT 0,
+  created_at    TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at  TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS event_messages_event_idx ON event_messages(event_slug, created_at DESC);
+CREATE INDEX IF NOT EXISTS event_messages_status_idx ON event_messages(status);
+
+CREATE TABLE IF NOT EXISTS event_message_recipients (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id  UUID NOT NULL REFERENCES event_messages(id) ON DELETE CASCADE,
+  email       TEXT NOT NULL,
+  name        TEXT,
+  ticket_ids  UUID[],                                -- reminders carry the holder's QR codes
+  status      TEXT NOT NULL DEFAULT 'pending',       -- pending | sending | sent | failed | skipped
+  error       TEXT,
+  attempts    INT NOT NULL DEFAULT 0,
+  sent_at     TIMESTAMP WITH TIME ZONE,
+  UNIQUE (message_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS event_message_recipients_status_idx ON event_message_recipients(message_id, status);
+
+CREATE TABLE IF NOT EXISTS email_unsubscribes (
+  email       TEXT NOT NULL,
+  event_slug  TEXT NOT NULL,
+  created_at  TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (email, event_slug)
+);
+
+ALTER TABLE event_messages ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON event_messages
+  USING (auth.role() = 'service_role');
+ALTER TABLE event_message_recipients ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON event_message_recipients
+  USING (auth.role() = 'service_role');
+ALTER TABLE email_unsubscribes ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON email_unsubscribes
+  USING (auth.role() = 'service_role');
+
+-- ─────────────────────────────────────────────
+--  Email outbox — every outgoing email is written here first and
+--  delivered by the server's worker with exponential backoff. Rows
+--  that exhaust their attempts stay as 'dead' for the admin to retry.
+--  Ticket emails are rendered at send time from registration_ids, so
+--  refunded tickets never go out and the PDFs aren't stored.
+-- ─────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id                    UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind                  TEXT NOT NULL,               -- tickets | transfer | resend | invite | password_reset | rsvp | notice | message
+  to_email              TEXT NOT NULL,
+  subject               TEXT NOT NULL,
+  html                  TEXT,                        -- prerendered body (NULL for ticket emails)
+  data                  JSONB,                       -- buildEmailHTML options for ticket emails
+  headers               JSONB,
+  event_slug            TEXT,
+  registration_ids      UUID[],                      -- tickets carried by the email
+  message_id            UUID,                        -- event_messages delivery this belongs to
+  message_recipient_id  UUID,
+  dedupe_key            TEXT UNIQUE,                 -- e.g. tickets:<order_id>; NULL = always send
+  status                TEXT NOT NULL DEFAULT 'pending',  -- pending | sending | sent | skipped | dead | cancelled
+  attempts              INT NOT NULL DEFAULT 0,
+  next_attempt_at       TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  locked_at             TIMESTAMP WITH TIME ZONE,
+  last_error            TEXT,
+  provider_id           TEXT,                        -- Resend email id
+  created_at            TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  sent_at               TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS email_outbox_due_idx ON email_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS email_outbox_event_idx ON email_outbox(event_slug, status);
+CREATE INDEX IF NOT EXISTS email_outbox_message_idx ON email_outbox(message_id, status);
+
+-- Delivery of the latest tickets email for each registration
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS email_status  TEXT;  -- queued | sent | failed
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS email_error   TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS email_sent_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON email_outbox
+  USING (auth.role() = 'service_role');
+
+-- ─────────────────────────────────────────────
+--  Service fees — { percent, fixed, absorb, tax_percent }, set by the
+--  superadmin per event or per promoter (event wins; neither = 8%
+--  passed on to the buyer). Each ticket keeps the amounts it was sold
+--  with, so changing a policy never rewrites past sales.
+-- ─────────────────────────────────────────────
+ALTER TABLE events   ADD COLUMN IF NOT EXISTS fee_policy JSONB;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS fee_policy JSONB;
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS service_fee  NUMERIC;  -- MXN per ticket, before tax
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS fee_tax      NUMERIC;  -- IVA on service_fee
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS amount_paid  NUMERIC;  -- what the buyer paid for this ticket
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS fee_absorbed BOOLEAN;  -- fee taken from the promoter's price
+
+-- ─────────────────────────────────────────────
+--  Stripe Connect payouts — promoters onboard an Express connected
+--  account; once it's active their sales are destination charges with
+--  the service fee + IVA kept as the application fee.
+--  stripe_connect_status: pending → restricted → active
+-- ─────────────────────────────────────────────
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS stripe_account_id        TEXT UNIQUE;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS stripe_connect_status    TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS stripe_payouts_enabled   BOOLEAN DEFAULT FALSE;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS stripe_connect_synced_at TIMESTAMP WITH TIME ZONE;
+
+-- Connected account the sale was transferred to; NULL = settled on the platform account
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS stripe_destination TEXT;
+
+-- ─────────────────────────────────────────────
+--  OXXO / SPEI — per-event opt-in on top of card (NULL = card only).
+--  An async order's tickets are stored as payment_status 'pending' while
+--  the voucher / transfer is open (its inventory hold keeps the seats), then
+--  become 'paid', or 'expired' when the payment fails or is overdue.
+-- ─────────────────────────────────────────────
+ALTER TABLE events ADD COLUMN IF NOT EXISTS payment_methods TEXT[];  -- subset of {card, oxxo, spei}
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS payment_method TEXT;                      -- oxxo | spei; NULL = card
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS payment_due_at TIMESTAMP WITH TIME ZONE;  -- pending only
+
+CREATE INDEX IF NOT EXISTS registrations_pending_idx ON registrations(payment_due_at) WHERE payment_status = 'pending';
+
+-- ─────────────────────────────────────────────
+--  Event teams — collaborators on one event besides its owner.
+--  role: co_promoter (edit + stats) | door_lead (door, no revenue) | viewer (read-only)
+--  Keyed by email so an invite works before the account exists; user_id is
+--  the account once known, accepted_at the member's first visit to the event.
+-- ─────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS event_members (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_slug   TEXT NOT NULL,
+  email        TEXT NOT NULL,                      -- lowercase
+  role         TEXT NOT NULL CHECK (role IN ('co_promoter', 'door_lead', 'viewer')),
+  user_id      UUID,
+  invited_by   UUID,                               -- profiles.id
+  invited_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  accepted_at  TIMESTAMP WITH TIME ZONE,
+  UNIQUE (event_slug, email)
+);
+
+CREATE INDEX IF NOT EXISTS event_members_email_idx ON event_members(email);
+
+ALTER TABLE event_members ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON event_members
+  USING (auth.role() = 'service_role');
+
+-- ─────────────────────────────────────────────
+--  Account lifecycle — superadmin can deactivate an account. The auth user
+--  is banned as well; this column also stops tokens issued before the ban.
+-- ─────────────────────────────────────────────
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP WITH TIME ZONE;
+
+-- ─────────────────────────────────────────────
+--  Audit log — who changed what in the admin, append-only.
+--  actor is the user's email, or the scanner label for door check-ins;
+--  actor_role is superadmin | promoter | owner | co_promoter | door_lead | scanner.
+--  action is '<target_type>.<verb>': event.update, ticket.refund, team.add…
+--  changes holds { field: { before, after } } for edits.
+-- ─────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS audit_log (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  actor_id     UUID,                               -- profiles.id; NULL for scanners
+  actor        TEXT,
+  actor_role   TEXT,
+  action       TEXT NOT NULL,
+  target_type  TEXT NOT NULL,
+  target_id    TEXT,
+  event_slug   TEXT,                               -- NULL for account-level actions
+  changes      JSONB,
+  details      JSONB,
+  ip           TEXT
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_event_idx   ON audit_log(event_slug, created_at DESC);
+
+-- Rows can be added, never changed or removed — not even by the service role
+CREATE OR REPLACE FUNCTION audit_log_append_only()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON audit_log
+  USING (auth.role() = 'service_role');
+
+-- ─────────────────────────────────────────────
+--  Promo code uses are reserved together with the checkout hold, so
+--  parallel checkouts can't go past max_uses. A hold that is released or
+--  lapses gives its use back; once the order is paid the use stays, and
+--  promo_redemptions makes that happen once per order.
+-- ─────────────────────────────────────────────
+ALTER TABLE inventory_holds ADD COLUMN IF NOT EXISTS promo_code_id UUID;  -- promo_codes.id whose use this hold reserves
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  order_id       TEXT PRIMARY KEY,                   -- registrations.order_id
+  promo_code_id  UUID NOT NULL,
+  created_at     TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role only" ON promo_redemptions
+  USING (auth.role() = 'service_role');
+
+-- Gives back the use a hold reserved. Converted holds keep it: that order was paid.
+CREATE OR REPLACE FUNCTION release_promo_code(p_hold_id UUID)
+RETURNS VOID LANGUAGE plpgsql AS $$
+DECLARE
+  v_promo UUID;
+BEGIN
+  SELECT promo_code_id INTO v_promo FROM inventory_holds
+   WHERE id = p_hold_id AND status <> 'converted' FOR UPDATE;
+  IF v_promo IS NULL THEN
+    RETURN;
+  END IF;
+  UPDATE inventory_holds SET promo_code_id = NULL WHERE id = p_hold_id;
+  UPDATE promo_codes SET uses = GREATEST(uses - 1, 0) WHERE id = v_promo;
+END;
+$$;
+
+-- Takes one use of the code for the hold. Returns FALSE when the code is used up,
+-- expired or switched off. Reserving the same code on the same hold again is a no-op.
+CREATE OR REPLACE FUNCTION reserve_promo_code(p_id UUID, p_hold_id UUID)
+RETURNS BOOLEAN LANGUAGE plpgsql AS $$
+DECLARE
+  v_current UUID;
+BEGIN
+  SELECT promo_code_id INTO v_current FROM inventory_holds WHERE id = p_hold_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+  IF v_current = p_id THEN
+    RETURN TRUE;
+  END IF;
+  IF v_current IS NOT NULL THEN
+    PERFORM release_promo_code(p_hold_id);
+  END IF;
+
+  UPDATE promo_codes SET uses = uses + 1
+   WHERE id = p_id AND active
+     AND (expires_at IS NULL OR expires_at > NOW())
+     AND (max_uses IS NULL OR uses < max_uses);
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+  UPDATE inventory_holds SET promo_code_id = p_id WHERE id = p_hold_id;
+  RETURN TRUE;
+END;
+$$;
+
+-- The order is paid: record the redemption once per order. The use reserved with
+-- its hold stays taken; if the hold lapsed first (or there was none) the use is
+-- taken now, even past max_uses — the buyer has already paid.
+DROP FUNCTION IF EXISTS redeem_promo_code(UUID);
+CREATE OR REPLACE FUNCTION redeem_promo_code(p_id UUID, p_order_id TEXT, p_hold_id UUID DEFAULT NULL)
+RETURNS VOID LANGUAGE plpgsql AS $$
+DECLARE
+  v_reserved UUID;
+BEGIN
+  INSERT INTO promo_redemptions (order_id, promo_code_id) VALUES (p_order_id, p_id)
+  ON CONFLICT (order_id) DO NOTHING;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+  IF p_hold_id IS NOT NULL THEN
+    SELECT promo_code_id INTO v_reserved FROM inventory_holds WHERE id = p_hold_id FOR UPDATE;
+  END IF;
+  IF v_reserved IS DISTINCT FROM p_id THEN
+    UPDATE promo_codes SET uses = uses + 1 WHERE id = p_id;
+  END IF;
+END;
+$$;
+
+-- Most holds lapse without anyone releasing them; the server sweeps their uses back
+CREATE OR REPLACE FUNCTION release_lapsed_promo_codes()
+RETURNS INT LANGUAGE plpgsql AS $$
+DECLARE
+  v_hold UUID;
+  v_count INT := 0;
+BEGIN
+  FOR v_hold IN
+    SELECT id FROM inventory_holds
+     WHERE promo_code_id IS NOT NULL AND status <> 'converted'
+       AND (status <> 'active' OR expires_at <= NOW())
+  LOOP
+    PERFORM release_promo_code(v_hold);
+    v_count := v_count + 1;
+  END LOOP;
+  RETURN v_count;
+END;
+$$;
+
+-- ─────────────────────────────────────────────
+--  Admin refunds claim their tickets as payment_status 'refunding' before
+--  calling Stripe, then settle them as 'refunded' (or put them back to
+--  'paid' when Stripe fails). A ticket mid-refund keeps its seat until it
+--  settles, and the charge.refunded webhook only touches 'paid' rows.
+-- ─────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION tier_tickets_in_use(p_event_slug TEXT, p_tier_id TEXT)
+RETURNS INT LANGUAGE sql STABLE AS $$
+  SELECT
+    (SELECT COUNT(*) FROM registrations
+      WHERE event_slug = p_event_slug AND tier_id = p_tier_id AND payment_status IN ('paid', 'refunding')
+        AND counts_capacity)::INT
+  + (SELECT COALESCE(SUM(quantity), 0) FROM inventory_holds
+      WHERE event_slug = p_event_slug AND tier_id = p_tier_id
+        AND status = 'active' AND expires_at > NOW())::INT;
+$$;
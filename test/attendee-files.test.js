@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { csvCell, parseCsv, findImportTier, checkImportRows } = require('../attendee-files');
+
+const TIERS = [{ id: 'ga', label: 'General' }, { id: 'vip', label: 'VIP Balcón' }];
+
+test('csvCell quotes separators and defuses cells Excel would run as formulas', () => {
+  assert.equal(csvCell('Ana, "la jefa"'), '"Ana, ""la jefa"""');
+  assert.equal(csvCell('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+  assert.equal(csvCell('-5'), "'-5");
+  assert.equal(csvCell(null), '');
+});
+
+test('parseCsv reads the semicolon files Excel saves in es-MX, quotes and BOM included', () => {
+  const text = '\ufeffNombre;Correo;Tier\r\n"Pérez; Ana";ana@example.com;vip\r\nLuis;"luis@example.com";\n';
+  assert.deepEqual(parseCsv(text), [
+    ['Nombre', 'Correo', 'Tier'],
+    ['Pérez; Ana', 'ana@example.com', 'vip'],
+    ['Luis', 'luis@example.com', '']
+  ]);
+});
+
+test('tiers match by id or by label, ignoring accents and case', () => {
+  assert.equal(findImportTier(TIERS, 'vip balcon').id, 'vip');
+  assert.equal(findImportTier(TIERS, 'ga').id, 'ga');
+  assert.equal(findImportTier(TIERS, 'Early'), undefined);
+});
+
+test('checkImportRows reports bad rows by spreadsheet row and counts tickets per tier', () => {
+  const table = [
+    ['Nombre completo', 'Correo electrónico', 'Tipo de acceso', 'Cantidad'],
+    ['Ana', 'ANA@example.com', 'VIP Balcón', '2'],
+    ['', '', '', ''],
+    ['Luis', 'luis@', '', ''],
+    ['Eva', 'eva@example.com', 'Early', '50'],
+    ['Sol', 'sol@example.com', '', '']
+  ];
+  const { total, valid, errors, requested } = checkImportRows(table, TIERS, TIERS[0]);
+  assert.equal(total, 4);
+  assert.deepEqual(valid.map(v => [v.row, v.email, v.tier.id, v.qty]), [[2, 'ana@example.com', 'vip', 2], [6, 'sol@example.com', 'ga', 1]]);
+  assert.deepEqual(errors, [
+    { row: 4, email: 'luis@', error: 'Correo no válido' },
+    { row: 5, email: 'eva@example.com', error: 'Tier "Early" no existe. Cantidad debe ser 1–20' }
+  ]);
+  assert.deepEqual(requested, { vip: 2, ga: 1 });
+});
+
+test('checkImportRows rejects a file without name and email columns or without rows', () => {
+  assert.match(checkImportRows([['Tier', 'Cantidad'], ['ga', '1']], TIERS, null).error, /nombre.*correo/);
+  assert.equal(checkImportRows([['Nombre', 'Correo']], TIERS, null).error, 'El archivo no tiene filas.');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateEventInput, checkEventRules, checkTierChanges } = require('../event-schema');
+
+const tier = (id, extra = {}) => ({ id, label: id.toUpperCase(), price: 500, capacity: 100, ...extra });
+
+test('field errors come back keyed by path with a summary naming the tier', () => {
+  const result = validateEventInput({ slug: 'noche', name: 'Noche', tiers: [tier('ga'), tier('vip', { price: -1 })] });
+  assert.deepEqual(result.fields, { 'tiers.1.price': 'No puede ser negativo.' });
+  assert.equal(result.error, 'Tier 2 · Precio: no puede ser negativo.');
+});
+
+test('only the schema fields reach the row, and permission fields follow the role', () => {
+  const { row } = validateEventInput({ name: 'Noche', user_id: 'someone-else', fee_policy: {} }, { partial: true });
+  assert.deepEqual(row, { name: 'Noche' });
+
+  const denied = validateEventInput({ published: true }, { partial: true, can: permission => permission !== 'manage' });
+  assert.equal(denied.fields.published, 'Solo el dueño del evento puede cambiarlo.');
+});
+
+test('checkEventRules reads wall-clock dates in the event zone and rejects an end before the start', () => {
+  const event = { starts_at: '2026-12-31T22:00', ends_at: '2027-01-01T04:00', timezone: 'America/Mexico_City' };
+  assert.equal(checkEventRules(event), null);
+  assert.equal(event.starts_at, '2027-01-01T04:00:00.000Z');
+
+  const backwards = { starts_at: '2026-12-31T22:00', ends_at: '2026-12-31T21:00' };
+  assert.deepEqual(checkEventRules(backwards), {
+    error: 'La fecha de fin debe ser posterior al inicio.',
+    fields: { ends_at: 'La fecha de fin debe ser posterior al inicio.' }
+  });
+});
+
+test('checkEventRules keys tier and payment method problems by path', () => {
+  const loop = checkEventRules({ tiers: [tier('a', { opens_after: 'b' }), tier('b', { opens_after: 'a' })] });
+  assert.deepEqual(Object.keys(loop.fields), ['tiers.0.opens_after']);
+
+  const limits = checkEventRules({ tiers: [tier('ga', { min_per_order: 6, max_per_order: 2 })] });
+  assert.deepEqual(Object.keys(limits.fields), ['tiers.0.min_per_order']);
+
+  assert.deepEqual(checkEventRules({ payment_methods: ['oxxo', 'bitcoin'] }).fields, {
+    payment_methods: 'Método de pago no válido: bitcoin.'
+  });
+  const methods = { payment_methods: 'spei, OXXO' };
+  assert.equal(checkEventRules(methods), null);
+  assert.deepEqual(methods.payment_methods, ['card', 'oxxo', 'spei']);
+});
+
+test('checkTierChanges refuses a capacity below what a tier already sold', async () => {
+  const counts = { issued: async () => 0, sold: async id => (id === 'vip' ? 30 : 0) };
+  const problem = await checkTierChanges([tier('ga'), tier('vip')], [tier('ga', { capacity: 10 }), tier('vip', { capacity: 20 })], counts);
+  assert.deepEqual(problem, {
+    error: 'VIP: ya se vendieron 30 boletos, la capacidad no puede ser menor.',
+    fields: { 'tiers.1.capacity': 'Ya se vendieron 30; la capacidad no puede ser menor.' }
+  });
+
+  assert.equal(await checkTierChanges([tier('vip')], [tier('vip', { capacity: 30 })], counts), null);
+});
+
+test('checkTierChanges refuses to drop a tier that has tickets but lets an empty one go', async () => {
+  const counts = { issued: async id => (id === 'vip' ? 1 : 0), sold: async () => 0 };
+  const problem = await checkTierChanges([tier('ga'), tier('vip'), tier('early')], [tier('ga')], counts);
+  assert.deepEqual(problem, { error: 'VIP ya tiene 1 boleto; no se puede eliminar.', fields: {} });
+
+  assert.equal(await checkTierChanges([tier('ga'), tier('early')], [tier('ga')], counts), null);
+});
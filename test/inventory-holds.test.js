@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('crypto');
+const { createDb, rpc, insertRegistration } = require('./support/db');
+
+let db;
+test.before(async () => { db = await createDb(); });
+test.after(() => db.close());
+
+const inMinutes = m => new Date(Date.now() + m * 60_000).toISOString();
+
+function hold(tier, quantity, capacity, expiresAt = inMinutes(31)) {
+  return rpc(db, 'create_inventory_hold', {
+    p_event_slug: 'noche', p_tier_id: tier, p_quantity: quantity, p_capacity: capacity, p_expires_at: expiresAt
+  });
+}
+
+function sell(tier, fields = {}) {
+  return insertRegistration(db, {
+    id: randomUUID(), name: 'Ana', student_name: 'Noche — General', email: 'ana@example.com',
+    event_slug: 'noche', tier_id: tier, payment_status: 'paid', ...fields
+  });
+}
+
+test('parallel checkouts never hold more than the tier capacity', async () => {
+  const results = await Promise.all(Array.from({ length: 12 }, () => hold('rush', 2, 15)));
+  const granted = results.filter(Boolean);
+  assert.equal(granted.length, 7);
+  assert.equal(await rpc(db, 'tier_tickets_in_use', { p_event_slug: 'noche', p_tier_id: 'rush' }), 14);
+  // One seat left: a single ticket still fits, two don't
+  assert.equal(await hold('rush', 2, 15), null);
+  assert.ok(await hold('rush', 1, 15));
+});
+
+test('sold tickets count against capacity; voided and out-of-capacity comps do not', async () => {
+  await sell('mixed');
+  await sell('mixed', { payment_status: 'refunding' });
+  await sell('mixed', { payment_status: 'refunded' });
+  await sell('mixed', { payment_status: 'void' });
+  await sell('mixed', { counts_capacity: false });
+  assert.equal(await rpc(db, 'tier_tickets_in_use', { p_event_slug: 'noche', p_tier_id: 'mixed' }), 2);
+  assert.equal(await hold('mixed', 2, 3), null);
+  assert.ok(await hold('mixed', 1, 3));
+});
+
+test('expired and released holds give their seats back', async () => {
+  await hold('lapse', 3, 4, inMinutes(-1));
+  const released = await hold('lapse', 1, 4);
+  await db.query(`UPDATE inventory_holds SET status = 'released' WHERE id = $1`, [released]);
+  assert.ok(await hold('lapse', 4, 4));
+});
+
+test('a late payment reclaims its lapsed hold only while the tier has room', async () => {
+  const late = await hold('late', 2, 3, inMinutes(-1));
+  const other = await hold('late', 2, 3);
+  assert.ok(other);
+  assert.equal(await rpc(db, 'reclaim_inventory_hold', { p_hold_id: late, p_capacity: 3, p_expires_at: inMinutes(5) }), false);
+
+  await db.query(`UPDATE inventory_holds SET status = 'released' WHERE id = $1`, [other]);
+  assert.equal(await rpc(db, 'reclaim_inventory_hold', { p_hold_id: late, p_capacity: 3, p_expires_at: inMinutes(5) }), true);
+  assert.equal(await rpc(db, 'tier_tickets_in_use', { p_event_slug: 'noche', p_tier_id: 'late' }), 2);
+});
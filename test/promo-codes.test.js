@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('crypto');
+const { createDb, rpc } = require('./support/db');
+
+let db;
+test.before(async () => { db = await createDb(); });
+test.after(() => db.close());
+
+async function promo(fields = {}) {
+  const { rows: [row] } = await db.query(
+    `INSERT INTO promo_codes (event_slug, code, kind, value, max_uses, expires_at, active)
+     VALUES ('noche', $1, 'percent', 20, $2, $3, $4) RETURNING id`,
+    [randomUUID().slice(0, 8).toUpperCase(), fields.max_uses ?? null, fields.expires_at ?? null, fields.active ?? true]
+  );
+  return row.id;
+}
+
+async function hold(minutes = 30) {
+  const { rows: [row] } = await db.query(
+    `INSERT INTO inventory_holds (event_slug, tier_id, quantity, expires_at)
+     VALUES ('noche', 'general', 1, NOW() + make_interval(mins => $1)) RETURNING id`,
+    [minutes]
+  );
+  return row.id;
+}
+
+async function uses(promoId) {
+  const { rows: [row] } = await db.query('SELECT uses FROM promo_codes WHERE id = $1', [promoId]);
+  return row.uses;
+}
+
+test('parallel checkouts never reserve more uses than max_uses', async () => {
+  const id = await promo({ max_uses: 3 });
+  const holds = await Promise.all(Array.from({ length: 8 }, () => hold()));
+  const reserved = await Promise.all(holds.map(h => rpc(db, 'reserve_promo_code', { p_id: id, p_hold_id: h })));
+  assert.equal(reserved.filter(Boolean).length, 3);
+  assert.equal(await uses(id), 3);
+});
+
+test('reserving again on the same hold does not take a second use', async () => {
+  const id = await promo({ max_uses: 5 });
+  const h = await hold();
+  assert.equal(await rpc(db, 'reserve_promo_code', { p_id: id, p_hold_id: h }), true);
+  assert.equal(await rpc(db, 'reserve_promo_code', { p_id: id, p_hold_id: h }), true);
+  assert.equal(await uses(id), 1);
+});
+
+test('expired or inactive codes cannot be reserved', async () => {
+  const expired = await promo({ expires_at: new Date(Date.now() - 60_000).toISOString() });
+  const off = await promo({ active: false });
+  assert.equal(await rpc(db, 'reserve_promo_code', { p_id: expired, p_hold_id: await hold() }), false);
+  assert.equal(await rpc(db, 'reserve_promo_code', { p_id: off, p_hold_id: await hold() }), false);
+});
+
+test('releasing a hold gives its use back once', async () => {
+  const id = await promo({ max_uses: 1 });
+  const h = await hold();
+  await rpc(db, 'reserve_promo_code', { p_id: id, p_hold_id: h });
+  await rpc(db, 'release_promo_code', { p_hold_id: h });
+  await rpc(db, 'release_promo_code', { p_hold_id: h });
+  assert.equal(await uses(id), 0);
+  assert.equal(await rpc(db, 'reserve_promo_code', { p_id: id, p_hold_id: await hold() }), true);
+});
+
+test('lapsed holds are swept back, live and converted ones are not', async () => {
+  const id = await promo();
+  const lapsed = await hold(-1);
+  const live = await hold();
+  const converted = await hold(-1);
+  for (const h of [lapsed, live, converted]) await rpc(db, 'reserve_promo_code', { p_id: id, p_hold_id: h });
+  await db.query(`UPDATE inventory_holds SET status = 'converted' WHERE id = $1`, [converted]);
+
+  await rpc(db, 'release_lapsed_promo_codes', {});
+  assert.equal(await uses(id), 2);
+});
+
+test('redeeming an order keeps its reserved use and counts once per order', async () => {
+  const id = await promo({ max_uses: 2 });
+  const h = await hold();
+  const order = randomUUID();
+  await rpc(db, 'reserve_promo_code', { p_id: id, p_hold_id: h });
+  await db.query(`UPDATE inventory_holds SET status = 'converted' WHERE id = $1`, [h]);
+
+  await rpc(db, 'redeem_promo_code', { p_id: id, p_order_id: order, p_hold_id: h });
+  await rpc(db, 'redeem_promo_code', { p_id: id, p_order_id: order, p_hold_id: h });
+  await rpc(db, 'release_promo_code', { p_hold_id: h });
+  assert.equal(await uses(id), 1);
+});
+
+test('an order paid after its hold lapsed still counts its use', async () => {
+  const id = await promo({ max_uses: 1 });
+  const h = await hold(-1);
+  await rpc(db, 'reserve_promo_code', { p_id: id, p_hold_id: h });
+  await rpc(db, 'release_lapsed_promo_codes', {});
+  assert.equal(await uses(id), 0);
+
+  await rpc(db, 'redeem_promo_code', { p_id: id, p_order_id: randomUUID(), p_hold_id: h });
+  assert.equal(await uses(id), 1);
+});
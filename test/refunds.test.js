@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { refundAmountCents } = require('../refunds');
+
+const PI = 'pi_123';
+const ticket = (id, fields = {}) => ({ id, payment_status: 'paid', stripe_payment_intent: PI, amount_paid: 702, ...fields });
+const noIntent = () => assert.fail('the charge total should not be needed');
+
+test('cancelling every ticket still paid refunds whatever is left on the charge', async () => {
+  const order = [ticket('a'), ticket('b'), ticket('c', { payment_status: 'refunded' })];
+  assert.equal(await refundAmountCents({ toCancel: order.slice(0, 2), order, paymentIntent: PI, intentAmount: noIntent }), null);
+});
+
+test('part of an order refunds what those tickets paid, in cents', async () => {
+  const order = [ticket('a', { amount_paid: 702.35 }), ticket('b', { amount_paid: 702.35 }), ticket('c')];
+  assert.equal(await refundAmountCents({ toCancel: order.slice(0, 2), order, paymentIntent: PI, intentAmount: noIntent }), 140470);
+});
+
+test('tickets without stored amounts share the charge among every ticket it paid for', async () => {
+  const order = ['a', 'b', 'c', 'd'].map(id => ticket(id, { amount_paid: null }));
+  order[3].payment_status = 'refunded';
+  // 1000.00 over 4 tickets, one already refunded: cancelling one more returns a quarter
+  const cents = await refundAmountCents({ toCancel: [order[0]], order, paymentIntent: PI, intentAmount: async () => 100000 });
+  assert.equal(cents, 25000);
+});
+
+test('an uneven charge rounds each share down', async () => {
+  const order = ['a', 'b', 'c'].map(id => ticket(id, { amount_paid: null }));
+  const cents = await refundAmountCents({ toCancel: order.slice(0, 2), order, paymentIntent: PI, intentAmount: async () => 100000 });
+  assert.equal(cents, 33333 * 2);
+});
+
+test('tickets mid-refund or on another charge count correctly in the split', async () => {
+  const order = [
+    ticket('a', { amount_paid: null }),
+    ticket('b', { amount_paid: null }),
+    ticket('c', { amount_paid: null, payment_status: 'refunding' }),
+    ticket('d', { amount_paid: null, stripe_payment_intent: 'pi_other' })
+  ];
+  const cents = await refundAmountCents({ toCancel: [order[0]], order, paymentIntent: PI, intentAmount: async () => 90000 });
+  assert.equal(cents, 30000);
+});
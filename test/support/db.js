@@ -0,0 +1,68 @@
+// ─────────────────────────────────────────────
+//  In-process Postgres (PGlite) loaded with supabase-schema.sql, so the
+//  SQL functions the server calls through supabase.rpc() run for real.
+//  The schema file is a migration on top of the original Supabase project;
+//  BASE recreates what that project already had (auth.role(), profiles,
+//  events and the first registrations columns).
+// ─────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+
+const BASE = `
+  CREATE SCHEMA auth;
+  CREATE FUNCTION auth.role() RETURNS TEXT LANGUAGE sql AS $$ SELECT 'service_role' $$;
+
+  CREATE TABLE profiles (
+    id    UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT,
+    role  TEXT
+  );
+
+  CREATE TABLE events (
+    id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    slug       TEXT UNIQUE NOT NULL,
+    name       TEXT,
+    tiers      JSONB NOT NULL DEFAULT '[]',
+    published  BOOLEAN DEFAULT FALSE,
+    user_id    UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+`;
+
+const LEGACY_REGISTRATION_COLUMNS = `
+  ALTER TABLE registrations ADD COLUMN phone          TEXT;
+  ALTER TABLE registrations ADD COLUMN event_slug     TEXT;
+  ALTER TABLE registrations ADD COLUMN payment_status TEXT;
+`;
+
+async function createDb() {
+  const { PGlite } = await import('@electric-sql/pglite');
+  const db = new PGlite();
+  const schema = fs.readFileSync(path.join(__dirname, '..', '..', 'supabase-schema.sql'), 'utf8');
+  // Columns the original table gained outside this file must exist before the migrations index them
+  const cut = schema.indexOf('-- Optional: prevent duplicate emails');
+  if (cut < 0) throw new Error('supabase-schema.sql: registrations preamble not found');
+  await db.exec(BASE);
+  await db.exec(schema.slice(0, cut) + LEGACY_REGISTRATION_COLUMNS);
+  // Long gone in production: one email buys many tickets
+  await db.exec(schema.slice(cut).replace(/CREATE UNIQUE INDEX registrations_email_unique[^;]*;/, ''));
+  return db;
+}
+
+// supabase.rpc() equivalent: positional call with named parameters
+async function rpc(db, fn, params) {
+  const names = Object.keys(params);
+  const args = names.map((n, i) => `${n} => $${i + 1}`).join(', ');
+  const { rows } = await db.query(`SELECT ${fn}(${args}) AS result`, names.map(n => params[n]));
+  return rows[0].result;
+}
+
+async function insertRegistration(db, row) {
+  const cols = Object.keys(row);
+  await db.query(
+    `INSERT INTO registrations (${cols.join(', ')}) VALUES (${cols.map((_, i) => `$${i + 1}`).join(', ')})`,
+    cols.map(c => row[c])
+  );
+}
+
+module.exports = { createDb, rpc, insertRegistration };
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// k2 signs, k1 is an older key that still verifies; QR_SECRET keyed the pre-rotation format
+process.env.QR_KEYS = 'k2:second-secret-0123456789abcdef,k1:first-secret-0123456789abcdef';
+process.env.QR_SECRET = 'legacy-secret-0123456789abcdef';
+const {
+  signTicket, verifyTicket, qrPayloadHashes, signLinkToken, verifyLinkToken, linkTokenExpired
+} = require('../ticket-signing');
+
+const TICKET = '3f2b8c1e-9a4d-4e6f-b1c2-7d8e9f0a1b2c';
+const hmac = (secret, encoding) => crypto.createHmac('sha256', secret).update(`${TICKET}|noche`).digest(encoding);
+
+test('new tickets are signed with the first key and verify for their event only', () => {
+  const payload = signTicket(TICKET, 'noche');
+  assert.match(payload, new RegExp(`^${TICKET}\\|k2\\|[A-Za-z0-9_-]+$`));
+  assert.deepEqual(verifyTicket(payload, 'noche'), { ticketId: TICKET, signed: true, valid: true, kid: 'k2' });
+  assert.equal(verifyTicket(payload, 'otra-noche').valid, false);
+});
+
+test('tickets signed with an older listed key still verify', () => {
+  const payload = `${TICKET}|k1|${hmac('first-secret-0123456789abcdef', 'base64url')}`;
+  assert.deepEqual(verifyTicket(payload, 'noche'), { ticketId: TICKET, signed: true, valid: true, kid: 'k1' });
+});
+
+test('a tampered signature or an unknown key id is rejected', () => {
+  const [id, kid, sig] = signTicket(TICKET, 'noche').split('|');
+  const flipped = (sig[0] === 'A' ? 'B' : 'A') + sig.slice(1);
+  assert.equal(verifyTicket(`${id}|${kid}|${flipped}`, 'noche').valid, false);
+  assert.equal(verifyTicket(`${id}|k9|${sig}`, 'noche').valid, false);
+  assert.equal(verifyTicket(`${id}|${kid}`, 'noche').valid, false);
+});
+
+test('legacy two-part payloads verify against QR_SECRET', () => {
+  const legacy = `${TICKET}|${hmac('legacy-secret-0123456789abcdef', 'hex').slice(0, 24)}`;
+  assert.deepEqual(verifyTicket(legacy, 'noche'), { ticketId: TICKET, signed: true, valid: true, kid: null });
+  const wrongKey = `${TICKET}|${hmac('second-secret-0123456789abcdef', 'hex').slice(0, 24)}`;
+  assert.equal(verifyTicket(wrongKey, 'noche').valid, false);
+});
+
+test('a bare ticket id is accepted as unsigned', () => {
+  assert.deepEqual(verifyTicket(`  ${TICKET}\n`, 'noche'), { ticketId: TICKET, signed: false, valid: true });
+});
+
+test('payloads that are not tickets are recognised as such', () => {
+  for (const junk of ['', null, 'hello', `${TICKET}|a|b|c`, 'https://example.com']) {
+    assert.deepEqual(verifyTicket(junk, 'noche'), { ticketId: null, signed: false, valid: false });
+  }
+});
+
+test('the offline manifest hashes exactly the payloads that verify', () => {
+  const accepted = [
+    signTicket(TICKET, 'noche'),
+    `${TICKET}|k1|${hmac('first-secret-0123456789abcdef', 'base64url')}`,
+    `${TICKET}|${hmac('legacy-secret-0123456789abcdef', 'hex').slice(0, 24)}`
+  ];
+  const sha = p => crypto.createHash('sha256').update(p).digest('hex').slice(0, 32);
+  assert.deepEqual(qrPayloadHashes(TICKET, 'noche').sort(), accepted.map(sha).sort());
+});
+
+test('link tokens round-trip for their own purpose only', () => {
+  const token = signLinkToken('rsvp', { order_id: 'o1', exp: Date.now() + 60_000 });
+  assert.equal(verifyLinkToken('rsvp', token).order_id, 'o1');
+  for (const purpose of ['manage', 'waitlist', 'unsubscribe']) assert.equal(verifyLinkToken(purpose, token), null);
+});
+
+test('a link token with an edited payload or signature is rejected', () => {
+  const [body, sig] = signLinkToken('manage', { o: 'o1' }).split('.');
+  const forged = Buffer.from(JSON.stringify({ o: 'o2' })).toString('base64url');
+  assert.equal(verifyLinkToken('manage', `${forged}.${sig}`), null);
+  assert.equal(verifyLinkToken('manage', `${body}.${'0'.repeat(sig.length)}`), null);
+  assert.equal(verifyLinkToken('manage', body), null);
+  assert.equal(verifyLinkToken('manage', undefined), null);
+});
+
+test('link tokens signed with an older listed key still verify', () => {
+  const body = Buffer.from(JSON.stringify({ w: 'w1' })).toString('base64url');
+  const sig = crypto.createHmac('sha256', 'first-secret-0123456789abcdef').update(`waitlist:${body}`).digest('hex').slice(0, 32);
+  assert.deepEqual(verifyLinkToken('waitlist', `${body}.${sig}`), { w: 'w1' });
+});
+
+test('expired links are recognised, as are ones that never carried an expiry', () => {
+  const now = Date.now();
+  const expired = verifyLinkToken('waitlist', signLinkToken('waitlist', { w: 'w1', exp: now - 1 }));
+  const live = verifyLinkToken('waitlist', signLinkToken('waitlist', { w: 'w1', exp: now + 60_000 }));
+  assert.equal(linkTokenExpired(expired, now), true);
+  assert.equal(linkTokenExpired(live, now), false);
+  assert.equal(linkTokenExpired({ w: 'w1' }, now), true);
+});
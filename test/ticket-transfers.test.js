@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('crypto');
+const { createDb, rpc, insertRegistration } = require('./support/db');
+
+const ORDER_ID = randomUUID();
+let db;
+test.before(async () => { db = await createDb(); });
+test.after(() => db.close());
+
+async function paidTicket(overrides = {}) {
+  const id = randomUUID();
+  await insertRegistration(db, {
+    id, name: 'Ana López', student_name: 'Noche Caballeros — General', email: 'ana@example.com',
+    event_slug: 'noche', tier_id: 'general', payment_status: 'paid',
+    order_id: ORDER_ID, ...overrides
+  });
+  return id;
+}
+
+test('transfer_ticket retires the old row, issues the new one and logs it', async () => {
+  const oldId = await paidTicket();
+  const newId = randomUUID();
+
+  const moved = await rpc(db, 'transfer_ticket', {
+    p_ticket_id: oldId, p_new_id: newId, p_to_name: 'Beto Ruiz', p_to_email: 'beto@example.com'
+  });
+  assert.equal(moved, true);
+
+  const { rows: [before] } = await db.query('SELECT * FROM registrations WHERE id = $1', [oldId]);
+  assert.equal(before.payment_status, 'transferred');
+  assert.equal(before.transferred_to, newId);
+
+  const { rows: [after] } = await db.query('SELECT * FROM registrations WHERE id = $1', [newId]);
+  assert.equal(after.payment_status, 'paid');
+  assert.equal(after.attendee_name, 'Beto Ruiz');
+  assert.equal(after.email, 'ana@example.com');
+  assert.equal(after.order_id, ORDER_ID);
+  assert.equal(after.transferred_from, oldId);
+
+  const { rows: [log] } = await db.query('SELECT * FROM ticket_transfers WHERE from_ticket_id = $1', [oldId]);
+  assert.equal(log.order_id, ORDER_ID);
+  assert.equal(log.from_name, 'Ana López');
+  assert.equal(log.to_email, 'beto@example.com');
+});
+
+test('transfer_ticket refuses a ticket that was already used or moved', async () => {
+  const scanned = await paidTicket({ checked_in: true });
+  assert.equal(await rpc(db, 'transfer_ticket', {
+    p_ticket_id: scanned, p_new_id: randomUUID(), p_to_name: 'X', p_to_email: 'x@example.com'
+  }), false);
+
+  const once = await paidTicket();
+  await rpc(db, 'transfer_ticket', { p_ticket_id: once, p_new_id: randomUUID(), p_to_name: 'X', p_to_email: 'x@example.com' });
+  assert.equal(await rpc(db, 'transfer_ticket', {
+    p_ticket_id: once, p_new_id: randomUUID(), p_to_name: 'Y', p_to_email: 'y@example.com'
+  }), false);
+});
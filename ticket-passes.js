@@ -0,0 +1,330 @@
+// ─────────────────────────────────────────────
+//  TICKET PASSES
+//  Every format a ticket is delivered in — QR image, branded PDF, Apple Wallet
+//  .pkpass, Google Wallet save link and .ics calendar invite — built in one
+//  place, so the purchase, resend and transfer emails and the download routes
+//  all hand out the same ticket. Callers pass the already-signed QR payload;
+//  nothing here touches the database.
+//
+//  Wallet passes are optional: without their credentials in the environment
+//  the .pkpass / Google link are simply left out.
+// ─────────────────────────────────────────────
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const { PKPass } = require('passkit-generator');
+
+const QR_OPTIONS = { width: 300, margin: 2, color: { dark: '#080808', light: '#ffffff' } };
+const BANNER_TTL_MS = 10 * 60 * 1000;
+const BANNER_MAX_BYTES = 5 * 1024 * 1024;
+
+// PEM blocks in env vars usually arrive with escaped newlines
+const pem = value => (value || '').replace(/\\n/g, '\n');
+
+const APPLE = {
+  passTypeId: process.env.APPLE_WALLET_PASS_TYPE_ID,
+  teamId: process.env.APPLE_WALLET_TEAM_ID,
+  certificates: {
+    wwdr: pem(process.env.APPLE_WALLET_WWDR_CERT),
+    signerCert: pem(process.env.APPLE_WALLET_CERT),
+    signerKey: pem(process.env.APPLE_WALLET_KEY),
+    signerKeyPassphrase: process.env.APPLE_WALLET_KEY_PASSPHRASE || undefined
+  }
+};
+const GOOGLE = {
+  issuerId: process.env.GOOGLE_WALLET_ISSUER_ID,
+  serviceAccount: process.env.GOOGLE_WALLET_SERVICE_ACCOUNT_EMAIL,
+  privateKey: pem(process.env.GOOGLE_WALLET_PRIVATE_KEY)
+};
+
+const appleWalletEnabled = Boolean(APPLE.passTypeId && APPLE.teamId && APPLE.certificates.wwdr && APPLE.certificates.signerCert && APPLE.certificates.signerKey);
+const googleWalletEnabled = Boolean(GOOGLE.issuerId && GOOGLE.serviceAccount && GOOGLE.privateKey);
+
+const WALLET_ICONS = Object.fromEntries(
+  ['icon.png', 'icon@2x.png', 'icon@3x.png'].map(f => [f, fs.readFileSync(path.join(__dirname, 'assets', 'wallet', f))])
+);
+
+// event: { slug, name, url?, date_label?, time_label?, venue?, city?, address?, banner_url?, starts_at?, ends_at? }
+// ticket: { id, payload, attendee?, tier? } — payload is the signed QR string
+const whenLabel = event => [event.date_label, event.time_label].filter(Boolean).join(' · ');
+const whereLabel = event => [event.venue, event.city].filter(Boolean).join(', ');
+
+async function ticketQR(payload) {
+  const [dataURL, buffer] = await Promise.all([
+    QRCode.toDataURL(payload, QR_OPTIONS),
+    QRCode.toBuffer(payload, QR_OPTIONS)
+  ]);
+  return { dataURL, buffer };
+}
+
+// ── BANNER ──
+// PDFKit only embeds JPEG and PNG; anything else (webp, gif) prints without a banner.
+const bannerCache = new Map();   // url → { at, image: Promise<Buffer|null> }
+
+function isEmbeddableImage(buf) {
+  return (buf[0] === 0xff && buf[1] === 0xd8) ||                               // JPEG
+    (buf[0] === 0x89 && buf.slice(1, 4).toString() === 'PNG');                 // PNG
+}
+
+async function fetchBanner(url) {
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    if (!res.ok) return null;
+    const buf = Buffer.from(await res.arrayBuffer());
+    return buf.length <= BANNER_MAX_BYTES && isEmbeddableImage(buf) ? buf : null;
+  } catch (err) {
+    console.error('Ticket banner fetch error:', err.message);
+    return null;
+  }
+}
+
+function loadBanner(url) {
+  if (!url) return Promise.resolve(null);
+  const cached = bannerCache.get(url);
+  if (cached && Date.now() - cached.at < BANNER_TTL_MS) return cached.image;
+  if (bannerCache.size >= 50) bannerCache.delete(bannerCache.keys().next().value);
+  const image = fetchBanner(url);
+  bannerCache.set(url, { at: Date.now(), image });
+  return image;
+}
+
+// ── PDF ──
+function renderTicketPDF(event, ticket, { qrBuffer, banner = null, label = null }) {
+  return new Promise((resolve, reject) => {
+    const W = 360, H = 640, PAD = 28;
+    const doc = new PDFDocument({ size: [W, H], margin: 0, info: { Title: `${event.name} — Boleto`, Author: 'Colectivo' } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.rect(0, 0, W, H).fill('#080808');
+
+    let y = 0;
+    if (banner) {
+      try {
+        doc.save();
+        doc.rect(0, 0, W, 150).clip();
+        doc.image(banner, 0, 0, { cover: [W, 150], align: 'center', valign: 'center' });
+        doc.restore();
+        y = 150;
+      } catch (err) {
+        doc.restore();
+        console.error('Ticket banner render error:', err.message);
+      }
+    }
+    doc.rect(0, y, W, 3).fill('#FF3B1F');
+    y += 24;
+
+    doc.font('Courier').fontSize(8).fillColor('#FF3B1F')
+      .text(`// COLECTIVO PRESENTA${label ? ` · ${label.toUpperCase()}` : ''}`, PAD, y, { characterSpacing: 2 });
+    y = doc.y + 6;
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#f5f0e8')
+      .text(event.name.toUpperCase(), PAD, y, { width: W - PAD * 2, height: 56, ellipsis: true });
+    y = doc.y + 12;
+
+    const details = [
+      ['Fecha', whenLabel(event)],
+      ['Lugar', whereLabel(event)],
+      ['Acceso', ticket.tier],
+      ['Asistente', ticket.attendee]
+    ].filter(([, value]) => value);
+    for (const [key, value] of details) {
+      doc.font('Courier').fontSize(7).fillColor('#666666').text(key.toUpperCase(), PAD, y, { characterSpacing: 2 });
+      doc.font('Helvetica').fontSize(11).fillColor('#f5f0e8')
+        .text(value, PAD, doc.y + 2, { width: W - PAD * 2, height: 28, ellipsis: true });
+      y = doc.y + 8;
+    }
+
+    const qrSize = 180;
+    const qrY = Math.max(y + 8, H - qrSize - 70);
+    doc.rect((W - qrSize) / 2 - 8, qrY - 8, qrSize + 16, qrSize + 16).fill('#FF3B1F');
+    doc.image(qrBuffer, (W - qrSize) / 2, qrY, { width: qrSize, height: qrSize });
+
+    doc.font('Courier').fontSize(7).fillColor('#444444')
+      .text(`ID: ${ticket.id}`, PAD, qrY + qrSize + 20, { width: W - PAD * 2, align: 'center' });
+    doc.font('Courier').fontSize(7).fillColor('#444444')
+      .text('PRESENTA ESTE QR EN LA ENTRADA · COLECTIVO.LIVE', PAD, doc.y + 4, { width: W - PAD * 2, align: 'center', characterSpacing: 1 });
+
+    doc.end();
+  });
+}
+
+// ── APPLE WALLET ──
+async function renderPkpass(event, ticket) {
+  if (!appleWalletEnabled) return null;
+  const passJson = {
+    formatVersion: 1,
+    passTypeIdentifier: APPLE.passTypeId,
+    teamIdentifier: APPLE.teamId,
+    serialNumber: ticket.id,
+    organizationName: 'Colectivo',
+    description: `Boleto — ${event.name}`,
+    backgroundColor: 'rgb(8, 8, 8)',
+    foregroundColor: 'rgb(245, 240, 232)',
+    labelColor: 'rgb(255, 59, 31)',
+    eventTicket: {
+      primaryFields: [{ key: 'event', label: 'EVENTO', value: event.name }],
+      secondaryFields: [
+        ticket.attendee && { key: 'attendee', label: 'ASISTENTE', value: ticket.attendee },
+        ticket.tier && { key: 'tier', label: 'ACCESO', value: ticket.tier }
+      ].filter(Boolean),
+      auxiliaryFields: [
+        whenLabel(event) && { key: 'date', label: 'FECHA', value: whenLabel(event) },
+        whereLabel(event) && { key: 'venue', label: 'LUGAR', value: whereLabel(event) }
+      ].filter(Boolean),
+      backFields: [{ key: 'id', label: 'ID DEL BOLETO', value: ticket.id }]
+    },
+    barcodes: [{ format: 'PKBarcodeFormatQR', message: ticket.payload, messageEncoding: 'iso-8859-1', altText: ticket.id.slice(0, 8) }],
+    // Surfaces the pass on the lock screen around the event
+    ...(event.starts_at && { relevantDate: new Date(event.starts_at).toISOString() })
+  };
+  const pass = new PKPass(
+    { ...WALLET_ICONS, 'pass.json': Buffer.from(JSON.stringify(passJson)) },
+    APPLE.certificates
+  );
+  return pass.getAsBuffer();
+}
+
+// ── GOOGLE WALLET ──
+// A "save to wallet" JWT carries both the event class and the ticket object,
+// so nothing has to be pre-created through the Wallet API.
+const walletId = value => `${GOOGLE.issuerId}.${String(value).replace(/[^\w.-]/g, '_')}`;
+const localized = value => ({ defaultValue: { language: 'es-MX', value } });
+const b64url = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+function googleWalletUrl(event, ticket) {
+  if (!googleWalletEnabled) return null;
+  const classId = walletId(`event-${event.slug}`);
+  const eventClass = {
+    id: classId,
+    issuerName: 'Colectivo',
+    eventName: localized(event.name),
+    reviewStatus: 'UNDER_REVIEW',
+    hexBackgroundColor: '#080808',
+    ...(event.venue && { venue: { name: localized(event.venue), address: localized(whereLabel(event)) } }),
+    ...(event.banner_url && { heroImage: { sourceUri: { uri: event.banner_url } } }),
+    ...(event.starts_at && {
+      dateTime: {
+        start: new Date(event.starts_at).toISOString(),
+        ...(event.ends_at && { end: new Date(event.ends_at).toISOString() })
+      }
+    })
+  };
+  const ticketObject = {
+    id: walletId(ticket.id),
+    classId,
+    state: 'ACTIVE',
+    barcode: { type: 'QR_CODE', value: ticket.payload, alternateText: ticket.id.slice(0, 8) },
+    ...(ticket.attendee && { ticketHolderName: ticket.attendee }),
+    ...(ticket.tier && { ticketType: localized(ticket.tier) })
+  };
+  const claims = {
+    iss: GOOGLE.serviceAccount,
+    aud: 'google',
+    typ: 'savetowallet',
+    iat: Math.floor(Date.now() / 1000),
+    payload: { eventTicketClasses: [eventClass], eventTicketObjects: [ticketObject] }
+  };
+  const unsigned = `${b64url({ alg: 'RS256', typ: 'JWT' })}.${b64url(claims)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), GOOGLE.privateKey).toString('base64url');
+  return `https://pay.google.com/gp/v/save/${unsigned}.${signature}`;
+}
+
+// ── CALENDAR ──
+// Times go out in UTC, so no VTIMEZONE block is needed; calendars show them in
+// the reader's own zone. Events without a structured start get no invite.
+const icsText = value => String(value).replace(/\\/g, '\\\\').replace(/[;,]/g, m => `\\${m}`).replace(/\r?\n/g, '\\n');
+const icsTime = value => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// RFC 5545 lines are folded at 75 octets, never inside a UTF-8 sequence
+function foldIcsLine(line) {
+  const out = [];
+  let current = '', bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+function eventCalendar(event) {
+  if (!event.starts_at) return null;
+  const location = [event.venue, event.address || event.city].filter(Boolean).join(', ');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Colectivo//Boletos//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${event.slug}@colectivo.live`,
+    `DTSTAMP:${icsTime(Date.now())}`,
+    `DTSTART:${icsTime(event.starts_at)}`,
+    event.ends_at && `DTEND:${icsTime(event.ends_at)}`,
+    `SUMMARY:${icsText(event.name)}`,
+    location && `LOCATION:${icsText(location)}`,
+    event.url && `URL:${event.url}`,
+    `DESCRIPTION:${icsText(`Presenta tu QR en la entrada.${event.url ? `\n${event.url}` : ''}`)}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// ── EVERYTHING FOR ONE EMAIL ──
+// Returns the inline QR blocks for buildEmailHTML, one PDF (+ .pkpass) attachment
+// per ticket and, when the event has a start time, one .ics for the whole email.
+async function buildTicketPasses(event, tickets) {
+  const qty = tickets.length;
+  const banner = await loadBanner(event.banner_url);
+  const qrCodes = [], attachments = [];
+
+  for (let i = 0; i < qty; i++) {
+    const ticket = tickets[i];
+    const label = qty > 1 ? `Boleto ${i + 1} de ${qty}` : null;
+    const baseName = qty > 1 ? `boleto-${i + 1}-de-${qty}` : 'boleto';
+    const qr = await ticketQR(ticket.payload);
+    const [pdf, pkpass] = await Promise.all([
+      renderTicketPDF(event, ticket, { qrBuffer: qr.buffer, banner, label }),
+      renderPkpass(event, ticket).catch(err => {
+        console.error('Apple Wallet pass error:', err.message);
+        return null;
+      })
+    ]);
+
+    qrCodes.push({ id: ticket.id, qrDataURL: qr.dataURL, googleWalletUrl: googleWalletUrl(event, ticket) });
+    attachments.push({ filename: `${baseName}.pdf`, content: pdf, contentType: 'application/pdf' });
+    if (pkpass) attachments.push({ filename: `${baseName}.pkpass`, content: pkpass, contentType: 'application/vnd.apple.pkpass' });
+  }
+
+  const ics = eventCalendar(event);
+  if (ics) attachments.push({ filename: 'evento.ics', content: Buffer.from(ics), contentType: 'text/calendar; charset=utf-8; method=PUBLISH' });
+
+  return { qrCodes, attachments, appleWallet: attachments.some(a => a.filename.endsWith('.pkpass')) };
+}
+
+// Single ticket, for the download routes
+async function ticketPDF(event, ticket) {
+  const [qr, banner] = await Promise.all([ticketQR(ticket.payload), loadBanner(event.banner_url)]);
+  return renderTicketPDF(event, ticket, { qrBuffer: qr.buffer, banner });
+}
+
+module.exports = {
+  appleWalletEnabled,
+  googleWalletEnabled,
+  buildTicketPasses,
+  ticketPDF,
+  renderPkpass,
+  googleWalletUrl,
+  eventCalendar
+};
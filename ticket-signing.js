@@ -0,0 +1,141 @@
+// ─────────────────────────────────────────────
+//  TICKET SIGNING
+//  QR payload format:  ticketId|kid|sig
+//  sig = base64url(HMAC-SHA256(ticketId + '|' + eventSlug, key[kid]))
+//  Keys come from QR_KEYS="kid2:secret2,kid1:secret1" — the first one signs,
+//  every listed key still verifies, so keys can be rotated without reissuing.
+//  Older formats still verify:
+//    ticketId|sig  — pre-rotation, 24 hex chars keyed with QR_SECRET
+//    ticketId      — unsigned; rejected for events with require_signed_qr
+//
+//  Emailed links (RSVP confirmation, ticket management, waitlist offers,
+//  unsubscribe) are stateless `<base64url json>.<hmac>` tokens signed with the
+//  same keys. `purpose` is part of the HMAC so a token minted for one flow is
+//  useless in another.
+//
+//  Keys are read once, when this module loads, and the process exits if they
+//  are missing or insecure. Nothing here touches the database.
+// ─────────────────────────────────────────────
+const crypto = require('crypto');
+
+const INSECURE_DEFAULT_SECRET = 'change-me-in-production';
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function loadQrKeys() {
+  const keys = (process.env.QR_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const i = entry.indexOf(':');
+      return { kid: entry.slice(0, i), secret: entry.slice(i + 1) };
+    });
+  // No QR_KEYS yet: QR_SECRET is the one and only key
+  if (!keys.length && process.env.QR_SECRET) keys.push({ kid: 'k1', secret: process.env.QR_SECRET });
+
+  const bad = keys.find(k => !/^[A-Za-z0-9_-]+$/.test(k.kid) || !k.secret || k.secret === INSECURE_DEFAULT_SECRET);
+  if (!keys.length || bad) {
+    console.error('❌ QR signing keys missing or insecure. Set QR_KEYS="kid:secret,…" (or QR_SECRET) to a real secret.');
+    process.exit(1);
+  }
+  return keys;
+}
+
+const QR_KEYS = loadQrKeys();
+const QR_KEYS_BY_ID = Object.fromEntries(QR_KEYS.map(k => [k.kid, k.secret]));
+// Active signing secret — also signs invite, reset and emailed links
+const QR_SECRET = QR_KEYS[0].secret;
+
+function ticketHmac(secret, ticketId, eventSlug) {
+  return crypto.createHmac('sha256', secret).update(`${ticketId}|${eventSlug}`);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function signTicket(ticketId, eventSlug) {
+  const { kid, secret } = QR_KEYS[0];
+  const sig = ticketHmac(secret, ticketId, eventSlug).digest('base64url');
+  return `${ticketId}|${kid}|${sig}`;
+}
+
+// Never throws. Returns { ticketId, signed, valid, kid } — ticketId is null
+// when the payload isn't a ticket at all.
+function verifyTicket(payload, eventSlug) {
+  const parts = String(payload || '').trim().split('|');
+  const ticketId = parts[0];
+  if (!UUID_RE.test(ticketId) || parts.length > 3) {
+    return { ticketId: null, signed: false, valid: false };
+  }
+
+  if (parts.length === 1) {
+    return { ticketId, signed: false, valid: true };
+  }
+
+  if (parts.length === 2) {
+    const legacySecret = process.env.QR_SECRET;
+    const expected = legacySecret && ticketHmac(legacySecret, ticketId, eventSlug).digest('hex').slice(0, 24);
+    return { ticketId, signed: true, valid: !!expected && safeEqual(parts[1], expected), kid: null };
+  }
+
+  const [, kid, sig] = parts;
+  const secret = QR_KEYS_BY_ID[kid];
+  const valid = !!secret && safeEqual(sig, ticketHmac(secret, ticketId, eventSlug).digest('base64url'));
+  return { ticketId, signed: true, valid, kid };
+}
+
+// Scanner credentials are random per-staff tokens; only this hash is stored
+function hashScanToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Short SHA-256 of every QR payload we'd accept for a ticket (one per verifying
+// key, plus the pre-rotation format). Devices compare against these without
+// ever holding a signing key, and a leaked manifest can't mint QRs.
+function qrPayloadHashes(ticketId, eventSlug) {
+  const payloads = QR_KEYS.map(({ kid, secret }) =>
+    `${ticketId}|${kid}|${ticketHmac(secret, ticketId, eventSlug).digest('base64url')}`);
+  if (process.env.QR_SECRET) {
+    payloads.push(`${ticketId}|${ticketHmac(process.env.QR_SECRET, ticketId, eventSlug).digest('hex').slice(0, 24)}`);
+  }
+  return payloads.map(p => crypto.createHash('sha256').update(p).digest('hex').slice(0, 32));
+}
+
+function linkTokenSig(secret, purpose, body) {
+  return crypto.createHmac('sha256', secret).update(`${purpose}:${body}`).digest('hex').slice(0, 32);
+}
+
+function signLinkToken(purpose, payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${linkTokenSig(QR_SECRET, purpose, body)}`;
+}
+
+// Returns the signed payload, or null if the token was tampered with.
+// Any current QR key is accepted so rotating keys doesn't break links already in inboxes.
+function verifyLinkToken(purpose, token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  if (!QR_KEYS.some(({ secret }) => safeEqual(sig, linkTokenSig(secret, purpose, body)))) return null;
+  try { return JSON.parse(Buffer.from(body, 'base64url').toString('utf8')); } catch { return null; }
+}
+
+// For links signed with an `exp` (ms); one without it is treated as expired
+function linkTokenExpired(payload, now = Date.now()) {
+  return !(now <= payload.exp);
+}
+
+module.exports = {
+  QR_KEYS,
+  QR_SECRET,
+  safeEqual,
+  signTicket,
+  verifyTicket,
+  qrPayloadHashes,
+  hashScanToken,
+  signLinkToken,
+  verifyLinkToken,
+  linkTokenExpired
+};